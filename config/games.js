@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { checkSchema } = require('./jsonSchema');
+
+// Registered games and their settings, read once from GAMES_FILE (default: config/games.json):
+//
+//   {
+//     "space-miner": {
+//       "name": "Space Miner",
+//       "max_file_bytes": 10485760,  // Largest save accepted for this game
+//       "max_revisions": 10,         // Revisions kept per slot (a user's app_metadata.max_revisions still wins)
+//       "slots": "numbered",         // "named" (any file name, the default) or "numbered" (1..max_slots)
+//       "max_slots": 3,
+//       "metadata_schema": "schemas/space-miner.json" // JSON Schema for custom_metadata, inline or a file
+//     }                                               // path relative to this file (see config/jsonSchema.js)
+//   }
+//
+// The default game always exists; it's what the plain /api/saves routes use.
+
+const DEFAULT_GAME_ID = 'default';
+const GAME_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+function loadMetadataSchema(id, schema, file) {
+  if (schema === undefined || schema === null) return null;
+  const where = `Game '${id}' in ${file}: metadata_schema`;
+  if (typeof schema === 'string') {
+    const schemaFile = path.resolve(path.dirname(file), schema);
+    schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+  }
+  checkSchema(schema, where);
+  return schema;
+}
+
+function loadGames() {
+  const file = process.env.GAMES_FILE || path.join(__dirname, 'games.json');
+  const configured = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+  const games = new Map();
+  for (const [id, settings] of Object.entries({ [DEFAULT_GAME_ID]: {}, ...configured })) {
+    if (!GAME_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid game id '${id}' in ${file}: use lowercase letters, digits, '-' and '_'.`);
+    }
+    if (settings.slots !== undefined && !['named', 'numbered'].includes(settings.slots)) {
+      throw new Error(`Game '${id}' in ${file}: slots must be "named" or "numbered".`);
+    }
+    games.set(id, {
+      id: id,
+      name: settings.name || id,
+      max_file_bytes: settings.max_file_bytes || null,
+      max_revisions: settings.max_revisions || null,
+      slots: settings.slots || 'named',
+      max_slots: settings.max_slots || null,
+      metadata_schema: loadMetadataSchema(id, settings.metadata_schema, file),
+    });
+  }
+  return games;
+}
+
+const games = loadGames();
+
+function getGame(id) {
+  return games.get(id) || null;
+}
+
+function listGames() {
+  return [...games.values()];
+}
+
+module.exports = { DEFAULT_GAME_ID, getGame, listGames };
@@ -0,0 +1,245 @@
+// A small JSON Schema validator for the metadata schemas games register (see config/games.js).
+// It covers the keywords save metadata needs, from drafts 2019-09/2020-12:
+//
+//   type, enum, const                                     any value
+//   properties, required, additionalProperties,
+//   minProperties, maxProperties                          objects
+//   items, minItems, maxItems, uniqueItems                arrays
+//   minLength, maxLength, pattern                         strings
+//   minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+//   multipleOf                                            numbers
+//   allOf, anyOf, oneOf, not                              combinations
+//
+// Annotations (title, description, default, ...) are ignored. Any other keyword, $ref included, makes
+// checkSchema fail, so a schema is never silently enforced only in part.
+const { isDeepStrictEqual } = require('util');
+
+const TYPES = ['null', 'boolean', 'object', 'array', 'number', 'integer', 'string'];
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated'];
+const KEYWORDS = [
+  'type',
+  'enum',
+  'const',
+  'properties',
+  'required',
+  'additionalProperties',
+  'minProperties',
+  'maxProperties',
+  'items',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'allOf',
+  'anyOf',
+  'oneOf',
+  'not',
+];
+// Keywords that count characters, items or properties; the remaining numeric keywords take any finite number
+const COUNT_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems', 'minProperties', 'maxProperties'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+function describeValue(value) {
+  return JSON.stringify(value);
+}
+
+// Paths point into the validated document: `$` is its root, `$.stats.level` and `$.items[2]` are inside it
+function childPath(path, key) {
+  return typeof key === 'number'
+    ? `${path}[${key}]`
+    : /^[A-Za-z_$][\w$]*$/.test(key)
+      ? `${path}.${key}`
+      : `${path}[${JSON.stringify(key)}]`;
+}
+
+// Throws if `schema` uses keywords this validator doesn't implement or has malformed keyword values.
+// `where` names the schema in the error message.
+function checkSchema(schema, where, path = '$') {
+  if (typeof schema === 'boolean') return;
+  if (!isPlainObject(schema)) {
+    throw new Error(`${where}: the schema at ${path} must be an object or a boolean.`);
+  }
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (ANNOTATIONS.includes(keyword)) continue;
+    if (!KEYWORDS.includes(keyword)) {
+      throw new Error(`${where}: unsupported keyword '${keyword}' at ${path}.`);
+    }
+
+    if (keyword === 'type') {
+      const types = Array.isArray(value) ? value : [value];
+      if (types.length === 0 || !types.every((type) => TYPES.includes(type))) {
+        throw new Error(`${where}: invalid type at ${path}.`);
+      }
+    } else if (keyword === 'enum' || keyword === 'required') {
+      if (!Array.isArray(value)) throw new Error(`${where}: ${keyword} at ${path} must be an array.`);
+    } else if (keyword === 'pattern') {
+      try {
+        new RegExp(value, 'u');
+      } catch (error) {
+        throw new Error(`${where}: invalid pattern at ${path}: ${error.message}`);
+      }
+    } else if (keyword === 'properties') {
+      if (!isPlainObject(value)) throw new Error(`${where}: properties at ${path} must be an object.`);
+      for (const [name, propertySchema] of Object.entries(value)) {
+        checkSchema(propertySchema, where, childPath(path, name));
+      }
+    } else if (keyword === 'additionalProperties' || keyword === 'items' || keyword === 'not') {
+      checkSchema(value, where, path);
+    } else if (keyword === 'allOf' || keyword === 'anyOf' || keyword === 'oneOf') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${where}: ${keyword} at ${path} must be a non-empty array.`);
+      }
+      value.forEach((subschema) => checkSchema(subschema, where, path));
+    } else if (keyword === 'uniqueItems') {
+      if (typeof value !== 'boolean') throw new Error(`${where}: uniqueItems at ${path} must be a boolean.`);
+    } else if (COUNT_KEYWORDS.includes(keyword)) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${where}: ${keyword} at ${path} must be a non-negative integer.`);
+      }
+    } else if (keyword === 'multipleOf') {
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`${where}: multipleOf at ${path} must be a number greater than 0.`);
+      }
+    } else if (keyword !== 'const' && !Number.isFinite(value)) {
+      throw new Error(`${where}: ${keyword} at ${path} must be a number.`);
+    }
+  }
+}
+
+// Validates `value` against a schema that passed checkSchema. Returns every violation found as
+// `{ path, message }`; an empty list means the value is valid.
+function validate(schema, value, path = '$', errors = []) {
+  if (schema === true) return errors;
+  if (schema === false) {
+    errors.push({ path: path, message: 'is not allowed' });
+    return errors;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path: path, message: `must be of type ${types.join(' or ')}` });
+      return errors; // The remaining keywords would only repeat the same mistake
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.some((allowed) => isDeepStrictEqual(allowed, value))) {
+    errors.push({ path: path, message: `must be one of ${schema.enum.map(describeValue).join(', ')}` });
+  }
+  if (schema.const !== undefined && !isDeepStrictEqual(schema.const, value)) {
+    errors.push({ path: path, message: `must be ${describeValue(schema.const)}` });
+  }
+
+  if (isPlainObject(value)) {
+    const names = Object.keys(value);
+    for (const name of schema.required || []) {
+      if (!names.includes(name)) {
+        errors.push({ path: childPath(path, name), message: 'is required' });
+      }
+    }
+    for (const name of names) {
+      if (schema.properties && Object.hasOwn(schema.properties, name)) {
+        validate(schema.properties[name], value[name], childPath(path, name), errors);
+      } else if (schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: childPath(path, name), message: 'is not an allowed property' });
+        } else {
+          validate(schema.additionalProperties, value[name], childPath(path, name), errors);
+        }
+      }
+    }
+    if (schema.minProperties !== undefined && names.length < schema.minProperties) {
+      errors.push({ path: path, message: `must have at least ${schema.minProperties} properties` });
+    }
+    if (schema.maxProperties !== undefined && names.length > schema.maxProperties) {
+      errors.push({ path: path, message: `must have at most ${schema.maxProperties} properties` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => validate(schema.items, item, childPath(path, i), errors));
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex((other) => isDeepStrictEqual(item, other)) < i)) {
+      errors.push({ path: path, message: 'must not contain duplicate items' });
+    }
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length; // Code points, as the spec counts them
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push({ path: path, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push({ path: path, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path: path, message: `must match the pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path: path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path: path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      errors.push({ path: path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    validate(subschema, value, path, errors);
+  }
+  if (schema.anyOf && !schema.anyOf.some((subschema) => validate(subschema, value, path).length === 0)) {
+    errors.push({ path: path, message: 'must match at least one of the allowed schemas (anyOf)' });
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((subschema) => validate(subschema, value, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ path: path, message: `must match exactly one of the allowed schemas (oneOf), matched ${matches}` });
+    }
+  }
+  if (schema.not !== undefined && validate(schema.not, value, path).length === 0) {
+    errors.push({ path: path, message: 'must not match the excluded schema (not)' });
+  }
+
+  return errors;
+}
+
+module.exports = { checkSchema, validate };
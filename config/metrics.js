@@ -0,0 +1,107 @@
+// Application metrics, served on /metrics next to prom-client's default Node.js metrics (see server.js).
+// Everything is registered on the default registry under METRICS_PREFIX, which the Grafana dashboard and the
+// alert rules in monitoring/ rely on.
+const client = require('prom-client');
+const { REVISION_CONFLICT } = require('../storage/errors');
+
+const METRICS_PREFIX = 'supabase_cloud_save_backend:';
+const SIZE_BUCKETS = [1024, 16384, 65536, 262144, 1048576, 4194304, 16777216, 67108864, 268435456, 1073741824];
+
+const httpRequestDuration = new client.Histogram({
+  name: `${METRICS_PREFIX}http_request_duration_seconds`,
+  help: 'Duration of HTTP requests, by route pattern, method and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+const saveUploadBytes = new client.Histogram({
+  name: `${METRICS_PREFIX}save_upload_bytes`,
+  help: 'Size of each save stored through an upload (multipart, resumable or share import)',
+  labelNames: ['game'],
+  buckets: SIZE_BUCKETS,
+});
+
+const saveDownloadBytes = new client.Histogram({
+  name: `${METRICS_PREFIX}save_download_bytes`,
+  help: 'Bytes sent for each completed save download',
+  labelNames: ['game'],
+  buckets: SIZE_BUCKETS,
+});
+
+const saveTransferBytes = new client.Counter({
+  name: `${METRICS_PREFIX}save_transfer_bytes_total`,
+  help: 'Bytes of save data received and sent, including resumable chunks and interrupted downloads',
+  labelNames: ['direction'],
+});
+
+const storageErrors = new client.Counter({
+  name: `${METRICS_PREFIX}storage_errors_total`,
+  help: 'Failed blob store operations',
+  labelNames: ['backend', 'operation'],
+});
+
+const metadataErrors = new client.Counter({
+  name: `${METRICS_PREFIX}metadata_errors_total`,
+  help: 'Failed metadata store operations',
+  labelNames: ['backend', 'operation'],
+});
+
+const authFailures = new client.Counter({
+  name: `${METRICS_PREFIX}auth_failures_total`,
+  help: 'Requests refused by authentication, by reason',
+  labelNames: ['reason'],
+});
+
+const cacheHits = new client.Counter({
+  name: `${METRICS_PREFIX}cache_hits_total`,
+  help: 'Cache lookups answered from the cache, by entry type',
+  labelNames: ['type'],
+});
+
+const cacheMisses = new client.Counter({
+  name: `${METRICS_PREFIX}cache_misses_total`,
+  help: 'Cache lookups that went to the metadata store, by entry type',
+  labelNames: ['type'],
+});
+
+const cacheEvictions = new client.Counter({
+  name: `${METRICS_PREFIX}cache_evictions_total`,
+  help: 'Entries evicted from the in-memory cache to stay within its limits',
+});
+
+// Wraps a store so its failed operations (an `error` in the result, or a throw) are counted in `counter`.
+// A revision conflict is an expected outcome of optimistic concurrency, not a failure.
+function instrumentStore(store, counter, backend) {
+  const instrumented = {};
+  for (const [name, method] of Object.entries(store)) {
+    instrumented[name] = async (...args) => {
+      try {
+        const result = await method.apply(store, args);
+        if (result?.error && result.error.code !== REVISION_CONFLICT) {
+          counter.inc({ backend: backend, operation: name });
+        }
+        return result;
+      } catch (error) {
+        counter.inc({ backend: backend, operation: name });
+        throw error;
+      }
+    };
+  }
+  return instrumented;
+}
+
+module.exports = {
+  METRICS_PREFIX,
+  client,
+  httpRequestDuration,
+  saveUploadBytes,
+  saveDownloadBytes,
+  saveTransferBytes,
+  storageErrors,
+  metadataErrors,
+  authFailures,
+  cacheHits,
+  cacheMisses,
+  cacheEvictions,
+  instrumentStore,
+};
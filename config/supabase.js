@@ -0,0 +1,10 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Shared Supabase client
+// Ensure your .env file has SUPABASE_URL and SUPABASE_ANON_KEY
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseAnonKey);
+
+module.exports = supabase;
@@ -0,0 +1,15 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase client with the service role key, for what the anon key can't do: the Supabase storage backends
+// (the tables have row level security without policies for the anon key, see db/migrations/005_api_keys.sql)
+// and deleting auth users.
+// Null unless SUPABASE_SERVICE_ROLE_KEY is set. The key bypasses row level security: never send it to clients.
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabaseAdmin = serviceRoleKey
+  ? createClient(process.env.SUPABASE_URL, serviceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false },
+    })
+  : null;
+
+module.exports = supabaseAdmin;
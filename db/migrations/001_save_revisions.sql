@@ -0,0 +1,20 @@
+-- Revision history for save files.
+-- Every upload and every restore inserts a row here; save_metadata.revision_id points at the current one.
+
+create table if not exists public.save_revisions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  file_name text not null,
+  storage_path text not null,
+  size_bytes bigint not null,
+  version text,
+  custom_metadata jsonb not null default '{}'::jsonb,
+  restored_from uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists save_revisions_user_file_idx
+  on public.save_revisions (user_id, file_name, created_at desc);
+
+alter table public.save_metadata
+  add column if not exists revision_id uuid references public.save_revisions (id) on delete set null;
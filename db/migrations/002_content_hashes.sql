@@ -0,0 +1,8 @@
+-- SHA-256 (hex) of every save's content.
+-- New uploads are stored content-addressed under <user_id>/objects/<sha256>, so identical files share one object.
+
+alter table public.save_metadata add column if not exists sha256 text;
+alter table public.save_revisions add column if not exists sha256 text;
+
+create index if not exists save_revisions_user_sha256_idx on public.save_revisions (user_id, sha256);
+create index if not exists save_revisions_user_storage_path_idx on public.save_revisions (user_id, storage_path);
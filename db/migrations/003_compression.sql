@@ -0,0 +1,11 @@
+-- Transparent compression of stored saves.
+-- size_bytes keeps the logical (uncompressed) size; stored_bytes is what the storage object takes up.
+-- compression is the codec the object was written with (gzip, br) or null for raw bytes.
+
+alter table public.save_metadata add column if not exists compression text;
+alter table public.save_metadata add column if not exists stored_bytes bigint;
+alter table public.save_revisions add column if not exists compression text;
+alter table public.save_revisions add column if not exists stored_bytes bigint;
+
+update public.save_metadata set stored_bytes = size_bytes where stored_bytes is null;
+update public.save_revisions set stored_bytes = size_bytes where stored_bytes is null;
@@ -0,0 +1,14 @@
+-- Encryption at rest.
+-- Every user has one data key, stored only wrapped by a master key; master_key_id names which one, so the
+-- rotation script knows what to re-wrap. encryption is the algorithm a blob was written with, or null if plain.
+
+create table if not exists public.user_keys (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  wrapped_key text not null,
+  master_key_id text not null,
+  created_at timestamptz not null default now(),
+  rotated_at timestamptz
+);
+
+alter table public.save_metadata add column if not exists encryption text;
+alter table public.save_revisions add column if not exists encryption text;
@@ -0,0 +1,29 @@
+-- Long-lived API keys for headless clients.
+-- Only the SHA-256 hash of a key is stored; prefix keeps its first characters so users can tell keys apart.
+-- user_email and user_app_metadata are copied from the owner when the key is created, as requests made
+-- with the key never carry a Supabase session.
+
+create table if not exists public.api_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null,
+  game_id text,
+  user_email text,
+  user_app_metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+
+create index if not exists api_keys_user_idx on public.api_keys (user_id, created_at desc);
+
+-- Row level security. The server reaches its tables with the service role key, which bypasses RLS; with no
+-- policies for the anon and authenticated roles, nobody holding the project's public anon key can read them.
+alter table public.save_metadata enable row level security;
+alter table public.save_revisions enable row level security;
+alter table public.user_keys enable row level security;
+alter table public.api_keys enable row level security;
@@ -0,0 +1,15 @@
+-- Multi-game namespacing.
+-- Saves and revisions belong to a game (registered in config/games.json); existing rows move to the default
+-- game. A file name (slot) only has to be unique per user and game.
+
+alter table public.save_metadata add column if not exists game_id text not null default 'default';
+alter table public.save_revisions add column if not exists game_id text not null default 'default';
+
+-- Replaces the per-user unique key on file_name (Postgres' default constraint name; adjust if yours differs)
+alter table public.save_metadata drop constraint if exists save_metadata_user_id_file_name_key;
+create unique index if not exists save_metadata_user_game_file_idx
+  on public.save_metadata (user_id, game_id, file_name);
+
+drop index if exists save_revisions_user_file_idx;
+create index if not exists save_revisions_user_game_file_idx
+  on public.save_revisions (user_id, game_id, file_name, created_at desc);
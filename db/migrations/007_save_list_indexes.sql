@@ -0,0 +1,9 @@
+-- Sorting and keyset pagination of the save list.
+-- One index per sort order the list endpoint offers; `id` breaks ties so every page boundary is exact.
+
+create index if not exists save_metadata_user_game_updated_idx
+  on public.save_metadata (user_id, game_id, updated_at, id);
+create index if not exists save_metadata_user_game_size_idx
+  on public.save_metadata (user_id, game_id, size_bytes, id);
+create index if not exists save_metadata_user_game_version_idx
+  on public.save_metadata (user_id, game_id, version, id);
@@ -0,0 +1,21 @@
+-- Share links: signed, expiring URLs that hand one revision of a save to anyone holding them.
+-- A link points at the revision that was current when it was created, so later uploads don't leak through
+-- it. single_use links are claimed (used_at) by their first download or import.
+
+create table if not exists public.share_links (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  game_id text not null default 'default',
+  file_name text not null,
+  revision_id uuid not null references public.save_revisions (id) on delete cascade,
+  single_use boolean not null default false,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  revoked_at timestamptz
+);
+
+create index if not exists share_links_user_game_idx on public.share_links (user_id, game_id, created_at desc);
+
+-- Server-only, like every table the API owns (see 005_api_keys.sql)
+alter table public.share_links enable row level security;
@@ -0,0 +1,23 @@
+-- Account erasures: one row per request to delete everything the backend holds for a user.
+-- The row outlives the account (no foreign key to auth.users) and keeps the report of what was removed,
+-- as proof the erasure happened. report holds counts only, no personal data.
+
+create table if not exists public.account_erasures (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  requested_by text not null, -- 'user', or 'admin:<admin user id>'
+  status text not null default 'pending' check (status in ('pending', 'running', 'completed', 'failed')),
+  report jsonb not null default '{}'::jsonb,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+-- At most one unfinished erasure per user; requesting again resumes it
+create unique index if not exists account_erasures_unfinished_idx
+  on public.account_erasures (user_id)
+  where status <> 'completed';
+
+-- Server-only, like every table the API owns (see 005_api_keys.sql)
+alter table public.account_erasures enable row level security;
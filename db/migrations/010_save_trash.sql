@@ -0,0 +1,34 @@
+-- Trash bin: deleting a save moves it here until it's restored or its retention ends (purge_at).
+-- A trash item keeps the save_metadata row it replaced; the save's revisions stay in save_revisions, marked
+-- with trash_id so they no longer show up under the file name (a new save may take the name meanwhile).
+
+create table if not exists public.save_trash (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  game_id text not null default 'default',
+  file_name text not null,
+  storage_path text not null,
+  size_bytes bigint,
+  version text,
+  custom_metadata jsonb,
+  sha256 text,
+  compression text,
+  encryption text,
+  stored_bytes bigint,
+  revision_id uuid,
+  created_at timestamptz,
+  updated_at timestamptz,
+  trashed_at timestamptz not null default now(),
+  purge_at timestamptz not null
+);
+
+create index if not exists save_trash_user_game_idx on public.save_trash (user_id, game_id, trashed_at desc);
+create index if not exists save_trash_purge_idx on public.save_trash (purge_at);
+
+alter table public.save_revisions
+  add column if not exists trash_id uuid references public.save_trash (id) on delete cascade;
+
+create index if not exists save_revisions_trash_idx on public.save_revisions (trash_id) where trash_id is not null;
+
+-- Server-only, like every table the API owns (see 005_api_keys.sql)
+alter table public.save_trash enable row level security;
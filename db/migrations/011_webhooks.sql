@@ -0,0 +1,47 @@
+-- Webhooks for save events, and their delivery queue.
+-- secret signs the deliveries (HMAC-SHA256); it's only returned when the webhook is created.
+-- all_users webhooks (admins only) receive the events of every user, not just their owner's.
+-- webhook_deliveries is both the queue and the delivery log: pending rows are attempted once next_attempt_at
+-- has passed, delivered rows record the last answer, and dead rows (out of attempts) form the dead-letter list.
+
+create table if not exists public.webhooks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  url text not null,
+  events text[] not null,
+  game_id text,
+  all_users boolean not null default false,
+  description text,
+  secret text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhooks_user_idx on public.webhooks (user_id, created_at desc);
+create index if not exists webhooks_all_users_idx on public.webhooks (all_users) where all_users;
+
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references public.webhooks (id) on delete cascade,
+  user_id uuid not null, -- Owner of the webhook
+  event_id uuid not null,
+  event_type text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'dead')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_attempt_at timestamptz,
+  last_status integer,
+  last_error text,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_due_idx
+  on public.webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+create index if not exists webhook_deliveries_webhook_idx
+  on public.webhook_deliveries (webhook_id, created_at desc);
+
+-- Server-only, like every table the API owns (see 005_api_keys.sql)
+alter table public.webhooks enable row level security;
+alter table public.webhook_deliveries enable row level security;
@@ -0,0 +1,36 @@
+-- Audit trail of save operations: uploads, overwrites, downloads, deletes, restores and failed authentications.
+-- Rows are only ever added; the trigger below rejects updates. They go away with the user (account erasure).
+-- user_id is null for failed authentications that can't be tied to an account (malformed or forged tokens,
+-- unknown API keys).
+
+create table if not exists public.save_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users (id) on delete cascade,
+  action text not null check (action in ('upload', 'overwrite', 'download', 'delete', 'restore', 'auth_failure')),
+  outcome text not null check (outcome in ('success', 'failure')),
+  game_id text,
+  file_name text,
+  size_bytes bigint,
+  sha256 text,
+  ip text,
+  user_agent text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists save_audit_log_user_idx on public.save_audit_log (user_id, created_at desc, id desc);
+
+create or replace function public.reject_audit_log_update() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'save_audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists save_audit_log_append_only on public.save_audit_log;
+create trigger save_audit_log_append_only
+  before update on public.save_audit_log
+  for each row execute function public.reject_audit_log_update();
+
+-- Server-only, like every table the API owns (see 005_api_keys.sql)
+alter table public.save_audit_log enable row level security;
@@ -0,0 +1,171 @@
+// Account erasure: removes everything the backend holds for a user, for account deletion requests.
+// Each erasure is a row in `account_erasures` and runs in the background, step by step:
+//   upload_sessions  staged resumable uploads
+//   records          share links, API keys, revisions, saves and the user's data key
+//   cache            everything cached for the user, on every instance
+//   blobs            every storage object under `<userId>/`
+//   auth_user        the Supabase user itself, when SUPABASE_SERVICE_ROLE_KEY is set
+// Records go before files so API keys and share links stop working first. Every step can be repeated, so an
+// erasure that was interrupted (an error, a restart) continues when it's requested again, and pending ones
+// are resumed at startup. Before completing, what's left is counted again: the report of a completed erasure
+// shows what was removed and that nothing remained.
+const logger = require('../config/logger');
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { blobStore, metadataStore, uploadSessions, cache } = require('../storage');
+
+const BLOB_REMOVE_BATCH_SIZE = 100;
+const MAX_PASSES = 3; // An upload racing the erasure can leave something behind; another pass sweeps it up
+
+const runs = new Map(); // Erasure id -> the run in progress in this process
+
+function emptyReport() {
+  return {
+    passes: 0,
+    upload_sessions: { removed: 0 },
+    records: {},
+    cache: { invalidated: false },
+    blobs: { removed: 0 },
+    auth_user: supabaseAdmin ? 'pending' : 'not_configured',
+    verification: null,
+  };
+}
+
+// What's left of the user: storage objects and rows per table. `clean` when there's nothing.
+async function verifyErasure(userId) {
+  const { data: paths, error: listError } = await blobStore.list(`${userId}/`);
+  if (listError) return { data: null, error: listError };
+  const { data: records, error: countError } = await metadataStore.countUserData(userId);
+  if (countError) return { data: null, error: countError };
+
+  return {
+    data: {
+      verified_at: new Date().toISOString(),
+      remaining_blobs: paths.length,
+      remaining_records: records,
+      clean: paths.length === 0 && Object.values(records).every((count) => count === 0),
+    },
+    error: null,
+  };
+}
+
+// One pass over every step; progress is saved as it goes, so the report shows how far a failed run got
+async function erasePass(userId, report, saveProgress) {
+  report.passes += 1;
+
+  const { data: sessions, error: sessionError } = await uploadSessions.removeForUser(userId);
+  if (sessionError) throw sessionError;
+  report.upload_sessions.removed += sessions.length;
+
+  const { data: removed, error: recordsError } = await metadataStore.deleteUserData(userId);
+  if (recordsError) throw recordsError;
+  for (const [table, count] of Object.entries(removed)) {
+    report.records[table] = (report.records[table] || 0) + count;
+  }
+  const { error: cacheError } = await cache.invalidateUser(userId);
+  if (cacheError) throw cacheError;
+  report.cache.invalidated = true;
+  await saveProgress();
+
+  const { data: paths, error: listError } = await blobStore.list(`${userId}/`);
+  if (listError) throw listError;
+  for (let i = 0; i < paths.length; i += BLOB_REMOVE_BATCH_SIZE) {
+    const batch = paths.slice(i, i + BLOB_REMOVE_BATCH_SIZE);
+    const { error: removeError } = await blobStore.remove(batch);
+    if (removeError) throw removeError;
+    report.blobs.removed += batch.length;
+    await saveProgress();
+  }
+}
+
+async function runErasure(erasure) {
+  const userId = erasure.user_id;
+  const report = { ...emptyReport(), ...erasure.report };
+  const save = async (fields = {}) => {
+    const { error } = await metadataStore.updateErasure(erasure.id, { ...fields, report: report });
+    if (error) throw error;
+  };
+
+  try {
+    await save({ status: 'running', error: null });
+    logger.info({ userId: userId, erasureId: erasure.id }, 'Account erasure started');
+
+    for (let pass = 1; ; pass++) {
+      await erasePass(userId, report, save);
+      const { data: verification, error: verifyError } = await verifyErasure(userId);
+      if (verifyError) throw verifyError;
+      report.verification = verification;
+      if (verification.clean) break;
+      if (pass === MAX_PASSES) throw new Error(`Data was still left after ${MAX_PASSES} passes.`);
+    }
+
+    if (supabaseAdmin && report.auth_user !== 'deleted') {
+      const { error: authError } = await supabaseAdmin.auth.admin.deleteUser(userId);
+      if (authError && authError.status !== 404) throw authError;
+      report.auth_user = 'deleted';
+    }
+
+    await save({ status: 'completed', completed_at: new Date().toISOString() });
+    logger.info({ userId: userId, erasureId: erasure.id, report: report }, 'Account erasure completed');
+  } catch (error) {
+    logger.error({ err: error, userId: userId, erasureId: erasure.id }, 'Account erasure failed');
+    const { error: saveError } = await metadataStore.updateErasure(erasure.id, {
+      status: 'failed',
+      error: error.message,
+      report: report,
+    });
+    if (saveError) logger.error({ err: saveError, erasureId: erasure.id }, 'Failed to record erasure failure');
+  }
+}
+
+// Runs an erasure unless this process is running it already; resolves when the run ends
+function startErasure(erasure) {
+  if (!runs.has(erasure.id)) {
+    runs.set(
+      erasure.id,
+      runErasure(erasure).finally(() => runs.delete(erasure.id)),
+    );
+  }
+  return runs.get(erasure.id);
+}
+
+// Starts erasing a user's data, or continues their unfinished erasure. Resolves to `{ data: erasure, error }`
+// as soon as the erasure is recorded; poll getErasure for its progress.
+// `requestedBy` is 'user' or 'admin:<admin user id>'.
+async function requestErasure(userId, requestedBy) {
+  const { data: unfinished, error } = await metadataStore.findUnfinishedErasure(userId);
+  if (error) return { data: null, error: error };
+
+  let erasure = unfinished;
+  if (!erasure) {
+    const { data: created, error: insertError } = await metadataStore.insertErasure({
+      user_id: userId,
+      requested_by: requestedBy,
+      status: 'pending',
+      report: emptyReport(),
+    });
+    if (insertError) return { data: null, error: insertError };
+    erasure = created;
+  }
+
+  startErasure(erasure);
+  return { data: erasure, error: null };
+}
+
+async function getErasure(id) {
+  return metadataStore.getErasure(id);
+}
+
+// Picks up erasures that were pending or running when the server last stopped
+async function resumeErasures() {
+  const { data: erasures, error } = await metadataStore.listUnfinishedErasures();
+  if (error) {
+    logger.error({ err: error }, 'Failed to look up unfinished account erasures');
+    return;
+  }
+  for (const erasure of erasures) {
+    logger.info({ userId: erasure.user_id, erasureId: erasure.id }, 'Resuming account erasure');
+    await startErasure(erasure);
+  }
+}
+
+module.exports = { requestErasure, getErasure, resumeErasures };
@@ -0,0 +1,28 @@
+// Admins are users whose `app_metadata.role` (or one of whose `app_metadata.roles`) is listed in ADMIN_ROLES
+// (comma-separated, 'admin' by default), or whose id is listed in ADMIN_USER_IDS (comma-separated).
+// app_metadata can only be changed with the service role, so users can't promote themselves.
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+const ADMIN_ROLES = parseList(process.env.ADMIN_ROLES || 'admin');
+const ADMIN_USER_IDS = parseList(process.env.ADMIN_USER_IDS);
+
+function isAdmin(user) {
+  if (!user) return false;
+  const roles = [user.app_metadata?.role, ...(user.app_metadata?.roles || [])];
+  return roles.some((role) => ADMIN_ROLES.includes(role)) || ADMIN_USER_IDS.includes(user.id);
+}
+
+// Lets only admins through, and only with a real login: API keys never carry admin rights
+function requireAdmin(req, res, next) {
+  if (req.auth.method !== 'jwt' || !isAdmin(req.user)) {
+    return res.status(403).json({ message: 'Forbidden: this requires an admin login.' });
+  }
+  next();
+}
+
+module.exports = { isAdmin, requireAdmin };
@@ -0,0 +1,88 @@
+// Long-lived API keys for clients that can't log in interactively (dedicated servers, CI, console builds).
+// A key is `csk_` followed by 32 random characters. Only its SHA-256 hash is stored; the key itself is shown
+// once, when it's created. Each key carries scopes (what it may do) and can be limited to a single game.
+//
+// Keys authenticate as their owner. The owner's email and app_metadata (quota and revision overrides) are
+// copied onto the key when it's created, since an API key request never sees a fresh Supabase user.
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { metadataStore } = require('../storage');
+
+const API_KEY_PREFIX = 'csk_';
+const API_KEY_SCOPES = ['saves:read', 'saves:write'];
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // last_used_at is written at most once a minute per key
+
+// keyId -> time of the last last_used_at write. Entries older than LAST_USED_RESOLUTION_MS no longer throttle
+// anything, so they're swept out (at most once per resolution period) to keep the map to recently used keys.
+const lastUsedWrites = new Map();
+let lastUsedSweepAt = Date.now();
+
+function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+function sweepLastUsedWrites(now) {
+  if (now - lastUsedSweepAt < LAST_USED_RESOLUTION_MS) return;
+  lastUsedSweepAt = now;
+  for (const [keyId, writtenAt] of lastUsedWrites) {
+    if (now - writtenAt >= LAST_USED_RESOLUTION_MS) lastUsedWrites.delete(keyId);
+  }
+}
+
+function recordUse(row) {
+  const now = Date.now();
+  sweepLastUsedWrites(now);
+  if (now - (lastUsedWrites.get(row.id) || 0) < LAST_USED_RESOLUTION_MS) return;
+  lastUsedWrites.set(row.id, now);
+
+  metadataStore
+    .touchApiKey(row.id, new Date(now).toISOString())
+    .then(({ error }) => {
+      if (error) logger.warn({ err: error, keyId: row.id }, 'Failed to record API key use');
+    })
+    .catch((err) => logger.error({ err, keyId: row.id }, 'Failed to record API key use'));
+}
+
+// Resolves an API key to `{ data: { user, auth }, error }`; `data` is null when the key is unknown,
+// revoked or expired. `user` mirrors the Supabase user fields the routes rely on.
+async function authenticateApiKey(key) {
+  const { data: row, error } = await metadataStore.findApiKeyByHash(hashApiKey(key));
+  if (error) return { data: null, error: error };
+
+  if (!row || row.revoked_at || (row.expires_at && new Date(row.expires_at) <= new Date())) {
+    return { data: null, error: null };
+  }
+
+  recordUse(row);
+  return {
+    data: {
+      user: {
+        id: row.user_id,
+        email: row.user_email,
+        app_metadata: row.user_app_metadata || {},
+        user_metadata: {},
+        aud: 'authenticated',
+        role: 'authenticated',
+      },
+      auth: { method: 'api_key', keyId: row.id, scopes: row.scopes, gameId: row.game_id || null },
+    },
+    error: null,
+  };
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  authenticateApiKey,
+};
@@ -0,0 +1,104 @@
+// Audit trail of save operations, kept in `save_audit_log` and never changed afterwards. Entries are deleted
+// once they're older than AUDIT_RETENTION_DAYS (0 keeps them for good), or with their user. Each entry records
+// who did what to which save (file name, size, checksum), from where (client IP, user agent) and whether it
+// worked. Actions:
+//   upload        a save was stored into a free slot (multipart, resumable, share import, archive import)
+//   overwrite     an upload replaced an existing save
+//   download      a save was sent (including archive exports and share link downloads)
+//   delete        a save was moved to the trash or deleted permanently
+//   restore       a revision or a trash item became the current save again
+//   auth_failure  a request was refused for its credentials
+// Users read their own entries through GET /api/saves/audit; admins can read anyone's.
+//
+// Writing an entry never fails the request it describes: errors are logged instead.
+const logger = require('../config/logger');
+const { metadataStore } = require('../storage');
+
+const AUDIT_ACTIONS = ['upload', 'overwrite', 'download', 'delete', 'restore', 'auth_failure'];
+const AUDIT_RETENTION_DAYS = parseFloat(process.env.AUDIT_RETENTION_DAYS ?? 365);
+const AUDIT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Records one entry about `req`. `entry` holds the action and outcome, plus what is known about the save;
+// the user defaults to the request's.
+async function recordAuditEntry(req, entry) {
+  const row = {
+    user_id: entry.userId !== undefined ? entry.userId : req.user?.id || null,
+    action: entry.action,
+    outcome: entry.outcome,
+    game_id: entry.gameId ?? null,
+    file_name: entry.fileName ?? null,
+    size_bytes: entry.sizeBytes ?? null,
+    sha256: entry.sha256 ?? null,
+    ip: req.ip || null,
+    user_agent: req.get('User-Agent') || null,
+    details: entry.details || {},
+    created_at: new Date().toISOString(),
+  };
+  try {
+    const { error } = await metadataStore.insertAuditEntry(row);
+    if (error) throw error;
+  } catch (error) {
+    logger.error({ err: error, audit: row }, 'Failed to record audit entry');
+  }
+}
+
+// Route middleware recording `action` once the response is over: a success when it was sent in full with a
+// status below 400, a failure otherwise (the status, or `aborted` when the client went away, is in the
+// details). Handlers add what they learn about the save with noteAudit. HEAD requests only ask about a save
+// and aren't recorded.
+function auditSaveOperation(action) {
+  return function audit(req, res, next) {
+    if (req.method === 'HEAD') return next();
+    res.locals.audit = { action: action, gameId: req.game?.id, fileName: req.params.fileName, details: {} };
+    res.on('close', () => {
+      const { details, ...entry } = res.locals.audit;
+      const completed = res.writableFinished;
+      recordAuditEntry(req, {
+        ...entry,
+        outcome: completed && res.statusCode < 400 ? 'success' : 'failure',
+        details: { ...details, status: res.statusCode, ...(completed ? {} : { aborted: true }) },
+      });
+    });
+    next();
+  };
+}
+
+// Adds to the entry auditSaveOperation will record for this response (fileName, sizeBytes, sha256, a more
+// precise action, the owner as userId when it isn't the requester, details). Does nothing on routes that
+// aren't audited.
+function noteAudit(res, fields) {
+  const audit = res.locals.audit;
+  if (!audit) return;
+  const { details, ...rest } = fields;
+  Object.assign(audit, rest);
+  if (details) Object.assign(audit.details, details);
+}
+
+// Deletes the entries that have outlived AUDIT_RETENTION_DAYS
+async function pruneAuditLog() {
+  const cutoff = new Date(Date.now() - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  try {
+    const { data: removed, error } = await metadataStore.deleteAuditEntriesBefore(cutoff);
+    if (error) throw error;
+    if (removed > 0) logger.info({ removed, cutoff }, 'Pruned audit log');
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to prune the audit log');
+  }
+}
+
+// Prunes now and then every hour; runs never overlap. Does nothing when entries are kept for good.
+let auditPruneRun = null;
+
+function startAuditPrune() {
+  if (!(AUDIT_RETENTION_DAYS > 0)) return Promise.resolve();
+  const run = () => {
+    auditPruneRun ||= pruneAuditLog().finally(() => {
+      auditPruneRun = null;
+    });
+    return auditPruneRun;
+  };
+  setInterval(run, AUDIT_PRUNE_INTERVAL_MS).unref(); // Don't keep the process alive for it
+  return run();
+}
+
+module.exports = { AUDIT_ACTIONS, recordAuditEntry, auditSaveOperation, noteAudit, startAuditPrune };
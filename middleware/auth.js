@@ -1,20 +1,176 @@
-const { createClient } = require('@supabase/supabase-js');
-
 // This middleware assumes you are passing the Supabase JWT
 // in the Authorization header as 'Bearer <YOUR_SUPABASE_JWT>'
+// An API key (see middleware/apiKeys.js) is accepted in its place, as 'Bearer csk_...' or in X-API-Key.
+// Either way `req.user` is set, and `req.auth` tells how the request authenticated and what it may do.
+//
+// JWTs are verified locally (see middleware/jwt.js) with SUPABASE_JWT_SECRET or the project's JWKS, and
+// validated tokens are cached, so most requests never reach the auth service. Only tokens that can't be
+// verified locally are passed to `supabase.auth.getUser`, unless AUTH_REMOTE_FALLBACK=false.
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-
-// Create a single Supabase client for validating JWTs
+// Shared Supabase client for validating JWTs
 // Note: We don't need service_role key here if we are just validating user's JWT and relying on RLS.
 // The anon key is sufficient for getUser method.
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { authFailures } = require('../config/metrics');
+const { API_KEY_SCOPES, isApiKey, authenticateApiKey } = require('./apiKeys');
+const { recordAuditEntry } = require('./auditLog');
+const {
+  JWT_MALFORMED,
+  JWT_EXPIRED,
+  JWT_BAD_SIGNATURE,
+  JWT_INVALID_CLAIMS,
+  JWT_UNVERIFIABLE,
+  createJwtVerifier,
+} = require('./jwt');
+
+const jwtVerifier = createJwtVerifier({
+  secret: process.env.SUPABASE_JWT_SECRET,
+  jwksUrl:
+    process.env.SUPABASE_JWKS_URL === 'none'
+      ? null
+      : process.env.SUPABASE_JWKS_URL ||
+        (process.env.SUPABASE_URL ? `${process.env.SUPABASE_URL}/auth/v1/.well-known/jwks.json` : null),
+  audience: process.env.AUTH_JWT_AUDIENCE || 'authenticated',
+});
+const REMOTE_FALLBACK = process.env.AUTH_REMOTE_FALLBACK !== 'false';
+
+// Reason sent with a 401, per verification failure
+const REJECTION_REASONS = {
+  [JWT_MALFORMED]: 'token_malformed',
+  [JWT_EXPIRED]: 'token_expired',
+  [JWT_BAD_SIGNATURE]: 'invalid_signature',
+  [JWT_INVALID_CLAIMS]: 'invalid_claims',
+  [JWT_UNVERIFIABLE]: 'token_unverifiable',
+};
+
+// --- Validated Token Cache ---
+// Bounded (least recently used entries go first) and keyed by the token's hash. Entries never outlive
+// the token's own expiry.
+const AUTH_CACHE_MAX_ENTRIES = parseInt(process.env.AUTH_CACHE_MAX_ENTRIES, 10) || 10000;
+const AUTH_CACHE_TTL_MS = (parseInt(process.env.AUTH_CACHE_TTL_SECONDS, 10) || 300) * 1000;
+const tokenCache = new Map();
+
+function tokenCacheKey(token) {
+  return crypto.createHash('sha256').update(token).digest('base64');
+}
+
+function getCachedUser(key) {
+  const entry = tokenCache.get(key);
+  if (!entry) return null;
+  tokenCache.delete(key);
+  if (entry.expiresAt <= Date.now()) return null;
+  tokenCache.set(key, entry); // Mark as most recently used
+  return entry.user;
+}
+
+function cacheUser(key, user, tokenExpiresAt) {
+  const expiresAt = Math.min(Date.now() + AUTH_CACHE_TTL_MS, tokenExpiresAt || Infinity);
+  tokenCache.delete(key);
+  tokenCache.set(key, { user: user, expiresAt: expiresAt });
+  if (tokenCache.size > AUTH_CACHE_MAX_ENTRIES) {
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+}
+// --- End Validated Token Cache ---
+
+// The fields of a Supabase user that the routes rely on, as carried by the access token
+function userFromClaims(claims) {
+  return {
+    id: claims.sub,
+    aud: claims.aud,
+    role: claims.role,
+    email: claims.email,
+    phone: claims.phone,
+    app_metadata: claims.app_metadata || {},
+    user_metadata: claims.user_metadata || {},
+    is_anonymous: claims.is_anonymous,
+  };
+}
+
+// Expiry claim of a token the auth service accepted, in milliseconds
+function tokenExpiry(token) {
+  try {
+    const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof exp === 'number' ? exp * 1000 : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Counts a refused request and adds it to the audit trail, under the account the credentials name when
+// that can be trusted (a token with a valid signature), anonymously otherwise
+function recordAuthFailure(req, reason, userId = null) {
+  authFailures.inc({ reason: reason });
+  recordAuditEntry(req, {
+    userId: userId,
+    action: 'auth_failure',
+    outcome: 'failure',
+    details: { reason: reason, method: req.method, path: req.baseUrl + req.path },
+  });
+}
+
+function rejectToken(req, res, reason, message, userId) {
+  recordAuthFailure(req, reason, userId);
+  res.setHeader('WWW-Authenticate', `Bearer error="invalid_token", error_description="${reason}"`);
+  return res.status(401).json({ message: `Unauthorized: ${message}`, reason: reason });
+}
+
+// Supabase user for a token, checked by the auth service (the behaviour before local verification)
+async function getRemoteUser(token) {
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  return { user, error };
+}
+
+// Password checks get a client of their own, so the sessions they open never replace the shared client's
+const reauthClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+  auth: { persistSession: false, autoRefreshToken: false },
+});
+
+// Asks the auth service whether `password` is the user's, before operations that can't be undone.
+// Resolves to `{ data: true|false, error }`; `error` is set only when the check itself failed.
+async function reauthenticate(user, password) {
+  const credentials = user.email ? { email: user.email } : { phone: user.phone };
+  const { data, error } = await reauthClient.auth.signInWithPassword({ ...credentials, password: password });
+  if (error) {
+    return error.status === 400 ? { data: false, error: null } : { data: null, error: error };
+  }
+  return { data: data.user?.id === user.id, error: null };
+}
 
 async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
+  const apiKey = req.get('X-API-Key') || (authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : undefined);
+
+  if (isApiKey(apiKey)) {
+    try {
+      const { data, error } = await authenticateApiKey(apiKey);
+
+      if (error) {
+        logger.error({ err: error }, 'API key lookup error');
+        return res.status(500).json({ message: 'Internal server error during authentication.' });
+      }
+      if (!data) {
+        recordAuthFailure(req, 'invalid_api_key');
+        return res.status(401).json({ message: 'Unauthorized: Invalid, expired or revoked API key.' });
+      }
+
+      req.user = data.user;
+      req.auth = data.auth;
+      return next();
+    } catch (err) {
+      logger.error({ err }, 'Auth middleware unexpected error');
+      return res.status(500).json({ message: 'Internal server error during authentication.' });
+    }
+  }
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    recordAuthFailure(req, 'missing_credentials');
     return res.status(401).json({
       message: 'Unauthorized: Missing or invalid Authorization header.',
     });
@@ -23,24 +179,37 @@ async function authMiddleware(req, res, next) {
   const token = authHeader.split(' ')[1];
 
   if (!token) {
+    recordAuthFailure(req, 'missing_credentials');
     return res.status(401).json({ message: 'Unauthorized: Missing token.' });
   }
 
   try {
-    const {
-      data: { user },
-      error,
-    } = await supabase.auth.getUser(token);
-
-    if (error || !user) {
-      console.error('JWT validation error:', error);
-      return res.status(401).json({
-        message: 'Unauthorized: Invalid token or user not found.',
-        details: error?.message,
-      });
+    const cacheKey = tokenCacheKey(token);
+    let user = getCachedUser(cacheKey);
+
+    if (!user) {
+      const { data: claims, error: verifyError } = await jwtVerifier.verify(token);
+
+      if (claims) {
+        user = userFromClaims(claims);
+        cacheUser(cacheKey, user, claims.exp * 1000);
+      } else if (verifyError.code === JWT_UNVERIFIABLE && REMOTE_FALLBACK) {
+        logger.debug({ reason: verifyError.message }, 'Token not verifiable locally, asking the auth service');
+        const { user: remoteUser, error } = await getRemoteUser(token);
+
+        if (error || !remoteUser) {
+          console.error('JWT validation error:', error);
+          return rejectToken(req, res, 'invalid_token', error?.message || 'Invalid token or user not found.');
+        }
+        user = remoteUser;
+        cacheUser(cacheKey, user, tokenExpiry(token));
+      } else {
+        return rejectToken(req, res, REJECTION_REASONS[verifyError.code], verifyError.message, verifyError.subject);
+      }
     }
 
     req.user = user; // Attach user information to the request object
+    req.auth = { method: 'jwt', keyId: null, scopes: API_KEY_SCOPES, gameId: null }; // A login may do everything
     next();
   } catch (err) {
     console.error('Auth middleware unexpected error:', err);
@@ -48,4 +217,17 @@ async function authMiddleware(req, res, next) {
   }
 }
 
+// Rejects requests whose credentials lack `scope` (only API keys can be limited)
+function requireScope(scope) {
+  return function checkScope(req, res, next) {
+    if (!req.auth || !req.auth.scopes.includes(scope)) {
+      return res.status(403).json({ message: `Forbidden: this API key lacks the '${scope}' scope.` });
+    }
+    next();
+  };
+}
+
 module.exports = authMiddleware;
+module.exports.requireScope = requireScope;
+module.exports.reauthenticate = reauthenticate;
+module.exports.recordAuthFailure = recordAuthFailure;
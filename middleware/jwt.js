@@ -0,0 +1,156 @@
+// Local verification of Supabase access tokens, so authenticating a request doesn't need a round trip to
+// the auth service. HS256/384/512 tokens are checked against the project's JWT secret; RS256 and ES256
+// tokens against the project's JWKS, fetched once and cached.
+//
+// verify(token) resolves to `{ data: claims, error }`. Errors carry one of the codes below, so the auth
+// middleware can tell the client why a token was refused. JWT_UNVERIFIABLE means no key is configured for
+// the token (or the JWKS couldn't be fetched); it's the only case worth asking the auth service about.
+// Errors found after the signature checked out (expiry, claims) also carry the token's `sub` as `subject`.
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+const JWT_MALFORMED = 'JWT_MALFORMED';
+const JWT_EXPIRED = 'JWT_EXPIRED';
+const JWT_BAD_SIGNATURE = 'JWT_BAD_SIGNATURE';
+const JWT_INVALID_CLAIMS = 'JWT_INVALID_CLAIMS';
+const JWT_UNVERIFIABLE = 'JWT_UNVERIFIABLE';
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const PUBLIC_KEY_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+};
+const JWKS_MIN_REFRESH_MS = 60 * 1000; // An unknown kid triggers a refetch at most this often
+
+function jwtError(code, message, subject) {
+  const error = new Error(message);
+  error.code = code;
+  if (subject !== undefined) error.subject = subject;
+  return error;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function createJwtVerifier({ secret, jwksUrl, jwksTtlMs = 10 * 60 * 1000, audience, clockToleranceSec = 5 }) {
+  let jwks = { keys: new Map(), fetchedAt: 0 };
+  let jwksRequest = null;
+
+  async function fetchJwks() {
+    const response = await fetch(jwksUrl, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    const { keys = [] } = await response.json();
+    const parsed = new Map();
+    for (const jwk of keys) {
+      try {
+        parsed.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn({ err: error, kid: jwk.kid }, 'Skipping unusable JWKS key');
+      }
+    }
+    jwks = { keys: parsed, fetchedAt: Date.now() };
+  }
+
+  // Public key for `kid`, refreshing the cached JWKS when it's stale or doesn't know the kid yet.
+  // Concurrent requests share one fetch.
+  async function getPublicKey(kid) {
+    const age = Date.now() - jwks.fetchedAt;
+    if (age > jwksTtlMs || (!jwks.keys.has(kid) && age > JWKS_MIN_REFRESH_MS)) {
+      if (!jwksRequest) {
+        jwksRequest = fetchJwks().finally(() => {
+          jwksRequest = null;
+        });
+      }
+      try {
+        await jwksRequest;
+      } catch (error) {
+        logger.warn({ err: error, jwksUrl: jwksUrl }, 'Failed to fetch JWKS');
+      }
+    }
+    return jwks.keys.get(kid) || null;
+  }
+
+  async function checkSignature(header, signedPart, signature) {
+    if (HMAC_ALGORITHMS[header.alg]) {
+      if (!secret) return jwtError(JWT_UNVERIFIABLE, 'No JWT secret is configured.');
+      const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], secret).update(signedPart).digest();
+      const valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+      return valid ? null : jwtError(JWT_BAD_SIGNATURE, 'Token signature is invalid.');
+    }
+
+    const algorithm = PUBLIC_KEY_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      return jwtError(JWT_BAD_SIGNATURE, `Token algorithm '${header.alg}' is not accepted.`);
+    }
+    if (!jwksUrl) return jwtError(JWT_UNVERIFIABLE, 'No JWKS is configured.');
+    const key = await getPublicKey(header.kid);
+    if (!key) return jwtError(JWT_UNVERIFIABLE, `No public key found for kid '${header.kid}'.`);
+
+    const valid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(signedPart),
+      { key: key, dsaEncoding: algorithm.dsaEncoding },
+      signature,
+    );
+    return valid ? null : jwtError(JWT_BAD_SIGNATURE, 'Token signature is invalid.');
+  }
+
+  return {
+    async verify(token) {
+      const parts = typeof token === 'string' ? token.split('.') : [];
+      if (parts.length !== 3) {
+        return { data: null, error: jwtError(JWT_MALFORMED, 'Token is not a well-formed JWT.') };
+      }
+
+      let header;
+      let claims;
+      try {
+        header = decodeSegment(parts[0]);
+        claims = decodeSegment(parts[1]);
+      } catch (error) {
+        return { data: null, error: jwtError(JWT_MALFORMED, 'Token header or payload is not valid JSON.') };
+      }
+      if (!header || typeof header.alg !== 'string' || !claims || typeof claims.sub !== 'string') {
+        return { data: null, error: jwtError(JWT_MALFORMED, 'Token is missing required fields.') };
+      }
+
+      const signatureError = await checkSignature(
+        header,
+        `${parts[0]}.${parts[1]}`,
+        Buffer.from(parts[2], 'base64url'),
+      );
+      if (signatureError) {
+        return { data: null, error: signatureError };
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      if (typeof claims.exp !== 'number' || claims.exp + clockToleranceSec <= now) {
+        return { data: null, error: jwtError(JWT_EXPIRED, 'Token has expired.', claims.sub) };
+      }
+      if (typeof claims.nbf === 'number' && claims.nbf - clockToleranceSec > now) {
+        return { data: null, error: jwtError(JWT_INVALID_CLAIMS, 'Token is not valid yet.', claims.sub) };
+      }
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (audience && !audiences.includes(audience)) {
+        return {
+          data: null,
+          error: jwtError(JWT_INVALID_CLAIMS, 'Token was issued for a different audience.', claims.sub),
+        };
+      }
+
+      return { data: claims, error: null };
+    },
+  };
+}
+
+module.exports = {
+  JWT_MALFORMED,
+  JWT_EXPIRED,
+  JWT_BAD_SIGNATURE,
+  JWT_INVALID_CLAIMS,
+  JWT_UNVERIFIABLE,
+  createJwtVerifier,
+};
@@ -0,0 +1,119 @@
+// Orphaned storage objects: blobs that no save, revision or trash item references anymore, left behind e.g.
+// by an upload whose metadata write failed or a delete that couldn't remove its files. Every object the
+// backend stores lives under `<userId>/`, so each one is checked against the references of the user named by
+// its first path segment; objects outside a user folder weren't stored by this backend and are left alone.
+// Objects younger than ORPHAN_MIN_AGE_MINUTES (default 60) don't count: an upload stores its object before
+// its metadata, so a recent one may just not be committed yet.
+// Support staff look for and remove orphans through /api/admin/orphans.
+const logger = require('../config/logger');
+const { blobStore, metadataStore } = require('../storage');
+
+const ORPHAN_MIN_AGE_MINUTES = parseFloat(process.env.ORPHAN_MIN_AGE_MINUTES) || 60;
+const REFERENCE_CHECK_BATCH_SIZE = 100; // Paths looked up at once
+const BLOB_REMOVE_BATCH_SIZE = 100;
+
+// Whether an object is old enough to be an orphan rather than an upload whose metadata is still on its way
+function isSettled(object) {
+  const cutoff = Date.now() - ORPHAN_MIN_AGE_MINUTES * 60 * 1000;
+  return Boolean(object.updated_at) && new Date(object.updated_at).getTime() <= cutoff;
+}
+
+// Which of a user's `paths` nothing references
+async function findUnreferencedPaths(userId, paths) {
+  const unreferenced = [];
+  for (let i = 0; i < paths.length; i += REFERENCE_CHECK_BATCH_SIZE) {
+    const batch = paths.slice(i, i + REFERENCE_CHECK_BATCH_SIZE);
+    const { data: referenced, error } = await metadataStore.findReferencedPaths(userId, batch);
+    if (error) return { data: null, error: error };
+    unreferenced.push(...batch.filter((p) => !referenced.includes(p)));
+  }
+  return { data: unreferenced, error: null };
+}
+
+// Resolves to `{ data: orphans, error }`, each orphan being `{ path, user_id, size, updated_at }`
+async function findOrphanedBlobs() {
+  const { data: objects, error } = await blobStore.listObjects('');
+  if (error) return { data: null, error: error };
+
+  const objectsByUser = new Map();
+  for (const object of objects) {
+    const separator = object.path.indexOf('/');
+    if (separator <= 0 || !isSettled(object)) continue;
+    const userId = object.path.slice(0, separator);
+    if (!objectsByUser.has(userId)) objectsByUser.set(userId, []);
+    objectsByUser.get(userId).push(object);
+  }
+
+  const orphans = [];
+  for (const [userId, userObjects] of objectsByUser) {
+    const { data: unreferenced, error: checkError } = await findUnreferencedPaths(
+      userId,
+      userObjects.map((object) => object.path),
+    );
+    if (checkError) return { data: null, error: checkError };
+    const orphanedPaths = new Set(unreferenced);
+    for (const object of userObjects.filter((candidate) => orphanedPaths.has(candidate.path))) {
+      orphans.push({ path: object.path, user_id: userId, size: object.size, updated_at: object.updated_at });
+    }
+  }
+  return { data: orphans, error: null };
+}
+
+// Which of a user's orphaned `paths` still are orphans. Paths are content-addressed, so an upload of the same
+// content may have written one again since the scan (and be about to commit its metadata): the objects are
+// listed afresh and must still be settled and unreferenced.
+async function recheckOrphans(userId, paths) {
+  const folders = new Set(paths.map((p) => p.slice(0, p.lastIndexOf('/') + 1)));
+  const current = new Map();
+  for (const folder of folders) {
+    const { data: objects, error } = await blobStore.listObjects(folder);
+    if (error) return { data: null, error: error };
+    for (const object of objects) current.set(object.path, object);
+  }
+  const settled = paths.filter((p) => current.has(p) && isSettled(current.get(p)));
+  return findUnreferencedPaths(userId, settled);
+}
+
+// Removes orphaned objects: all of them, or only those among `paths` (e.g. the ones an admin looked at).
+// The scan runs again first, and each batch is checked once more right before it's removed, so an object that
+// got referenced or written again in the meantime stays. Resolves to `{ data: { removed, skipped }, error }`:
+// the paths removed and those left alone because they aren't (or no longer are) orphans.
+// Stops at the first failed batch; what was removed until then is logged.
+async function removeOrphanedBlobs(paths = null) {
+  const { data: orphans, error } = await findOrphanedBlobs();
+  if (error) return { data: null, error: error };
+
+  const targets = paths ? orphans.filter((orphan) => paths.includes(orphan.path)) : orphans;
+  const skipped = paths ? paths.filter((p) => !targets.some((orphan) => orphan.path === p)) : [];
+  const targetsByUser = new Map();
+  for (const orphan of targets) {
+    if (!targetsByUser.has(orphan.user_id)) targetsByUser.set(orphan.user_id, []);
+    targetsByUser.get(orphan.user_id).push(orphan.path);
+  }
+
+  const removed = [];
+  for (const [userId, userPaths] of targetsByUser) {
+    for (let i = 0; i < userPaths.length; i += BLOB_REMOVE_BATCH_SIZE) {
+      const batch = userPaths.slice(i, i + BLOB_REMOVE_BATCH_SIZE);
+      const { data: stillOrphaned, error: checkError } = await recheckOrphans(userId, batch);
+      if (checkError) {
+        logger.error({ err: checkError, removed: removed.length }, 'Failed to check orphaned blobs before removal');
+        return { data: null, error: checkError };
+      }
+      skipped.push(...batch.filter((p) => !stillOrphaned.includes(p)));
+      if (stillOrphaned.length === 0) continue;
+
+      const { error: removeError } = await blobStore.remove(stillOrphaned);
+      if (removeError) {
+        logger.error({ err: removeError, removed: removed.length }, 'Failed to remove orphaned blobs');
+        return { data: null, error: removeError };
+      }
+      removed.push(...stillOrphaned);
+    }
+  }
+
+  if (removed.length > 0) logger.info({ removed: removed.length }, 'Removed orphaned blobs');
+  return { data: { removed: removed, skipped: skipped }, error: null };
+}
+
+module.exports = { ORPHAN_MIN_AGE_MINUTES, findOrphanedBlobs, removeOrphanedBlobs };
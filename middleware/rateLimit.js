@@ -0,0 +1,130 @@
+// Request rate limiting for the save API.
+// Fixed-window counters, keyed per user and per client IP, answered with the `RateLimit-*` headers
+// (IETF draft) and `429 Too Many Requests` plus `Retry-After` once a budget is used up.
+//
+// Counters live in a store with this interface, so several instances can share them:
+//   increment(key, windowMs) -> { data: { count, resetAt }, error }   count after adding this request
+//   get(key)                 -> { data: { count, resetAt } | null, error }
+// The store is selected by RATE_LIMIT_BACKEND (see storage/index.js and storage/rateLimit/).
+const logger = require('../config/logger');
+const { authFailures } = require('../config/metrics');
+const { rateLimitStore } = require('../storage');
+
+function setRateLimitHeaders(res, limit, remaining, resetAt, windowMs) {
+  res.setHeader('RateLimit-Policy', `${limit};w=${Math.ceil(windowMs / 1000)}`);
+  res.setHeader('RateLimit-Limit', String(limit));
+  res.setHeader('RateLimit-Remaining', String(Math.max(remaining, 0)));
+  res.setHeader('RateLimit-Reset', String(Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0)));
+}
+
+function sendTooManyRequests(res, resetAt, message) {
+  res.setHeader('Retry-After', String(Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)));
+  return res.status(429).json({ message: message });
+}
+
+// Limits a group of routes (`name` is the budget) to `userLimit` requests per user and `ipLimit` requests
+// per client IP within `windowMs`. Must run after the auth middleware. The headers report whichever of the
+// two counters is closer to its limit. If the store fails, requests are let through rather than rejected.
+function createRateLimiter({ name, userLimit, ipLimit, windowMs, store }) {
+  return async function rateLimit(req, res, next) {
+    const counters = [{ key: `${name}:ip:${req.ip}`, limit: ipLimit }];
+    if (req.user) {
+      counters.push({ key: `${name}:user:${req.user.id}`, limit: userLimit });
+    }
+
+    try {
+      const results = await Promise.all(counters.map((counter) => store.increment(counter.key, windowMs)));
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        logger.error({ err: failed.error, budget: name }, 'Rate limit store error, request let through');
+        return next();
+      }
+
+      // The tightest counter decides
+      const states = counters.map((counter, i) => ({
+        limit: counter.limit,
+        remaining: counter.limit - results[i].data.count,
+        resetAt: results[i].data.resetAt,
+      }));
+      const tightest = states.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+      setRateLimitHeaders(res, tightest.limit, tightest.remaining, tightest.resetAt, windowMs);
+
+      if (tightest.remaining < 0) {
+        logger.warn({ userId: req.user?.id, ip: req.ip, budget: name }, 'Rate limit exceeded');
+        return sendTooManyRequests(res, tightest.resetAt, 'Too many requests. Please slow down and retry later.');
+      }
+      next();
+    } catch (error) {
+      logger.error({ err: error, budget: name }, 'Rate limiter error, request let through');
+      next();
+    }
+  };
+}
+
+// Slows down token guessing: counts `401` responses per client IP and rejects every request from that IP
+// (before the token is even checked) once `limit` failures happened within `windowMs`.
+// Must run before the auth middleware.
+function createAuthFailureLimiter({ limit, windowMs, store }) {
+  return async function authFailureLimit(req, res, next) {
+    const key = `auth-failures:ip:${req.ip}`;
+
+    try {
+      const { data: window, error } = await store.get(key);
+      if (error) {
+        logger.error({ err: error }, 'Rate limit store error, request let through');
+      } else if (window && window.count >= limit) {
+        logger.warn({ ip: req.ip }, 'Too many failed authentication attempts');
+        authFailures.inc({ reason: 'too_many_failures' });
+        setRateLimitHeaders(res, limit, 0, window.resetAt, windowMs);
+        return sendTooManyRequests(res, window.resetAt, 'Too many failed authentication attempts. Retry later.');
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Auth failure limiter error, request let through');
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode === 401) {
+        store.increment(key, windowMs).catch((error) => {
+          logger.error({ err: error }, 'Failed to count authentication failure');
+        });
+      }
+    });
+    next();
+  };
+}
+
+// --- Limiters used by the API ---
+// Separate per-window budgets for uploads (and other writes), downloads and listing, counted per user and,
+// with RATE_LIMIT_IP_MULTIPLIER times the allowance, per client IP. Failed authentications are limited per IP
+// before the token is checked. Set RATE_LIMIT_BACKEND=redis to count across instances.
+const RATE_LIMIT_WINDOW_MS = (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60) * 1000;
+const RATE_LIMIT_IP_MULTIPLIER = parseInt(process.env.RATE_LIMIT_IP_MULTIPLIER, 10) || 5;
+
+function createBudget(name, userLimit) {
+  return createRateLimiter({
+    name: name,
+    userLimit: userLimit,
+    ipLimit: userLimit * RATE_LIMIT_IP_MULTIPLIER,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    store: rateLimitStore,
+  });
+}
+
+const uploadRateLimit = createBudget('uploads', parseInt(process.env.RATE_LIMIT_UPLOADS, 10) || 30);
+const downloadRateLimit = createBudget('downloads', parseInt(process.env.RATE_LIMIT_DOWNLOADS, 10) || 120);
+const listRateLimit = createBudget('list', parseInt(process.env.RATE_LIMIT_LIST, 10) || 60);
+const authFailureLimit = createAuthFailureLimiter({
+  limit: parseInt(process.env.RATE_LIMIT_AUTH_FAILURES, 10) || 10,
+  windowMs: (parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_SECONDS, 10) || 15 * 60) * 1000,
+  store: rateLimitStore,
+});
+// --- End Limiters used by the API ---
+
+module.exports = {
+  createRateLimiter,
+  createAuthFailureLimiter,
+  uploadRateLimit,
+  downloadRateLimit,
+  listRateLimit,
+  authFailureLimit,
+};
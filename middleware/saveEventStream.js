@@ -0,0 +1,90 @@
+// Live save events as Server-Sent Events (GET /api/saves/events): every stream gets the events of its user
+// (see middleware/saveEvents.js) about one game, as they happen.
+//
+// The latest events of each user are kept in memory, so a client reconnecting with Last-Event-ID gets what it
+// missed. When that id is no longer known (too old, or from before a restart) the stream starts with a `reset`
+// event instead, telling the client to reload its list. Events only reach the streams of the instance that
+// handled the change, so with several replicas a client has to stay on one instance (sticky sessions).
+const logger = require('../config/logger');
+const { saveEvents } = require('./saveEvents');
+
+const SSE_REPLAY_EVENTS = parseInt(process.env.SSE_REPLAY_EVENTS, 10) || 100; // Kept per user
+const SSE_REPLAY_MAX_USERS = 10000; // Users whose events are kept; the least recently active go first
+const SSE_HEARTBEAT_MS = (parseFloat(process.env.SSE_HEARTBEAT_SECONDS) || 25) * 1000;
+const SSE_STREAM_MAX_MS = (parseFloat(process.env.SSE_STREAM_MAX_MINUTES) || 60) * 60 * 1000;
+const SSE_MAX_STREAMS_PER_USER = parseInt(process.env.SSE_MAX_STREAMS_PER_USER, 10) || 10;
+const SSE_RETRY_MS = 3000; // Reconnect delay suggested to clients
+
+const recentEvents = new Map(); // userId -> events, oldest first
+const streams = new Map(); // userId -> Set of { gameId, send }
+
+function rememberEvent(event) {
+  const events = recentEvents.get(event.user_id) || [];
+  recentEvents.delete(event.user_id); // Re-inserted below, so the map stays ordered by activity
+  events.push(event);
+  if (events.length > SSE_REPLAY_EVENTS) events.shift();
+  recentEvents.set(event.user_id, events);
+  if (recentEvents.size > SSE_REPLAY_MAX_USERS) {
+    recentEvents.delete(recentEvents.keys().next().value);
+  }
+}
+
+saveEvents.on('event', (event) => {
+  rememberEvent(event);
+  for (const stream of streams.get(event.user_id) || []) {
+    if (stream.gameId === event.data.game_id) stream.send(event);
+  }
+});
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+function countEventStreams(userId) {
+  return streams.get(userId)?.size || 0;
+}
+
+// Turns the response into the event stream of `userId`'s saves of `gameId`. It stays open until the client
+// leaves or SSE_STREAM_MAX_MINUTES pass; clients then reconnect, which checks their credentials again.
+function openEventStream(req, res, { userId, gameId, lastEventId }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Keeps nginx from buffering the stream
+  });
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  if (lastEventId) {
+    const events = recentEvents.get(userId) || [];
+    const seen = events.findIndex((event) => event.id === lastEventId);
+    if (seen === -1) {
+      // Carries the newest id, so the next reconnect can resume from here
+      res.write(`id: ${events.length > 0 ? events[events.length - 1].id : ''}\nevent: reset\ndata: {}\n\n`);
+    } else {
+      events
+        .slice(seen + 1)
+        .filter((event) => event.data.game_id === gameId)
+        .forEach((event) => res.write(formatEvent(event)));
+    }
+  }
+
+  const stream = { gameId: gameId, send: (event) => res.write(formatEvent(event)) };
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  streams.get(userId).add(stream);
+  logger.debug({ userId: userId, gameId: gameId, streams: countEventStreams(userId) }, 'Save event stream opened');
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS); // Keeps proxies from timing out
+  const expiry = setTimeout(() => res.end(), SSE_STREAM_MAX_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    const userStreams = streams.get(userId);
+    userStreams.delete(stream);
+    if (userStreams.size === 0) streams.delete(userId);
+    logger.debug({ userId: userId, gameId: gameId }, 'Save event stream closed');
+  });
+}
+
+module.exports = { SSE_MAX_STREAMS_PER_USER, countEventStreams, openEventStream };
@@ -0,0 +1,35 @@
+// Save lifecycle events, published by the save routes whenever a save changes:
+//   save.created  a save appeared: an upload into a free slot, an import, a restore from the trash
+//   save.updated  a new revision became current: an upload over an existing save, a revision restore
+//   save.deleted  a save was moved to the trash or deleted permanently
+// Listeners of 'event' get `{ id, type, occurred_at, user_id, data }`, where `data` holds the save's metadata.
+// Webhooks (middleware/webhooks.js) deliver them to other services.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const SAVE_EVENT_TYPES = ['save.created', 'save.updated', 'save.deleted'];
+
+const saveEvents = new EventEmitter();
+
+// `save` is a save_metadata row (or a trash item); `details` adds event-specific fields to `data`
+function publishSaveEvent(type, save, details = {}) {
+  saveEvents.emit('event', {
+    id: crypto.randomUUID(),
+    type: type,
+    occurred_at: new Date().toISOString(),
+    user_id: save.user_id,
+    data: {
+      game_id: save.game_id,
+      file_name: save.file_name,
+      size_bytes: save.size_bytes,
+      version: save.version,
+      custom_metadata: save.custom_metadata,
+      sha256: save.sha256,
+      revision_id: save.revision_id,
+      updated_at: save.updated_at,
+      ...details,
+    },
+  });
+}
+
+module.exports = { SAVE_EVENT_TYPES, saveEvents, publishSaveEvent };
@@ -0,0 +1,66 @@
+// Share links hand one revision of a save to anyone holding the link, without logging in.
+// The token in the link is `<link id>.<expiry, unix seconds>.<signature>`, signed with HMAC-SHA256 under
+// SHARE_LINK_SECRET, so forged or edited tokens are turned away before the metadata store is asked. The
+// `share_links` row still decides whether the link works: revoked, expired and used-up links are refused.
+//
+// Without SHARE_LINK_SECRET a random secret is generated at startup; links then stop working on restart and
+// aren't valid across instances.
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { metadataStore } = require('../storage');
+
+const SHARE_LINK_SECRET = process.env.SHARE_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SHARE_LINK_SECRET) {
+  logger.warn('SHARE_LINK_SECRET is not set; share links will stop working when the server restarts.');
+}
+
+function sign(id, expiresAtSec) {
+  return crypto.createHmac('sha256', SHARE_LINK_SECRET).update(`${id}.${expiresAtSec}`).digest('base64url');
+}
+
+function createShareToken(link) {
+  const expiresAtSec = Math.floor(new Date(link.expires_at).getTime() / 1000);
+  return `${link.id}.${expiresAtSec}.${sign(link.id, expiresAtSec)}`;
+}
+
+// The link id a token carries, or null if the token is malformed, forged or past its expiry
+function verifyShareToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || !/^\d+$/.test(parts[1])) return null;
+
+  const [id, expiresAtSec, signature] = parts;
+  const expected = Buffer.from(sign(id, expiresAtSec));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  if (Number(expiresAtSec) * 1000 <= Date.now()) return null;
+  return id;
+}
+
+// Resolves a token to `{ data: link, error }`; `data` is null when the link doesn't (or no longer) work.
+// A single-use link isn't claimed here: see claimShareLink.
+async function redeemShareToken(token) {
+  const id = verifyShareToken(token);
+  if (!id) return { data: null, error: null };
+
+  const { data: link, error } = await metadataStore.getShareLink(id);
+  if (error) return { data: null, error: error };
+  if (!link || link.revoked_at || link.used_at || new Date(link.expires_at) <= new Date()) {
+    return { data: null, error: null };
+  }
+  return { data: link, error: null };
+}
+
+// Uses up a single-use link right before the save is handed out. Resolves to `{ data: link, error }`, where
+// `data` is null if another request used it first; other links pass through untouched.
+async function claimShareLink(link) {
+  return link.single_use ? metadataStore.claimShareLink(link.id) : { data: link, error: null };
+}
+
+// Gives a single-use link back when handing out the save failed after it was claimed
+async function releaseShareLink(link) {
+  if (!link.single_use) return;
+  const { error } = await metadataStore.releaseShareLink(link.id);
+  if (error) logger.error({ err: error, shareId: link.id }, 'Failed to release a single-use share link');
+}
+
+module.exports = { createShareToken, verifyShareToken, redeemShareToken, claimShareLink, releaseShareLink };
@@ -0,0 +1,273 @@
+// Webhooks: save events (see middleware/saveEvents.js) POSTed to endpoints that users register.
+// Admins can also register webhooks for the events of all users.
+//
+// Every event becomes one row per matching webhook in `webhook_deliveries`, the persistent queue. A worker
+// polls it for due deliveries; a failed attempt (network error, timeout, non-2xx answer) is retried with
+// exponential backoff, and after WEBHOOK_MAX_ATTEMPTS the delivery is marked dead (the dead-letter list) until
+// someone retries it by hand. The rows double as the delivery log. Several instances can share the queue: each
+// delivery is claimed with a lease before it's attempted.
+//
+// Each request carries the event as its JSON body, signed with the webhook's secret:
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of `${X-Webhook-Timestamp}.${body}`>
+// plus X-Webhook-Id, X-Webhook-Event, X-Webhook-Delivery and X-Webhook-Timestamp (unix seconds).
+//
+// Endpoints must resolve to public addresses only, so webhooks can't be aimed at the server's own network
+// (loopback, private ranges, link-local and cloud metadata, ...). The check runs at registration and again on
+// every connection, against the addresses the request actually connects to, so a DNS answer that changes
+// after registration doesn't get around it. Hosts in WEBHOOK_ALLOWED_HOSTS skip the check (local test stubs).
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const logger = require('../config/logger');
+const { metadataStore } = require('../storage');
+const { saveEvents } = require('./saveEvents');
+
+const WEBHOOK_SECRET_PREFIX = 'whsec_';
+const WEBHOOK_TIMEOUT_MS = (parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const WEBHOOK_RETRY_BASE_MS = (parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000;
+const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000; // Backoff stops growing at 6 hours
+const WEBHOOK_POLL_INTERVAL_MS = (parseFloat(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 5) * 1000;
+const WEBHOOK_BATCH_SIZE = 20; // Deliveries attempted at once
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Addresses webhooks may not reach. IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) match the IPv4 rules.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT (also Alibaba Cloud's metadata service)
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local (AWS, GCP and Azure metadata services)
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4], // Reserved and broadcast
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // NAT64, which reaches IPv4 addresses
+  ['fc00::', 7], // Unique local (also AWS' IPv6 metadata service)
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+function generateWebhookSecret() {
+  return WEBHOOK_SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isBlockedAddress(address, family) {
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolves `hostname` to `{ data: [{ address, family }], error }`; an error when it doesn't resolve or any of
+// its addresses isn't public
+async function resolveWebhookHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      return { data: null, error: new Error(`Could not resolve ${host}: ${error.code || error.message}`) };
+    }
+  }
+
+  if (!WEBHOOK_ALLOWED_HOSTS.includes(host)) {
+    const blocked = addresses.find(({ address, family }) => isBlockedAddress(address, family));
+    if (blocked) {
+      return { data: null, error: new Error(`${host} resolves to ${blocked.address}, which is not a public address`) };
+    }
+  }
+  return { data: addresses, error: null };
+}
+
+// Checks a webhook URL at registration: `{ data: addresses, error }` like resolveWebhookHost
+function checkWebhookUrl(url) {
+  return resolveWebhookHost(new URL(url).hostname);
+}
+
+// dns.lookup replacement for the delivery requests, so the socket only ever connects to checked addresses
+function webhookLookup(hostname, options, callback) {
+  resolveWebhookHost(hostname).then(({ data: addresses, error }) => {
+    if (error) return callback(error);
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  }, callback);
+}
+
+// POSTs `body` to `url`; resolves to the response status. Redirects aren't followed.
+async function postWebhook(url, headers, body) {
+  const target = new URL(url);
+  // Connections to IP literals skip the lookup, so those are checked here
+  const { error } = await resolveWebhookHost(target.hostname);
+  if (error) throw error;
+
+  const transport = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: webhookLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      },
+      (response) => {
+        response.resume(); // The answer's body isn't needed
+        resolve(response.statusCode);
+      },
+    );
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Delay before attempt number `attempts + 1`: doubling from WEBHOOK_RETRY_BASE_SECONDS, with ±10% jitter so
+// deliveries that failed together don't retry together
+function retryDelay(attempts) {
+  const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS);
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+}
+
+// Queues a delivery of `event` for every webhook that wants it
+async function enqueueEvent(event) {
+  const { data: webhooks, error } = await metadataStore.listWebhooksForEvent(event.user_id, event.type);
+  if (error) {
+    logger.error({ err: error, eventId: event.id }, 'Failed to look up webhooks for event');
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const rows = webhooks
+    .filter((webhook) => !webhook.game_id || webhook.game_id === event.data.game_id)
+    .map((webhook) => ({
+      webhook_id: webhook.id,
+      user_id: webhook.user_id,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+    }));
+  if (rows.length === 0) return;
+
+  const { error: insertError } = await metadataStore.insertDeliveries(rows);
+  if (insertError) {
+    logger.error({ err: insertError, eventId: event.id }, 'Failed to queue webhook deliveries');
+    return;
+  }
+  drainQueue();
+}
+
+// One attempt at a delivery; the outcome is written back to its row
+async function attemptDelivery(delivery) {
+  // The lease keeps other instances (and the next poll) away while the request is in flight
+  const leaseUntil = new Date(Date.now() + 2 * WEBHOOK_TIMEOUT_MS).toISOString();
+  const { data: claimed, error: claimError } = await metadataStore.claimDelivery(
+    delivery.id,
+    delivery.next_attempt_at,
+    leaseUntil,
+  );
+  if (claimError || !claimed) return;
+
+  const { data: webhook, error: webhookError } = await metadataStore.getWebhookById(delivery.webhook_id);
+  if (webhookError || !webhook) return; // Deleting a webhook deletes its deliveries too
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let failure = null;
+  try {
+    responseStatus = await postWebhook(
+      webhook.url,
+      {
+        'Content-Type': 'application/json',
+        'User-Agent': 'save-system-webhooks/1',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+    );
+    if (responseStatus < 200 || responseStatus >= 300) failure = `Endpoint responded with status ${responseStatus}`;
+  } catch (error) {
+    failure = error.message;
+  }
+
+  const attempts = claimed.attempts + 1;
+  const now = new Date();
+  const outcome = { attempts: attempts, last_attempt_at: now.toISOString(), last_status: responseStatus };
+  if (!failure) {
+    Object.assign(outcome, { status: 'delivered', last_error: null, delivered_at: now.toISOString() });
+  } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    Object.assign(outcome, { status: 'dead', last_error: failure });
+    logger.warn({ webhookId: webhook.id, deliveryId: delivery.id, error: failure }, 'Webhook delivery gave up');
+  } else {
+    const nextAttemptAt = new Date(now.getTime() + retryDelay(attempts)).toISOString();
+    Object.assign(outcome, { last_error: failure, next_attempt_at: nextAttemptAt });
+    logger.info(
+      { webhookId: webhook.id, deliveryId: delivery.id, error: failure },
+      'Webhook delivery failed, will retry',
+    );
+  }
+
+  const { error: updateError } = await metadataStore.updateDelivery(delivery.id, outcome);
+  if (updateError) {
+    logger.error({ err: updateError, deliveryId: delivery.id }, 'Failed to record webhook delivery attempt');
+  }
+}
+
+// Attempts every due delivery, a batch at a time. Concurrent calls share one run.
+let drainRun = null;
+
+function drainQueue() {
+  drainRun ||= (async () => {
+    for (;;) {
+      const { data: due, error } = await metadataStore.listDueDeliveries(new Date().toISOString(), WEBHOOK_BATCH_SIZE);
+      if (error) {
+        logger.error({ err: error }, 'Failed to read the webhook queue');
+        return;
+      }
+      await Promise.all(due.map(attemptDelivery));
+      if (due.length < WEBHOOK_BATCH_SIZE) return;
+    }
+  })()
+    .catch((error) => logger.error({ err: error }, 'Webhook delivery error'))
+    .finally(() => {
+      drainRun = null;
+    });
+  return drainRun;
+}
+
+// Subscribes to save events and polls the queue for retries (and deliveries queued by other instances)
+function startWebhookWorker() {
+  saveEvents.on('event', (event) => {
+    enqueueEvent(event).catch((error) => logger.error({ err: error, eventId: event.id }, 'Webhook enqueue error'));
+  });
+  setInterval(drainQueue, WEBHOOK_POLL_INTERVAL_MS).unref(); // Don't keep the process alive for it
+  return drainQueue();
+}
+
+module.exports = { generateWebhookSecret, signPayload, checkWebhookUrl, drainQueue, startWebhookWorker };
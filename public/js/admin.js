@@ -0,0 +1,433 @@
+// Admin page for support staff (see /api/admin in the README). SUPABASE_URL and SUPABASE_ANON_KEY are available
+// globally from admin.ejs. The page only works for admins: every call it makes is refused for other users.
+const { createClient } = supabase;
+const supabaseClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+
+const loginView = document.getElementById('login-view');
+const loginForm = document.getElementById('login-form');
+const emailLoginInput = document.getElementById('email-login');
+const passwordLoginInput = document.getElementById('password-login');
+const authErrorLoginP = document.getElementById('auth-error-login');
+
+const adminSection = document.getElementById('admin-section');
+const adminEmailSpan = document.getElementById('admin-email');
+const logoutButton = document.getElementById('logout-button');
+
+const userLookupForm = document.getElementById('user-lookup-form');
+const userLookupInput = document.getElementById('user-lookup-id');
+const usersListUL = document.getElementById('users-list');
+const usersMoreButton = document.getElementById('users-more-button');
+const usersStatusP = document.getElementById('users-status');
+
+const userDetailDiv = document.getElementById('user-detail');
+const detailUserIdSpan = document.getElementById('detail-user-id');
+const detailUsageP = document.getElementById('detail-usage');
+const detailSavesListUL = document.getElementById('detail-saves-list');
+const savesMoreButton = document.getElementById('saves-more-button');
+const detailSavesStatusP = document.getElementById('detail-saves-status');
+const detailTrashListUL = document.getElementById('detail-trash-list');
+const detailTrashStatusP = document.getElementById('detail-trash-status');
+const detailAuditListUL = document.getElementById('detail-audit-list');
+const detailAuditStatusP = document.getElementById('detail-audit-status');
+
+const orphansScanButton = document.getElementById('orphans-scan-button');
+const orphansCleanupButton = document.getElementById('orphans-cleanup-button');
+const orphansListUL = document.getElementById('orphans-list');
+const orphansStatusP = document.getElementById('orphans-status');
+
+let currentSession = null;
+let selectedUserId = null;
+let nextUsersCursor = null;
+let nextSavesCursor = null;
+let scannedOrphanPaths = [];
+
+// --- Authentication ---
+async function handleLogin(event) {
+  event.preventDefault();
+  authErrorLoginP.textContent = '';
+
+  try {
+    const { data, error } = await supabaseClient.auth.signInWithPassword({
+      email: emailLoginInput.value,
+      password: passwordLoginInput.value,
+    });
+    if (error) {
+      authErrorLoginP.textContent = `Login failed: ${error.message}`;
+      return;
+    }
+    showAdminSection(data.session);
+  } catch (err) {
+    authErrorLoginP.textContent = `Login error: ${err.message}`;
+    console.error('Login exception:', err);
+  }
+}
+
+async function handleLogout() {
+  await supabaseClient.auth.signOut();
+  currentSession = null;
+  selectedUserId = null;
+  loginView.style.display = 'block';
+  adminSection.style.display = 'none';
+  userDetailDiv.style.display = 'none';
+  usersListUL.innerHTML = '';
+  orphansListUL.innerHTML = '';
+  orphansCleanupButton.style.display = 'none';
+}
+
+function showAdminSection(session) {
+  currentSession = session;
+  loginView.style.display = 'none';
+  adminSection.style.display = 'block';
+  adminEmailSpan.textContent = session.user.email;
+  loadUsers();
+}
+
+// --- API Calls & UI Updates ---
+// Calls the API as the signed-in admin; resolves to the response, or throws with the server's message
+async function apiFetch(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${currentSession.access_token}`,
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+    },
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+  }
+  return response;
+}
+
+function userPath(userId) {
+  return `/api/admin/users/${encodeURIComponent(userId)}`;
+}
+
+async function loadUsers(cursor) {
+  usersStatusP.textContent = 'Loading users...';
+  usersMoreButton.style.display = 'none';
+  if (!cursor) usersListUL.innerHTML = '';
+
+  try {
+    const response = await apiFetch(
+      cursor ? `/api/admin/users?cursor=${encodeURIComponent(cursor)}` : '/api/admin/users',
+    );
+    const users = await response.json();
+    nextUsersCursor = response.headers.get('X-Next-Cursor');
+    usersMoreButton.style.display = nextUsersCursor ? 'inline-block' : 'none';
+    usersStatusP.textContent = users.length > 0 || cursor ? '' : 'No users with saves yet.';
+    users.forEach((usage) => {
+      const li = document.createElement('li');
+      li.innerHTML = `
+                <strong>${escapeHtml(usage.user_id)}</strong> ${describeUsage(usage)}
+                <button class="open-user-btn" data-user-id="${escapeHtml(usage.user_id)}">Open</button>
+            `;
+      usersListUL.appendChild(li);
+    });
+  } catch (error) {
+    console.error('Error loading users:', error);
+    usersStatusP.textContent = `Error: ${error.message}`;
+  }
+}
+
+function describeUsage(usage) {
+  const lastUpdate = usage.last_updated_at ? new Date(usage.last_updated_at).toLocaleString() : 'never';
+  return (
+    `${usage.files} save(s), ${usage.revisions} revision(s), ${usage.trashed} in the trash, ` +
+    `${formatBytes(Number(usage.stored_bytes))} stored, last upload: ${lastUpdate}`
+  );
+}
+
+// Shows everything about one user: usage, saves, trash and their latest audit entries
+async function openUser(userId) {
+  selectedUserId = userId;
+  userDetailDiv.style.display = 'block';
+  detailUserIdSpan.textContent = userId;
+  detailUsageP.textContent = 'Loading...';
+
+  try {
+    const response = await apiFetch(userPath(userId));
+    detailUsageP.textContent = describeUsage(await response.json());
+  } catch (error) {
+    detailUsageP.textContent = `Error: ${error.message}`;
+  }
+  loadUserSaves();
+  loadUserTrash();
+  loadUserAudit();
+}
+
+async function loadUserSaves(cursor) {
+  detailSavesStatusP.textContent = 'Loading saves...';
+  savesMoreButton.style.display = 'none';
+  if (!cursor) detailSavesListUL.innerHTML = '';
+
+  try {
+    const url = `${userPath(selectedUserId)}/saves${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`;
+    const response = await apiFetch(url);
+    const saves = await response.json();
+    nextSavesCursor = response.headers.get('X-Next-Cursor');
+    savesMoreButton.style.display = nextSavesCursor ? 'inline-block' : 'none';
+    detailSavesStatusP.textContent = saves.length > 0 || cursor ? '' : 'No save files.';
+    saves.forEach((save) => {
+      const data = `data-game-id="${escapeHtml(save.game_id)}" data-filename="${escapeHtml(save.file_name)}"`;
+      const li = document.createElement('li');
+      li.innerHTML = `
+                <strong>${escapeHtml(save.file_name)}</strong> (${escapeHtml(save.game_id)}, v${escapeHtml(save.version || 'N/A')}, ${formatBytes(save.size_bytes)}) -
+                Last updated: ${new Date(save.updated_at).toLocaleString()}
+                <button class="download-btn" ${data}>Download</button>
+                <button class="delete-btn" ${data}>Move to trash</button>
+                <button class="delete-forever-btn" ${data}>Delete forever</button>
+            `;
+      detailSavesListUL.appendChild(li);
+    });
+  } catch (error) {
+    console.error('Error loading saves:', error);
+    detailSavesStatusP.textContent = `Error: ${error.message}`;
+  }
+}
+
+async function loadUserTrash() {
+  detailTrashListUL.innerHTML = '';
+  try {
+    const response = await apiFetch(`${userPath(selectedUserId)}/trash`);
+    const items = await response.json();
+    detailTrashStatusP.textContent = items.length > 0 ? '' : 'The trash is empty.';
+    items.forEach((item) => {
+      const li = document.createElement('li');
+      li.innerHTML = `
+                <strong>${escapeHtml(item.file_name)}</strong> (${escapeHtml(item.game_id)}, ${formatBytes(item.size_bytes)}) -
+                Deleted: ${new Date(item.trashed_at).toLocaleString()}, removed for good on ${new Date(item.purge_at).toLocaleString()}
+                <button class="restore-btn" data-trash-id="${escapeHtml(item.id)}">Restore</button>
+                <button class="purge-btn" data-trash-id="${escapeHtml(item.id)}" data-filename="${escapeHtml(item.file_name)}">Delete forever</button>
+            `;
+      detailTrashListUL.appendChild(li);
+    });
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    detailTrashStatusP.textContent = `Error: ${error.message}`;
+  }
+}
+
+// The user's 20 latest audit entries, including what admins did to their saves
+async function loadUserAudit() {
+  detailAuditListUL.innerHTML = '';
+  try {
+    const response = await apiFetch(`/api/saves/audit?limit=20&user_id=${encodeURIComponent(selectedUserId)}`);
+    const entries = await response.json();
+    detailAuditStatusP.textContent = entries.length > 0 ? '' : 'No activity recorded.';
+    entries.forEach((entry) => {
+      const by = entry.details.admin_id ? ` by admin ${escapeHtml(entry.details.admin_id)}` : '';
+      const li = document.createElement('li');
+      li.innerHTML = `
+                ${new Date(entry.created_at).toLocaleString()}: <strong>${escapeHtml(entry.action)}</strong> ${escapeHtml(entry.outcome)}
+                ${escapeHtml(entry.file_name || '')}${by} (${escapeHtml(entry.ip || 'unknown IP')})
+            `;
+      detailAuditListUL.appendChild(li);
+    });
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    detailAuditStatusP.textContent = `Error: ${error.message}`;
+  }
+}
+
+function savePath(gameId, fileName) {
+  return `${userPath(selectedUserId)}/saves/${encodeURIComponent(gameId)}/${encodeURIComponent(fileName)}`;
+}
+
+async function handleDownload(gameId, fileName) {
+  detailSavesStatusP.textContent = `Downloading ${fileName}...`;
+  try {
+    const response = await apiFetch(savePath(gameId, fileName));
+    const blob = await response.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+    detailSavesStatusP.textContent = `Downloaded ${fileName}.`;
+    loadUserAudit();
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    detailSavesStatusP.textContent = `Error downloading ${fileName}: ${error.message}`;
+  }
+}
+
+async function handleDelete(gameId, fileName, permanent) {
+  const question = permanent
+    ? `Delete ${fileName} and all of its history forever? This cannot be undone.`
+    : `Move ${fileName} to the user's trash?`;
+  if (!confirm(question)) return;
+
+  detailSavesStatusP.textContent = `Deleting ${fileName}...`;
+  try {
+    const response = await apiFetch(`${savePath(gameId, fileName)}${permanent ? '?permanent=true' : ''}`, {
+      method: 'DELETE',
+    });
+    const result = await response.json();
+    detailSavesStatusP.textContent = `Success: ${result.message}`;
+    openUser(selectedUserId);
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    detailSavesStatusP.textContent = `Error deleting ${fileName}: ${error.message}`;
+  }
+}
+
+async function handleRestore(trashId) {
+  detailTrashStatusP.textContent = 'Restoring...';
+  try {
+    const url = `${userPath(selectedUserId)}/trash/${encodeURIComponent(trashId)}/restore`;
+    let response;
+    try {
+      response = await apiFetch(url, { method: 'POST', body: '{}' });
+    } catch (error) {
+      // The name may have been taken since; offer another one
+      const fileName = error.message.includes('already exists') && prompt(`${error.message}\nRestore as:`);
+      if (!fileName) throw error;
+      response = await apiFetch(url, { method: 'POST', body: JSON.stringify({ file_name: fileName }) });
+    }
+    const result = await response.json();
+    detailTrashStatusP.textContent = `Success: ${result.message}`;
+    openUser(selectedUserId);
+  } catch (error) {
+    console.error('Error restoring save:', error);
+    detailTrashStatusP.textContent = `Error restoring: ${error.message}`;
+  }
+}
+
+async function handlePurge(trashId, fileName) {
+  if (!confirm(`Delete ${fileName} forever? This cannot be undone.`)) return;
+
+  detailTrashStatusP.textContent = `Deleting ${fileName}...`;
+  try {
+    const response = await apiFetch(`${userPath(selectedUserId)}/trash/${encodeURIComponent(trashId)}`, {
+      method: 'DELETE',
+    });
+    const result = await response.json();
+    detailTrashStatusP.textContent = `Success: ${result.message}`;
+    openUser(selectedUserId);
+  } catch (error) {
+    console.error('Error deleting save:', error);
+    detailTrashStatusP.textContent = `Error deleting ${fileName}: ${error.message}`;
+  }
+}
+
+async function handleOrphanScan() {
+  orphansStatusP.textContent = 'Scanning storage...';
+  orphansListUL.innerHTML = '';
+  orphansCleanupButton.style.display = 'none';
+
+  try {
+    const response = await apiFetch('/api/admin/orphans');
+    const scan = await response.json();
+    scannedOrphanPaths = scan.orphans.map((orphan) => orphan.path);
+    orphansStatusP.textContent =
+      `${scan.count} orphaned object(s), ${formatBytes(scan.total_bytes)} ` +
+      `(objects younger than ${scan.min_age_minutes} minutes are left out).`;
+    orphansCleanupButton.style.display = scan.count > 0 ? 'inline-block' : 'none';
+    scan.orphans.forEach((orphan) => {
+      const li = document.createElement('li');
+      li.innerHTML = `
+                <strong>${escapeHtml(orphan.path)}</strong> (${formatBytes(orphan.size || 0)}) -
+                Last modified: ${new Date(orphan.updated_at).toLocaleString()}
+            `;
+      orphansListUL.appendChild(li);
+    });
+  } catch (error) {
+    console.error('Error scanning storage:', error);
+    orphansStatusP.textContent = `Error: ${error.message}`;
+  }
+}
+
+// Removes the objects the last scan found; the server checks each one again first
+async function handleOrphanCleanup() {
+  if (!confirm(`Remove ${scannedOrphanPaths.length} orphaned object(s) from storage? This cannot be undone.`)) return;
+
+  orphansStatusP.textContent = 'Removing...';
+  try {
+    const response = await apiFetch('/api/admin/orphans/cleanup', {
+      method: 'POST',
+      body: JSON.stringify({ paths: scannedOrphanPaths }),
+    });
+    const result = await response.json();
+    const skipped = result.skipped.length > 0 ? ` ${result.skipped.length} were in use again and kept.` : '';
+    orphansListUL.innerHTML = '';
+    orphansCleanupButton.style.display = 'none';
+    scannedOrphanPaths = [];
+    orphansStatusP.textContent = `Success: ${result.message}${skipped}`;
+  } catch (error) {
+    console.error('Error removing orphaned objects:', error);
+    orphansStatusP.textContent = `Error: ${error.message}`;
+  }
+}
+
+// --- Event Listeners ---
+loginForm.addEventListener('submit', handleLogin);
+logoutButton.addEventListener('click', handleLogout);
+usersMoreButton.addEventListener('click', () => loadUsers(nextUsersCursor));
+savesMoreButton.addEventListener('click', () => loadUserSaves(nextSavesCursor));
+orphansScanButton.addEventListener('click', handleOrphanScan);
+orphansCleanupButton.addEventListener('click', handleOrphanCleanup);
+
+userLookupForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  openUser(userLookupInput.value.trim());
+});
+
+usersListUL.addEventListener('click', (event) => {
+  if (event.target.classList.contains('open-user-btn')) {
+    openUser(event.target.dataset.userId);
+  }
+});
+
+detailSavesListUL.addEventListener('click', (event) => {
+  const { gameId, filename } = event.target.dataset;
+  if (event.target.classList.contains('download-btn')) {
+    handleDownload(gameId, filename);
+  }
+  if (event.target.classList.contains('delete-btn')) {
+    handleDelete(gameId, filename, false);
+  }
+  if (event.target.classList.contains('delete-forever-btn')) {
+    handleDelete(gameId, filename, true);
+  }
+});
+
+detailTrashListUL.addEventListener('click', (event) => {
+  if (event.target.classList.contains('restore-btn')) {
+    handleRestore(event.target.dataset.trashId);
+  }
+  if (event.target.classList.contains('purge-btn')) {
+    handlePurge(event.target.dataset.trashId, event.target.dataset.filename);
+  }
+});
+
+// --- Utility ---
+// File names and metadata come from users; never let them into the page as markup
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char],
+  );
+}
+
+function formatBytes(bytes, decimals = 2) {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const dm = decimals < 0 ? 0 : decimals;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
+// --- Initial Check for Existing Session (e.g., on page load/refresh) ---
+document.addEventListener('DOMContentLoaded', async () => {
+  if (typeof supabase === 'undefined' || typeof supabase.createClient === 'undefined') {
+    console.error('Supabase client (supabase.js) not loaded. Make sure it is included before admin.js');
+    alert('Critical error: Supabase library not found. UI cannot function.');
+    return;
+  }
+  const { data } = await supabaseClient.auth.getSession();
+  if (data.session) showAdminSection(data.session);
+});
@@ -17,6 +17,16 @@ const uploadStatusP = document.getElementById('upload-status');
 
 const saveFilesListUL = document.getElementById('save-files-list');
 const listStatusP = document.getElementById('list-status');
+const loadMoreButton = document.getElementById('load-more-button');
+const usageStatusP = document.getElementById('usage-status');
+const trashListUL = document.getElementById('trash-list');
+const trashStatusP = document.getElementById('trash-status');
+
+const exportButton = document.getElementById('export-button');
+const importForm = document.getElementById('import-form');
+const archiveFileInput = document.getElementById('archive-file');
+const importConflictSelect = document.getElementById('import-conflict');
+const backupStatusP = document.getElementById('backup-status');
 
 const authContainer = document.getElementById('auth-container');
 const loginView = document.getElementById('login-view');
@@ -60,6 +70,7 @@ async function handleLogin(event) {
       currentSession = data.session;
       updateUIVisibility(true);
       loadSaveFiles();
+      subscribeToSaveEvents();
     } else {
       authErrorLoginP.textContent = 'Login failed. No user data received.';
     }
@@ -70,6 +81,7 @@ async function handleLogin(event) {
 }
 
 async function handleLogout() {
+  unsubscribeFromSaveEvents();
   const { error } = await supabaseClient.auth.signOut();
   if (error) {
     console.error('Logout error:', error);
@@ -79,6 +91,10 @@ async function handleLogout() {
   currentSession = null;
   updateUIVisibility(false);
   saveFilesListUL.innerHTML = ''; // Clear list
+  loadMoreButton.style.display = 'none';
+  usageStatusP.textContent = '';
+  trashListUL.innerHTML = '';
+  trashStatusP.textContent = '';
 }
 
 function updateUIVisibility(isLoggedIn) {
@@ -98,13 +114,18 @@ function updateUIVisibility(isLoggedIn) {
 }
 
 // --- API Calls & UI Updates ---
-async function loadSaveFiles() {
+// The list comes in pages; `nextSavesCursor` is where the next one starts, or null after the last
+let nextSavesCursor = null;
+
+async function loadSaveFiles(cursor) {
   if (!currentSession) return;
   listStatusP.textContent = 'Loading save files...';
-  saveFilesListUL.innerHTML = '';
+  loadMoreButton.style.display = 'none';
+  if (!cursor) saveFilesListUL.innerHTML = '';
 
   try {
-    const response = await fetch('/api/saves', {
+    const url = cursor ? `/api/saves?cursor=${encodeURIComponent(cursor)}` : '/api/saves';
+    const response = await fetch(url, {
       headers: {
         Authorization: `Bearer ${currentSession.access_token}`,
       },
@@ -114,15 +135,17 @@ async function loadSaveFiles() {
       throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
     }
     const files = await response.json();
-    listStatusP.textContent = files.length > 0 ? '' : 'No save files found.';
+    nextSavesCursor = response.headers.get('X-Next-Cursor');
+    loadMoreButton.style.display = nextSavesCursor ? 'inline-block' : 'none';
+    listStatusP.textContent = files.length > 0 || cursor ? '' : 'No save files found.';
     files.forEach((file) => {
       const li = document.createElement('li');
       li.innerHTML = `
-                <strong>${file.file_name}</strong> (v${file.version || 'N/A'}, ${formatBytes(file.size_bytes)}) - 
+                <strong>${escapeHtml(file.file_name)}</strong> (v${escapeHtml(file.version || 'N/A')}, ${formatBytes(file.size_bytes)}) - 
                 Last updated: ${new Date(file.updated_at).toLocaleString()}
-                <button class="download-btn" data-filename="${file.file_name}">Download</button>
-                <button class="delete-btn" data-filename="${file.file_name}">Delete</button>
-                <pre>${file.custom_metadata ? JSON.stringify(file.custom_metadata, null, 2) : ''}</pre>
+                <button class="download-btn" data-filename="${escapeHtml(file.file_name)}">Download</button>
+                <button class="delete-btn" data-filename="${escapeHtml(file.file_name)}">Delete</button>
+                <pre>${file.custom_metadata ? escapeHtml(JSON.stringify(file.custom_metadata, null, 2)) : ''}</pre>
             `;
       saveFilesListUL.appendChild(li);
     });
@@ -130,6 +153,82 @@ async function loadSaveFiles() {
     console.error('Error loading save files:', error);
     listStatusP.textContent = `Error: ${error.message}`;
   }
+  loadUsage();
+  if (!cursor) loadTrash();
+}
+
+// Deleted saves stay in the trash until they're restored or their retention ends
+async function loadTrash() {
+  if (!currentSession) return;
+
+  try {
+    const response = await fetch('/api/saves/trash', {
+      headers: {
+        Authorization: `Bearer ${currentSession.access_token}`,
+      },
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+    }
+    const items = await response.json();
+    trashListUL.innerHTML = '';
+    trashStatusP.textContent = items.length > 0 ? '' : 'The trash is empty.';
+    items.forEach((item) => {
+      const li = document.createElement('li');
+      li.innerHTML = `
+                <strong>${escapeHtml(item.file_name)}</strong> (v${escapeHtml(item.version || 'N/A')}, ${formatBytes(item.size_bytes)}) -
+                Deleted: ${new Date(item.trashed_at).toLocaleString()}, removed for good on ${new Date(item.purge_at).toLocaleString()}
+                <button class="restore-btn" data-trash-id="${escapeHtml(item.id)}">Restore</button>
+                <button class="purge-btn" data-trash-id="${escapeHtml(item.id)}" data-filename="${escapeHtml(item.file_name)}">Delete forever</button>
+            `;
+      trashListUL.appendChild(li);
+    });
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    trashStatusP.textContent = `Error: ${error.message}`;
+  }
+}
+
+// Shows storage usage and warns when the quota is nearly used up
+const USAGE_WARNING_RATIO = 0.9;
+
+async function loadUsage() {
+  if (!currentSession) return;
+
+  try {
+    const response = await fetch('/api/saves/usage', {
+      headers: {
+        Authorization: `Bearer ${currentSession.access_token}`,
+      },
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+    const usage = result.data;
+
+    const parts = [
+      usage.max_bytes !== null
+        ? `${formatBytes(usage.used_bytes)} of ${formatBytes(usage.max_bytes)} used`
+        : `${formatBytes(usage.used_bytes)} used`,
+      usage.max_files !== null
+        ? `${usage.file_count} of ${usage.max_files} save files`
+        : `${usage.file_count} save files`,
+    ];
+    const nearlyFull =
+      (usage.max_bytes !== null && usage.used_bytes >= usage.max_bytes * USAGE_WARNING_RATIO) ||
+      (usage.max_files !== null && usage.file_count >= usage.max_files * USAGE_WARNING_RATIO);
+
+    usageStatusP.textContent = `Storage: ${parts.join(', ')}.`;
+    if (nearlyFull) {
+      usageStatusP.textContent += ' Warning: you are close to your storage limit, delete old saves to make room.';
+    }
+    usageStatusP.className = nearlyFull ? 'error-message' : 'status-message';
+  } catch (error) {
+    console.error('Error loading storage usage:', error);
+    usageStatusP.textContent = '';
+  }
 }
 
 async function handleUpload(event) {
@@ -161,6 +260,7 @@ async function handleUpload(event) {
     });
     const result = await response.json();
     if (!response.ok) {
+      if (result.usage) loadUsage(); // Over quota: show where the limit stands
       throw new Error(result.message || `HTTP error! status: ${response.status}`);
     }
     uploadStatusP.textContent = `Success: ${result.message}`;
@@ -201,7 +301,7 @@ async function handleDownload(fileName) {
 }
 
 async function handleDelete(fileName) {
-  if (!currentSession || !confirm(`Are you sure you want to delete ${fileName}?`)) return;
+  if (!currentSession || !confirm(`Move ${fileName} to the trash? You can restore it from there.`)) return;
 
   listStatusP.textContent = `Deleting ${fileName}...`;
   try {
@@ -223,10 +323,116 @@ async function handleDelete(fileName) {
   }
 }
 
+async function handleExport() {
+  if (!currentSession) return;
+  backupStatusP.textContent = 'Exporting...';
+  try {
+    const response = await fetch('/api/saves/export', {
+      headers: {
+        Authorization: `Bearer ${currentSession.access_token}`,
+      },
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+    }
+    const blob = await response.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `saves-export-${new Date().toISOString().slice(0, 10)}.tar.gz`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+    backupStatusP.textContent = 'Export downloaded.';
+  } catch (error) {
+    console.error('Error exporting saves:', error);
+    backupStatusP.textContent = `Error exporting saves: ${error.message}`;
+  }
+}
+
+async function handleImport(event) {
+  event.preventDefault();
+  if (!currentSession || !archiveFileInput.files[0]) return;
+
+  backupStatusP.textContent = 'Importing...';
+  try {
+    const response = await fetch(`/api/saves/import?on_conflict=${importConflictSelect.value}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${currentSession.access_token}`,
+        'Content-Type': 'application/x-tar',
+      },
+      body: archiveFileInput.files[0],
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.details || result.message || `HTTP error! status: ${response.status}`);
+    }
+    backupStatusP.textContent = `Imported ${result.imported.length} save(s), skipped ${result.skipped.length}.`;
+    importForm.reset();
+    loadSaveFiles(); // Refresh list
+    loadUsage();
+  } catch (error) {
+    console.error('Error importing archive:', error);
+    backupStatusP.textContent = `Error importing archive: ${error.message}`;
+  }
+}
+
+async function handleRestore(trashId) {
+  if (!currentSession) return;
+
+  trashStatusP.textContent = 'Restoring...';
+  try {
+    const response = await fetch(`/api/saves/trash/${encodeURIComponent(trashId)}/restore`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${currentSession.access_token}`,
+      },
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+    trashStatusP.textContent = `Success: ${result.message}`;
+    loadSaveFiles(); // Refresh both lists
+  } catch (error) {
+    console.error('Error restoring save:', error);
+    trashStatusP.textContent = `Error restoring: ${error.message}`;
+  }
+}
+
+async function handlePurge(trashId, fileName) {
+  if (!currentSession || !confirm(`Delete ${fileName} forever? This cannot be undone.`)) return;
+
+  trashStatusP.textContent = `Deleting ${fileName}...`;
+  try {
+    const response = await fetch(`/api/saves/trash/${encodeURIComponent(trashId)}`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${currentSession.access_token}`,
+      },
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+    trashStatusP.textContent = `Success: ${result.message}`;
+    loadTrash();
+    loadUsage();
+  } catch (error) {
+    console.error('Error deleting save:', error);
+    trashStatusP.textContent = `Error deleting ${fileName}: ${error.message}`;
+  }
+}
+
 // --- Event Listeners ---
 loginForm.addEventListener('submit', handleLogin);
 logoutButton.addEventListener('click', handleLogout);
 uploadForm.addEventListener('submit', handleUpload);
+loadMoreButton.addEventListener('click', () => loadSaveFiles(nextSavesCursor));
+exportButton.addEventListener('click', handleExport);
+importForm.addEventListener('submit', handleImport);
 
 saveFilesListUL.addEventListener('click', (event) => {
   if (event.target.classList.contains('download-btn')) {
@@ -237,6 +443,15 @@ saveFilesListUL.addEventListener('click', (event) => {
   }
 });
 
+trashListUL.addEventListener('click', (event) => {
+  if (event.target.classList.contains('restore-btn')) {
+    handleRestore(event.target.dataset.trashId);
+  }
+  if (event.target.classList.contains('purge-btn')) {
+    handlePurge(event.target.dataset.trashId, event.target.dataset.filename);
+  }
+});
+
 // --- Authentication UI Toggling ---
 showRegisterLink.addEventListener('click', (e) => {
   e.preventDefault();
@@ -312,6 +527,13 @@ async function handleRegistration(event) {
 registerForm.addEventListener('submit', handleRegistration);
 
 // --- Utility ---
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char],
+  );
+}
+
 function formatBytes(bytes, decimals = 2) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -321,6 +543,82 @@ function formatBytes(bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
+// --- Live Updates ---
+// Changes from other devices arrive over GET /api/saves/events (Server-Sent Events). EventSource can't send the
+// Authorization header, so the stream is read with fetch; after a dropped connection it resumes from the last
+// event seen, and the server replays what was missed.
+let saveEventsController = null;
+let lastSaveEventId = null;
+let saveEventsRefreshTimer = null;
+
+// A burst of events (an import, say) reloads the list once
+function scheduleSaveListRefresh() {
+  clearTimeout(saveEventsRefreshTimer);
+  saveEventsRefreshTimer = setTimeout(() => loadSaveFiles(), 300);
+}
+
+// One `event: ...`/`id: ...`/`data: ...` block of the stream as { event, id, data, retry }
+function parseServerSentEvent(block) {
+  const message = {};
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue; // Comments are heartbeats
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'data') message.data = message.data === undefined ? value : `${message.data}\n${value}`;
+    else if (field === 'retry') message.retry = parseInt(value, 10);
+    else message[field] = value;
+  }
+  return message;
+}
+
+async function subscribeToSaveEvents() {
+  unsubscribeFromSaveEvents();
+  const controller = new AbortController();
+  saveEventsController = controller;
+  let retryMs = 3000;
+
+  while (!controller.signal.aborted) {
+    try {
+      // Fetched for every connection, so a refreshed token is picked up
+      const { data } = await supabaseClient.auth.getSession();
+      if (!data.session) return;
+      const headers = { Authorization: `Bearer ${data.session.access_token}` };
+      if (lastSaveEventId) headers['Last-Event-ID'] = lastSaveEventId;
+
+      const response = await fetch('/api/saves/events', { headers: headers, signal: controller.signal });
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        for (let end = buffer.indexOf('\n\n'); end !== -1; end = buffer.indexOf('\n\n')) {
+          const message = parseServerSentEvent(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (message.retry) retryMs = message.retry;
+          if (message.id !== undefined) lastSaveEventId = message.id || null;
+          // save.created, save.updated, save.deleted, or `reset` when missed events can't be replayed
+          if (message.event) scheduleSaveListRefresh();
+        }
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.warn('Save event stream interrupted:', error.message);
+    }
+    await new Promise((resolve) => setTimeout(resolve, retryMs));
+  }
+}
+
+function unsubscribeFromSaveEvents() {
+  if (saveEventsController) saveEventsController.abort();
+  saveEventsController = null;
+  lastSaveEventId = null;
+  clearTimeout(saveEventsRefreshTimer);
+}
+
 // --- Initial Check for Existing Session (e.g., on page load/refresh) ---
 async function checkUserSession() {
   const { data, error } = await supabaseClient.auth.getSession();
@@ -334,6 +632,7 @@ async function checkUserSession() {
     currentSession = data.session;
     updateUIVisibility(true);
     loadSaveFiles();
+    subscribeToSaveEvents();
   } else {
     updateUIVisibility(false);
   }
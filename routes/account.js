@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const { reauthenticate, recordAuthFailure } = require('../middleware/auth');
+const logger = require('../config/logger'); // Import shared logger
+const { requestErasure, getErasure } = require('../middleware/accountErasure');
+const { authFailureLimit, listRateLimit, uploadRateLimit } = require('../middleware/rateLimit');
+
+// Account-wide operations need a real login, like API key management: a leaked key must not erase an account
+router.use(authFailureLimit);
+router.use(authMiddleware);
+router.use((req, res, next) => {
+  if (req.auth.method !== 'jwt') {
+    return res.status(403).json({ message: 'Account operations need a login, not an API key.' });
+  }
+  next();
+});
+
+// POST /api/account/erasure - Delete everything stored for the account, for good.
+// The password is asked again, so an unattended session or a stolen token isn't enough.
+router.post('/erasure', uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { password } = req.body;
+
+  if (!password || typeof password !== 'string') {
+    return res.status(400).json({ message: 'password is required to confirm the erasure.' });
+  }
+
+  try {
+    const { data: confirmed, error: authError } = await reauthenticate(user, password);
+    if (authError) {
+      logger.error({ err: authError, userId: user.id }, 'Re-authentication error before erasure');
+      return res.status(500).json({ message: 'Failed to confirm the password.', details: authError.message });
+    }
+    if (!confirmed) {
+      logger.warn({ userId: user.id }, 'Account erasure refused: wrong password');
+      recordAuthFailure(req, 'wrong_password', user.id);
+      return res.status(401).json({ message: 'Unauthorized: the password is incorrect.' });
+    }
+
+    const { data: erasure, error } = await requestErasure(user.id, 'user');
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Account erasure request error');
+      return res.status(500).json({ message: 'Failed to start the account erasure.', details: error.message });
+    }
+
+    logger.info({ userId: user.id, erasureId: erasure.id }, 'Account erasure requested');
+    res.setHeader('Location', `${req.baseUrl}/erasure/${erasure.id}`);
+    res.status(202).json({ message: 'Account erasure started.', data: erasure });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Account erasure endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while starting the account erasure.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/account/erasure/:erasureId - Progress of an erasure, and its report once it has completed
+router.get('/erasure/:erasureId', listRateLimit, async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { data: erasure, error } = await getErasure(req.params.erasureId);
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Account erasure lookup error');
+      return res.status(500).json({ message: 'Failed to look up the erasure.', details: error.message });
+    }
+    if (!erasure || erasure.user_id !== user.id) {
+      return res.status(404).json({ message: 'Erasure not found.' });
+    }
+
+    res.status(200).json(erasure);
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Account erasure status endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while looking up the erasure.',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
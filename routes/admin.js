@@ -0,0 +1,476 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const logger = require('../config/logger'); // Import shared logger
+const { requireAdmin } = require('../middleware/admin');
+const { requestErasure, getErasure } = require('../middleware/accountErasure');
+const { ORPHAN_MIN_AGE_MINUTES, findOrphanedBlobs, removeOrphanedBlobs } = require('../middleware/orphanBlobs');
+const { auditSaveOperation, noteAudit } = require('../middleware/auditLog');
+const { authFailureLimit, listRateLimit, uploadRateLimit, downloadRateLimit } = require('../middleware/rateLimit');
+const { getGame } = require('../config/games');
+const { metadataStore } = require('../storage');
+const { REVISION_CONFLICT } = require('../storage/errors');
+const {
+  parseListQuery,
+  encodeCursor,
+  decodeCursor,
+  setNextPageHeaders,
+  withETag,
+  checkSlot,
+  describeTrashItem,
+  sendSaveFile,
+  removeSave,
+  restoreTrashItem,
+  purgeTrashItem,
+} = require('./saveFiles');
+
+// Operations for support staff; see middleware/admin.js for who counts as an admin
+router.use(authFailureLimit);
+router.use(authMiddleware);
+router.use(requireAdmin);
+
+// POST /api/admin/users/:userId/erasure - Erase a user's data on their behalf (or continue an erasure)
+router.post('/users/:userId/erasure', uploadRateLimit, async (req, res) => {
+  const admin = req.user;
+  const { userId } = req.params;
+
+  try {
+    const { data: erasure, error } = await requestErasure(userId, `admin:${admin.id}`);
+    if (error) {
+      logger.error({ err: error, userId: userId, adminId: admin.id }, 'Account erasure request error');
+      return res.status(500).json({ message: 'Failed to start the account erasure.', details: error.message });
+    }
+
+    logger.info({ userId: userId, adminId: admin.id, erasureId: erasure.id }, 'Account erasure requested by admin');
+    res.setHeader('Location', `${req.baseUrl}/erasures/${erasure.id}`);
+    res.status(202).json({ message: 'Account erasure started.', data: erasure });
+  } catch (error) {
+    logger.error({ err: error, userId: userId, adminId: admin.id }, 'Admin erasure endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while starting the account erasure.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/admin/erasures/:erasureId - Progress and report of any erasure
+router.get('/erasures/:erasureId', listRateLimit, async (req, res) => {
+  try {
+    const { data: erasure, error } = await getErasure(req.params.erasureId);
+    if (error) {
+      logger.error({ err: error, adminId: req.user.id }, 'Account erasure lookup error');
+      return res.status(500).json({ message: 'Failed to look up the erasure.', details: error.message });
+    }
+    if (!erasure) {
+      return res.status(404).json({ message: 'Erasure not found.' });
+    }
+
+    res.status(200).json(erasure);
+  } catch (error) {
+    logger.error({ err: error, adminId: req.user.id }, 'Admin erasure status endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while looking up the erasure.',
+      details: error.message,
+    });
+  }
+});
+
+// --- Users ---
+// Every user owning a save, a revision or a trash item, with their storage usage (the admin_user_usage view)
+const USERS_PAGE_SIZE = 100;
+const USERS_MAX_PAGE_SIZE = 1000;
+const USERS_ORDER = { sort: 'user_id', order: 'asc' }; // For the cursor helpers of the save list
+
+// Usage of a user who owns nothing
+function emptyUsage(userId) {
+  return { user_id: userId, files: 0, revisions: 0, trashed: 0, stored_bytes: 0, last_updated_at: null };
+}
+
+// GET /api/admin/users - Users and their storage usage, by user id, one page at a time (`limit`, `cursor`)
+router.get('/users', listRateLimit, async (req, res) => {
+  const limit = req.query.limit === undefined ? USERS_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > USERS_MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `limit must be an integer from 1 to ${USERS_MAX_PAGE_SIZE}.` });
+  }
+  let after = null;
+  if (req.query.cursor !== undefined) {
+    const position = decodeCursor(req.query.cursor);
+    if (!position || position.sort !== USERS_ORDER.sort) {
+      return res.status(400).json({ message: 'cursor is invalid.' });
+    }
+    after = position.id;
+  }
+
+  try {
+    // One row more than the page holds tells whether another page follows
+    const { data, error } = await metadataStore.listUserUsage({ after: after, limit: limit + 1 });
+    if (error) {
+      logger.error({ err: error, adminId: req.user.id }, 'User usage list error');
+      return res.status(500).json({ message: 'Failed to list users.', details: error.message });
+    }
+
+    const users = data.slice(0, limit);
+    if (data.length > limit) {
+      const last = users[users.length - 1];
+      setNextPageHeaders(req, res, encodeCursor(USERS_ORDER, { ...last, id: last.user_id }));
+    }
+    res.status(200).json(users);
+  } catch (error) {
+    logger.error({ err: error, adminId: req.user.id }, 'Admin user list endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing users.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/admin/users/:userId - Storage usage of one user (zero for a user who owns nothing)
+router.get('/users/:userId', listRateLimit, async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const { data, error } = await metadataStore.listUserUsage({ userId: userId, limit: 1 });
+    if (error) {
+      logger.error({ err: error, userId: userId, adminId: req.user.id }, 'User usage lookup error');
+      return res.status(500).json({ message: 'Failed to look up the user.', details: error.message });
+    }
+
+    res.status(200).json(data[0] || emptyUsage(userId));
+  } catch (error) {
+    logger.error({ err: error, userId: userId, adminId: req.user.id }, 'Admin user endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while looking up the user.',
+      details: error.message,
+    });
+  }
+});
+// --- End Users ---
+
+// --- Saves ---
+// Any user's saves, addressed by game and file name. Admin actions go into the audit log of the user owning
+// the save, with the admin's id in the details. Restores skip the storage quota: support staff may need to
+// bring back a save the user couldn't.
+const auditDownload = auditSaveOperation('download');
+const auditDelete = auditSaveOperation('delete');
+const auditRestore = auditSaveOperation('restore');
+
+function auditAsAdmin(req, res, next) {
+  noteAudit(res, { userId: req.params.userId, gameId: req.params.gameId, details: { admin_id: req.user.id } });
+  next();
+}
+
+// Reads the optional `game_id` query parameter; undefined means every game
+function parseGameParam(req, res) {
+  const gameId = req.query.game_id;
+  if (gameId !== undefined && typeof gameId !== 'string') {
+    res.status(400).json({ message: 'game_id must be given once.' });
+    return null;
+  }
+  return { gameId: gameId };
+}
+
+// GET /api/admin/users/:userId/saves - A user's saves, of every game or of `game_id`, one page at a time
+// (same query parameters as GET /api/saves)
+router.get('/users/:userId/saves', listRateLimit, async (req, res) => {
+  const { userId } = req.params;
+  const game = parseGameParam(req, res);
+  if (!game) return;
+  const { data: listQuery, error: queryError } = parseListQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({ message: queryError });
+  }
+
+  try {
+    const { data, error } = await metadataStore.listSaves(userId, game.gameId, {
+      ...listQuery,
+      limit: listQuery.limit + 1,
+    });
+    if (error) {
+      logger.error({ err: error, userId: userId, adminId: req.user.id }, 'Admin save list error');
+      return res.status(500).json({ message: 'Failed to retrieve save files list.', details: error.message });
+    }
+
+    const rows = data.slice(0, listQuery.limit);
+    if (data.length > listQuery.limit) {
+      setNextPageHeaders(req, res, encodeCursor(listQuery, rows[rows.length - 1]));
+    }
+    res.status(200).json(rows.map(withETag));
+  } catch (error) {
+    logger.error({ err: error, userId: userId, adminId: req.user.id }, 'Admin save list endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing files.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/admin/users/:userId/saves/:gameId/:fileName - Download any user's save
+router.get(
+  '/users/:userId/saves/:gameId/:fileName',
+  auditDownload,
+  auditAsAdmin,
+  downloadRateLimit,
+  async (req, res) => {
+    const { userId, gameId, fileName } = req.params;
+
+    try {
+      const { data: meta, error } = await metadataStore.getSave(userId, gameId, fileName);
+      if (error) {
+        logger.error({ err: error, userId: userId, adminId: req.user.id }, 'Admin download metadata error');
+        return res.status(500).json({ message: 'Failed to look up the save file.', details: error.message });
+      }
+      if (!meta) {
+        return res.status(404).json({ message: 'Save file not found.' });
+      }
+
+      logger.info(
+        { userId: userId, gameId: gameId, fileName: fileName, adminId: req.user.id },
+        'Save downloaded by admin',
+      );
+      await sendSaveFile(req, res, meta, userId);
+    } catch (error) {
+      logger.error({ err: error, userId: userId, adminId: req.user.id }, 'Admin download endpoint error');
+      res.status(500).json({
+        message: 'An unexpected error occurred during file download.',
+        details: error.message,
+      });
+    }
+  },
+);
+
+// DELETE /api/admin/users/:userId/saves/:gameId/:fileName - Move any user's save to the trash, or with
+// `?permanent=true` delete it and all of its history right away
+router.delete(
+  '/users/:userId/saves/:gameId/:fileName',
+  auditDelete,
+  auditAsAdmin,
+  uploadRateLimit,
+  async (req, res) => {
+    const { userId, gameId, fileName } = req.params;
+    const permanent = req.query.permanent === 'true';
+    noteAudit(res, { details: { permanent: permanent } });
+
+    try {
+      const { data: meta, error } = await metadataStore.getSave(userId, gameId, fileName);
+      if (error) {
+        logger.error({ err: error, userId: userId, adminId: req.user.id }, 'Admin delete metadata error');
+        return res.status(500).json({ message: 'Failed to look up the save file.', details: error.message });
+      }
+      if (!meta) {
+        return res.status(404).json({ message: 'Save file not found.' });
+      }
+      noteAudit(res, { sizeBytes: meta.size_bytes, sha256: meta.sha256, details: { revision_id: meta.revision_id } });
+
+      const { data: item, error: removeError } = await removeSave(meta, { permanent: permanent });
+      if (removeError) {
+        logger.error(
+          { err: removeError, userId: userId, fileName: fileName, adminId: req.user.id },
+          'Admin delete error',
+        );
+        return res.status(500).json({ message: 'Failed to delete the save.', details: removeError.message });
+      }
+
+      logger.info(
+        { userId: userId, gameId: gameId, fileName: fileName, permanent: permanent, adminId: req.user.id },
+        'Save deleted by admin',
+      );
+      if (!permanent) {
+        noteAudit(res, { details: { trash_id: item.id } });
+        return res.status(200).json({
+          message: `Save file '${fileName}' moved to the trash. It can be restored until ${item.purge_at}.`,
+          data: describeTrashItem(item),
+        });
+      }
+      res.status(200).json({ message: `Save file '${fileName}' deleted permanently.` });
+    } catch (error) {
+      logger.error({ err: error, userId: userId, adminId: req.user.id }, 'Admin delete endpoint error');
+      res.status(500).json({
+        message: 'An unexpected error occurred during file deletion.',
+        details: error.message,
+      });
+    }
+  },
+);
+
+// GET /api/admin/users/:userId/trash - A user's trash, of every game or of `game_id`, most recently deleted first
+router.get('/users/:userId/trash', listRateLimit, async (req, res) => {
+  const { userId } = req.params;
+  const game = parseGameParam(req, res);
+  if (!game) return;
+
+  try {
+    const { data, error } = await metadataStore.listTrash(userId, game.gameId);
+    if (error) {
+      logger.error({ err: error, userId: userId, adminId: req.user.id }, 'Admin trash list error');
+      return res.status(500).json({ message: 'Failed to retrieve the trash.', details: error.message });
+    }
+
+    res.status(200).json(data.map(describeTrashItem));
+  } catch (error) {
+    logger.error({ err: error, userId: userId, adminId: req.user.id }, 'Admin trash list endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing the trash.',
+      details: error.message,
+    });
+  }
+});
+
+// POST /api/admin/users/:userId/trash/:trashId/restore - Bring any user's save back from the trash.
+// Body (optional): `{ "file_name": "..." }` to restore under another name.
+router.post('/users/:userId/trash/:trashId/restore', auditRestore, auditAsAdmin, uploadRateLimit, async (req, res) => {
+  const { userId, trashId } = req.params;
+
+  try {
+    const { data: item, error } = await metadataStore.getTrashItem(userId, undefined, trashId);
+    if (error) {
+      logger.error({ err: error, userId: userId, trashId: trashId, adminId: req.user.id }, 'Admin trash lookup error');
+      return res.status(500).json({ message: 'Failed to look up the trash item.', details: error.message });
+    }
+    if (!item) {
+      return res.status(404).json({ message: 'Save not found in the trash.' });
+    }
+
+    const fileName = req.body?.file_name ?? item.file_name;
+    noteAudit(res, {
+      gameId: item.game_id,
+      fileName: fileName,
+      sizeBytes: item.size_bytes,
+      sha256: item.sha256,
+      details: { trash_id: item.id, ...(fileName !== item.file_name ? { trashed_as: item.file_name } : {}) },
+    });
+    // A game that is no longer registered keeps its saves, under the names they had
+    const game = getGame(item.game_id);
+    const slotError = game ? checkSlot(game, fileName) : fileName === item.file_name ? null : 'Invalid file_name.';
+    if (slotError) {
+      return res.status(400).json({ message: slotError });
+    }
+
+    const { data: restored, error: restoreError } = await restoreTrashItem(item, fileName);
+    if (restoreError && restoreError.code === REVISION_CONFLICT) {
+      return res.status(409).json({
+        message: `A save named '${fileName}' already exists. Restore under another file_name or delete it first.`,
+      });
+    }
+    if (restoreError) {
+      logger.error(
+        { err: restoreError, userId: userId, trashId: trashId, adminId: req.user.id },
+        'Admin restore error',
+      );
+      return res.status(500).json({ message: 'Failed to restore the save.', details: restoreError.message });
+    }
+
+    logger.info(
+      { userId: userId, trashId: trashId, fileName: fileName, adminId: req.user.id },
+      'Save restored by admin',
+    );
+    res.status(200).json({ message: `Save file '${fileName}' restored.`, data: restored });
+  } catch (error) {
+    logger.error(
+      { err: error, userId: userId, trashId: trashId, adminId: req.user.id },
+      'Admin restore endpoint error',
+    );
+    res.status(500).json({
+      message: 'An unexpected error occurred while restoring the save.',
+      details: error.message,
+    });
+  }
+});
+
+// DELETE /api/admin/users/:userId/trash/:trashId - Delete a trashed save of any user for good
+router.delete('/users/:userId/trash/:trashId', auditDelete, auditAsAdmin, uploadRateLimit, async (req, res) => {
+  const { userId, trashId } = req.params;
+
+  try {
+    const { data: item, error } = await metadataStore.getTrashItem(userId, undefined, trashId);
+    if (error) {
+      logger.error({ err: error, userId: userId, trashId: trashId, adminId: req.user.id }, 'Admin trash lookup error');
+      return res.status(500).json({ message: 'Failed to look up the trash item.', details: error.message });
+    }
+    if (!item) {
+      return res.status(404).json({ message: 'Save not found in the trash.' });
+    }
+    noteAudit(res, {
+      gameId: item.game_id,
+      fileName: item.file_name,
+      sizeBytes: item.size_bytes,
+      sha256: item.sha256,
+      details: { permanent: true, trash_id: item.id },
+    });
+
+    const { error: purgeError } = await purgeTrashItem(item);
+    if (purgeError) {
+      logger.error({ err: purgeError, userId: userId, trashId: trashId, adminId: req.user.id }, 'Admin purge error');
+      return res.status(500).json({ message: 'Failed to delete the save.', details: purgeError.message });
+    }
+
+    logger.info({ userId: userId, trashId: trashId, adminId: req.user.id }, 'Trash item deleted by admin');
+    res.status(200).json({ message: `Save file '${item.file_name}' deleted permanently.` });
+  } catch (error) {
+    logger.error({ err: error, userId: userId, trashId: trashId, adminId: req.user.id }, 'Admin purge endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while deleting the save.',
+      details: error.message,
+    });
+  }
+});
+// --- End Saves ---
+
+// --- Orphaned Storage Objects ---
+// See middleware/orphanBlobs.js. Both endpoints scan the whole bucket, so they're slow on large ones.
+
+// GET /api/admin/orphans - Storage objects no save, revision or trash item references
+router.get('/orphans', listRateLimit, async (req, res) => {
+  try {
+    const { data: orphans, error } = await findOrphanedBlobs();
+    if (error) {
+      logger.error({ err: error, adminId: req.user.id }, 'Orphaned blob scan error');
+      return res.status(500).json({ message: 'Failed to scan storage.', details: error.message });
+    }
+
+    res.status(200).json({
+      min_age_minutes: ORPHAN_MIN_AGE_MINUTES,
+      count: orphans.length,
+      total_bytes: orphans.reduce((sum, orphan) => sum + (orphan.size || 0), 0),
+      orphans: orphans,
+    });
+  } catch (error) {
+    logger.error({ err: error, adminId: req.user.id }, 'Admin orphan scan endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while scanning storage.',
+      details: error.message,
+    });
+  }
+});
+
+// POST /api/admin/orphans/cleanup - Remove orphaned storage objects.
+// Body (optional): `{ "paths": ["..."] }` to remove only those (typically from a previous GET /orphans).
+router.post('/orphans/cleanup', uploadRateLimit, async (req, res) => {
+  const paths = req.body?.paths;
+  if (paths !== undefined && !(Array.isArray(paths) && paths.every((p) => typeof p === 'string'))) {
+    return res.status(400).json({ message: 'paths must be an array of storage paths.' });
+  }
+
+  try {
+    const { data: result, error } = await removeOrphanedBlobs(paths);
+    if (error) {
+      logger.error({ err: error, adminId: req.user.id }, 'Orphaned blob cleanup error');
+      return res.status(500).json({ message: 'Failed to remove orphaned objects.', details: error.message });
+    }
+
+    logger.info({ adminId: req.user.id, removed: result.removed.length }, 'Orphaned blobs cleaned up by admin');
+    res.status(200).json({
+      message: `${result.removed.length} orphaned object(s) removed.`,
+      removed: result.removed,
+      skipped: result.skipped,
+    });
+  } catch (error) {
+    logger.error({ err: error, adminId: req.user.id }, 'Admin orphan cleanup endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while removing orphaned objects.',
+      details: error.message,
+    });
+  }
+});
+// --- End Orphaned Storage Objects ---
+
+module.exports = router;
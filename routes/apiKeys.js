@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const logger = require('../config/logger'); // Import shared logger
+const { metadataStore } = require('../storage');
+const { API_KEY_SCOPES, generateApiKey, hashApiKey } = require('../middleware/apiKeys');
+const { authFailureLimit, listRateLimit, uploadRateLimit } = require('../middleware/rateLimit');
+
+const MAX_KEY_NAME_LENGTH = 100;
+
+// Keys can only be managed from a real login, so a leaked key can't mint or revoke others
+router.use(authFailureLimit);
+router.use(authMiddleware);
+router.use((req, res, next) => {
+  if (req.auth.method !== 'jwt') {
+    return res.status(403).json({ message: 'API keys can only be managed after logging in, not with an API key.' });
+  }
+  next();
+});
+
+// POST /api/keys - Create an API key. The key is only ever returned in this response.
+router.post('/', uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { name, scopes = API_KEY_SCOPES, game_id: gameId, expires_in_days: expiresInDays } = req.body;
+
+  if (!name || typeof name !== 'string' || name.length > MAX_KEY_NAME_LENGTH) {
+    return res.status(400).json({ message: `name is required (at most ${MAX_KEY_NAME_LENGTH} characters).` });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => API_KEY_SCOPES.includes(scope))) {
+    return res.status(400).json({
+      message: 'scopes must be a non-empty list of known scopes.',
+      details: { allowed_scopes: API_KEY_SCOPES },
+    });
+  }
+  if (gameId !== undefined && gameId !== null && (typeof gameId !== 'string' || !gameId)) {
+    return res.status(400).json({ message: 'game_id must be a non-empty string.' });
+  }
+  if (
+    expiresInDays !== undefined &&
+    expiresInDays !== null &&
+    !(Number.isInteger(expiresInDays) && expiresInDays > 0)
+  ) {
+    return res.status(400).json({ message: 'expires_in_days must be a positive integer.' });
+  }
+
+  try {
+    const key = generateApiKey();
+    const { data, error } = await metadataStore.insertApiKey({
+      user_id: user.id,
+      name: name,
+      prefix: key.slice(0, 12),
+      key_hash: hashApiKey(key),
+      scopes: [...new Set(scopes)],
+      game_id: gameId || null,
+      user_email: user.email || null,
+      user_app_metadata: user.app_metadata || {},
+      expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    });
+
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'API key creation error');
+      return res.status(500).json({ message: 'Failed to create API key.', details: error.message });
+    }
+
+    logger.info({ userId: user.id, keyId: data.id, scopes: data.scopes }, 'API key created');
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      key: key,
+      data: data,
+    });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Create API key endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while creating the API key.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/keys - List the user's API keys (without the keys themselves)
+router.get('/', listRateLimit, async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { data, error } = await metadataStore.listApiKeys(user.id);
+
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'API key list error');
+      return res.status(500).json({ message: 'Failed to retrieve API keys.', details: error.message });
+    }
+
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'List API keys endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing API keys.',
+      details: error.message,
+    });
+  }
+});
+
+// DELETE /api/keys/:keyId - Revoke an API key; it stops working immediately
+router.delete('/:keyId', uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { keyId } = req.params;
+
+  try {
+    const { data, error } = await metadataStore.revokeApiKey(user.id, keyId);
+
+    if (error) {
+      logger.error({ err: error, userId: user.id, keyId: keyId }, 'API key revoke error');
+      return res.status(500).json({ message: 'Failed to revoke API key.', details: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ message: 'API key not found or already revoked.' });
+    }
+
+    logger.info({ userId: user.id, keyId: keyId }, 'API key revoked');
+    res.status(200).json({ message: 'API key revoked.', data: data });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id, keyId: keyId }, 'Revoke API key endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while revoking the API key.',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
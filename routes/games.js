@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const { authFailureLimit, listRateLimit } = require('../middleware/rateLimit');
+const { listGames } = require('../config/games');
+const saveRoutes = require('./saveFiles');
+
+// GET /api/games - Registered games and their settings
+router.get('/', authFailureLimit, authMiddleware, listRateLimit, (req, res) => {
+  const games = listGames();
+  // An API key limited to one game only sees that game
+  res.status(200).json(req.auth.gameId ? games.filter((game) => game.id === req.auth.gameId) : games);
+});
+
+// /api/games/:gameId/saves - The save routes, scoped to one game (slots instead of a flat namespace)
+router.use('/:gameId/saves', saveRoutes);
+
+module.exports = router;
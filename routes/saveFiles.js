@@ -1,139 +1,697 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true }); // Also mounted per game, under /api/games/:gameId/saves
 const multer = require('multer');
-const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { isDeepStrictEqual } = require('util');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  COMPRESSION_SAMPLE_BYTES,
+  chooseStreamCodec,
+  compressBuffer,
+  createCompressStream,
+  createDecompressStream,
+} = require('../storage/compression');
+const {
+  ENCRYPTION_ALGORITHM,
+  ENCRYPTION_OVERHEAD,
+  encryptBuffer,
+  createEncryptStream,
+  createDecryptStream,
+} = require('../storage/encryption');
+const { createSliceStream, createByteCounter, pipeThrough } = require('../storage/streams');
 const authMiddleware = require('../middleware/auth');
+const { requireScope } = authMiddleware;
 const logger = require('../config/logger'); // Import shared logger
+const { saveUploadBytes, saveDownloadBytes, saveTransferBytes } = require('../config/metrics');
+const { DEFAULT_GAME_ID, getGame } = require('../config/games');
+const { validate: validateJsonSchema } = require('../config/jsonSchema');
+const { blobStore, metadataStore, uploadSessions, keyring, cache } = require('../storage'); // Backends selected by configuration
+const { uploadRateLimit, downloadRateLimit, listRateLimit, authFailureLimit } = require('../middleware/rateLimit');
+const { createShareToken, redeemShareToken, claimShareLink, releaseShareLink } = require('../middleware/shareLinks');
+const { isAdmin } = require('../middleware/admin');
+const { publishSaveEvent } = require('../middleware/saveEvents');
+const { AUDIT_ACTIONS, recordAuditEntry, auditSaveOperation, noteAudit } = require('../middleware/auditLog');
+const { SSE_MAX_STREAMS_PER_USER, countEventStreams, openEventStream } = require('../middleware/saveEventStream');
+const { createTarPack, readArchive } = require('../storage/archive');
+const {
+  REVISION_CONFLICT,
+  UPLOAD_OFFSET_MISMATCH,
+  UPLOAD_CHECKSUM_MISMATCH,
+  UPLOAD_TOO_LARGE,
+  UPLOAD_BUSY,
+  BLOB_INTEGRITY,
+  ARCHIVE_INVALID,
+  codedError,
+} = require('../storage/errors');
 
-// Initialize Supabase client
-// This will be used by route handlers to interact with Supabase
-// Ensure your .env file has SUPABASE_URL and SUPABASE_ANON_KEY
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
+// --- Cache ---
+// Pages of the save list and the metadata downloads look up are cached (see storage/cache). Every change to a
+// save invalidates both, on every instance.
 
-// --- Simple In-Memory Cache ---
-const cache = {}; // Our simple cache object
-const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes TTL for cache entries
+// Cached save list of one game of a user; pages of a filtered or sorted list are cached under `queryKey`
+function savesCacheKey(userId, gameId, queryKey) {
+  const key = `user:${userId}:game:${gameId}:saves`;
+  return queryKey ? `${key}?${queryKey}` : key;
+}
+
+// Cached metadata of one save
+function saveCacheKey(userId, gameId, fileName) {
+  return `user:${userId}:game:${gameId}:save:${encodeURIComponent(fileName)}`;
+}
+
+// Drops the cached list of the game and the cached metadata of `fileName` after the save changed
+async function invalidateSaveCache(userId, gameId, fileName) {
+  const results = await Promise.all([
+    cache.invalidate(savesCacheKey(userId, gameId)),
+    cache.invalidate(saveCacheKey(userId, gameId, fileName)),
+  ]);
+  const failed = results.find((result) => result.error);
+  if (failed) logger.error({ err: failed.error, userId: userId, fileName: fileName }, 'Cache invalidation failed');
+}
+// --- End Cache ---
+
+// --- Revision History ---
+// Every upload (and every restore) is recorded as a row in `save_revisions`.
+// `save_metadata` keeps pointing at the current revision so the list/download routes stay cheap.
+// How many revisions are kept per save defaults to MAX_REVISIONS_PER_SAVE, can be set per game
+// (`max_revisions` in the game settings) and overridden per user through `app_metadata.max_revisions`
+// on the Supabase user.
+const DEFAULT_MAX_REVISIONS = parseInt(process.env.MAX_REVISIONS_PER_SAVE, 10) || 5;
+
+function getRevisionLimit(user, game) {
+  const userLimit = parseInt(user.app_metadata?.max_revisions, 10);
+  return userLimit > 0 ? userLimit : game?.max_revisions || DEFAULT_MAX_REVISIONS;
+}
 
-function getCache(key) {
-  const entry = cache[key];
-  if (entry && Date.now() - entry.timestamp < CACHE_TTL_MS) {
-    logger.info({ cacheKey: key }, 'Cache HIT');
-    return entry.data;
+// Records a new revision for `fileName` (in game `gameId`) and makes it the current one in `save_metadata`.
+// Returns `{ data, error }` like the Supabase client, where `data` is the updated metadata row.
+// Pass `expectedRevisionId` to fail with a REVISION_CONFLICT error if the save moved on in the meantime.
+async function commitRevision(userId, gameId, fileName, revision, { expectedRevisionId } = {}) {
+  const { data: revisionRow, error: revisionError } = await metadataStore.insertRevision({
+    user_id: userId,
+    game_id: gameId,
+    file_name: fileName,
+    storage_path: revision.storage_path,
+    size_bytes: revision.size_bytes,
+    version: revision.version,
+    custom_metadata: revision.custom_metadata,
+    sha256: revision.sha256,
+    compression: revision.compression || null,
+    encryption: revision.encryption || null,
+    stored_bytes: revision.stored_bytes,
+    restored_from: revision.restored_from || null,
+    // created_at is handled by the metadata backend
+  });
+
+  if (revisionError) {
+    return { data: null, error: revisionError };
   }
-  if (entry) {
-    logger.warn({ cacheKey: key }, 'Cache STALE. Deleting.');
-    delete cache[key]; // Remove stale entry
+
+  const { data: metaData, error: metaError } = await metadataStore.upsertSave(
+    {
+      user_id: userId,
+      game_id: gameId,
+      file_name: fileName, // User-facing file name (the slot)
+      storage_path: revision.storage_path, // Actual path in storage
+      size_bytes: revision.size_bytes,
+      version: revision.version,
+      custom_metadata: revision.custom_metadata,
+      sha256: revision.sha256,
+      compression: revision.compression || null,
+      encryption: revision.encryption || null,
+      stored_bytes: revision.stored_bytes,
+      revision_id: revisionRow.id,
+      // created_at and updated_at are handled by the metadata backend
+    },
+    { expectedRevisionId: expectedRevisionId },
+  );
+
+  if (metaError) {
+    // Don't leave a revision behind that the metadata never pointed at
+    await metadataStore.deleteRevisions([revisionRow.id]);
+    return { data: null, error: metaError };
   }
-  logger.info({ cacheKey: key }, 'Cache MISS');
-  return null;
+
+  return { data: metaData, error: null };
+}
+
+// Removes storage objects of the user that no save or revision references anymore.
+// Blobs are shared between revisions (restores, identical content), so they can only go once the last
+// reference is gone.
+async function removeUnreferencedBlobs(userId, paths) {
+  const candidates = [...new Set(paths)].filter(Boolean);
+  if (candidates.length === 0) return;
+
+  const { data: referenced, error } = await metadataStore.findReferencedPaths(userId, candidates);
+  if (error) {
+    logger.error({ err: error, userId: userId, paths: candidates }, 'Failed to check blob references');
+    return;
+  }
+
+  const orphanedPaths = candidates.filter((p) => !referenced.includes(p));
+  if (orphanedPaths.length === 0) return;
+
+  const { error: storageError } = await blobStore.remove(orphanedPaths);
+  if (storageError) {
+    logger.error({ err: storageError, userId: userId, paths: orphanedPaths }, 'Failed to remove unreferenced files');
+  }
+}
+
+// Drops revisions beyond `limit` (newest first) from the database and removes their storage objects,
+// unless something that is kept still references the same object (e.g. after a restore).
+async function pruneRevisions(userId, gameId, fileName, limit) {
+  const { data: revisions, error } = await metadataStore.listRevisions(userId, gameId, fileName);
+
+  if (error) {
+    logger.error({ err: error, userId: userId, fileName: fileName }, 'Failed to list revisions for pruning');
+    return;
+  }
+
+  const stale = revisions.slice(limit);
+  if (stale.length === 0) return;
+
+  const { error: deleteError } = await metadataStore.deleteRevisions(stale.map((r) => r.id));
+
+  if (deleteError) {
+    logger.error({ err: deleteError, userId: userId, fileName: fileName }, 'Failed to delete pruned revisions');
+    return;
+  }
+
+  await removeUnreferencedBlobs(
+    userId,
+    stale.map((r) => r.storage_path),
+  );
+
+  logger.info({ userId: userId, fileName: fileName, pruned: stale.length }, 'Pruned old revisions');
+}
+// --- End Revision History ---
+
+// --- Storage Quotas ---
+// Caps on what a user may keep: total stored bytes (distinct blobs, revision history included) and number of
+// saves. Defaults come from QUOTA_MAX_BYTES and QUOTA_MAX_FILES (unset or 0 means unlimited) and can be
+// overridden per user through `app_metadata.quota_bytes` / `app_metadata.quota_files`. Revisions per save
+// are capped by getRevisionLimit above.
+const DEFAULT_QUOTA_BYTES = parseInt(process.env.QUOTA_MAX_BYTES, 10) || null;
+const DEFAULT_QUOTA_FILES = parseInt(process.env.QUOTA_MAX_FILES, 10) || null;
+
+function getQuota(user, game) {
+  const userBytes = parseInt(user.app_metadata?.quota_bytes, 10);
+  const userFiles = parseInt(user.app_metadata?.quota_files, 10);
+  return {
+    maxBytes: userBytes > 0 ? userBytes : DEFAULT_QUOTA_BYTES,
+    maxFiles: userFiles > 0 ? userFiles : DEFAULT_QUOTA_FILES,
+    maxRevisions: getRevisionLimit(user, game),
+  };
 }
 
-function setCache(key, data) {
-  logger.info({ cacheKey: key }, 'Cache SET');
-  cache[key] = {
-    data: data,
-    timestamp: Date.now(),
+// Usage and remaining capacity as reported to clients; limits and remainders are null when unlimited
+function describeUsage(usage, quota) {
+  return {
+    used_bytes: usage.stored_bytes,
+    max_bytes: quota.maxBytes,
+    remaining_bytes: quota.maxBytes === null ? null : Math.max(quota.maxBytes - usage.stored_bytes, 0),
+    file_count: usage.files,
+    max_files: quota.maxFiles,
+    remaining_files: quota.maxFiles === null ? null : Math.max(quota.maxFiles - usage.files, 0),
+    revision_count: usage.revisions,
+    max_revisions_per_save: quota.maxRevisions,
   };
 }
 
-function invalidateCache(key) {
-  logger.info({ cacheKey: key }, 'Cache INVALIDATE');
-  if (cache[key]) {
-    delete cache[key];
+// Checks whether `addedBytes` more (and one more save when `isNewFile`, or `addedFiles` more) still fit the
+// user's quota. Resolves to `{ usage, exceeded, error }`, where `exceeded` is 'files', 'bytes' or null.
+async function checkQuota(user, game, { addedBytes, isNewFile, addedFiles = isNewFile ? 1 : 0 }) {
+  const quota = getQuota(user, game);
+  if (quota.maxBytes === null && quota.maxFiles === null) {
+    return { usage: null, exceeded: null, error: null };
+  }
+
+  const { data: usage, error } = await metadataStore.getUsage(user.id);
+  if (error) {
+    return { usage: null, exceeded: null, error: error };
+  }
+
+  let exceeded = null;
+  if (addedFiles > 0 && quota.maxFiles !== null && usage.files + addedFiles > quota.maxFiles) {
+    exceeded = 'files';
+  } else if (quota.maxBytes !== null && usage.stored_bytes + addedBytes > quota.maxBytes) {
+    exceeded = 'bytes';
+  }
+  return { usage: describeUsage(usage, quota), exceeded: exceeded, error: null };
+}
+
+// Rejects an upload that doesn't fit: 403 when the file count is used up, 413 when the bytes are
+function sendQuotaExceeded(res, quotaCheck) {
+  if (quotaCheck.exceeded === 'files') {
+    return res.status(403).json({
+      message: 'File limit reached. Delete a save file before creating a new one.',
+      usage: quotaCheck.usage,
+    });
+  }
+  return res.status(413).json({
+    message: 'Storage quota exceeded. The file does not fit in the remaining space.',
+    usage: quotaCheck.usage,
+  });
+}
+// --- End Storage Quotas ---
+
+// --- Revision Tokens (ETag) ---
+// The id of a save's current revision doubles as its ETag. Devices send it back in `If-Match`
+// when uploading, so a device holding a stale copy can't silently overwrite a newer save.
+function formatETag(revisionId) {
+  return revisionId ? `"${revisionId}"` : undefined;
+}
+
+// Splits an If-Match / If-None-Match header into bare revision ids (quotes and weak prefixes stripped, '*' kept)
+function parseETagList(header) {
+  return header
+    .split(',')
+    .map((tag) =>
+      tag
+        .trim()
+        .replace(/^W\//, '')
+        .replace(/^"(.*)"$/, '$1'),
+    )
+    .filter(Boolean);
+}
+
+// Conditional GET check. Done by hand rather than with req.fresh, which ignores the validators whenever
+// the request carries `Cache-Control: no-cache` (and fetch() adds exactly that to requests with If-None-Match).
+function isNotModified(req, meta) {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    const tags = parseETagList(ifNoneMatch);
+    return tags.includes('*') || (Boolean(meta.revision_id) && tags.includes(meta.revision_id));
   }
+
+  // If-Modified-Since only counts when If-None-Match is absent; HTTP dates have one-second precision
+  const ifModifiedSince = Date.parse(req.get('If-Modified-Since'));
+  const lastModified = Math.floor(Date.parse(meta.updated_at) / 1000) * 1000;
+  return !Number.isNaN(ifModifiedSince) && lastModified <= ifModifiedSince;
+}
+
+function withETag(meta) {
+  return { ...meta, etag: formatETag(meta.revision_id) };
 }
-// --- End Simple In-Memory Cache ---
+
+// 409 response describing both the copy on the server and the upload that was rejected,
+// so the game can ask the player which one to keep
+function sendConflict(res, serverMeta, rejected) {
+  return res.status(409).json({
+    message: 'Conflict: the save file was changed since the revision this upload is based on.',
+    server: serverMeta
+      ? {
+          file_name: serverMeta.file_name,
+          etag: formatETag(serverMeta.revision_id),
+          size_bytes: serverMeta.size_bytes,
+          version: serverMeta.version,
+          custom_metadata: serverMeta.custom_metadata,
+          updated_at: serverMeta.updated_at,
+        }
+      : null,
+    rejected: rejected,
+  });
+}
+// --- End Revision Tokens (ETag) ---
 
 // Configure Multer for file uploads
-// We'll store files in memory first before uploading to Supabase Storage
+// We'll store files in memory first before handing them to the blob store
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   limits: { fileSize: 50 * 1024 * 1024 }, // Example: 50MB limit per file, adjust as needed for free tier
 });
 
-// Protect all routes in this file with the auth middleware
+// --- Games and Slots ---
+// Every save belongs to a game (config/games.js); the plain /api/saves routes use the default game and
+// /api/games/:gameId/saves the named one. Within a game a save is identified by its slot, which is its
+// file name: any name for games with named slots, or 1..max_slots for games with numbered slots.
+const MAX_SLOT_NAME_LENGTH = 255;
+// Names taken by fixed routes such as GET /usage: a save under one of them could never be downloaded
+const RESERVED_SLOT_NAMES = new Set(['usage', 'events', 'audit', 'shares', 'export', 'trash']);
+
+// Resolves the game from the URL, and keeps API keys limited to one game out of the others
+function resolveGame(req, res, next) {
+  const game = getGame(req.params.gameId || DEFAULT_GAME_ID);
+  if (!game) {
+    return res.status(404).json({ message: `Game '${req.params.gameId}' is not registered.` });
+  }
+  if (req.auth.gameId && req.auth.gameId !== game.id) {
+    return res.status(403).json({ message: `Forbidden: this API key is limited to the game '${req.auth.gameId}'.` });
+  }
+  req.game = game;
+  next();
+}
+
+// Why `fileName` isn't a valid slot of `game`, or null if it is
+function checkSlot(game, fileName) {
+  if (!fileName || typeof fileName !== 'string' || fileName.length > MAX_SLOT_NAME_LENGTH) {
+    return `Slot name is required (at most ${MAX_SLOT_NAME_LENGTH} characters).`;
+  }
+  if (RESERVED_SLOT_NAMES.has(fileName)) {
+    return `'${fileName}' is reserved by the API and can't be used as a slot name.`;
+  }
+  if (game.slots === 'numbered') {
+    const slot = /^[1-9][0-9]*$/.test(fileName) ? Number(fileName) : NaN;
+    if (!(slot >= 1 && (!game.max_slots || slot <= game.max_slots))) {
+      return `${game.name} uses numbered slots: 1 to ${game.max_slots || 'any positive number'}.`;
+    }
+  }
+  return null;
+}
+
+// Why a file of `size` bytes can't be stored for `game`, or null if it can
+function checkGameFileSize(game, size) {
+  if (game.max_file_bytes && size > game.max_file_bytes) {
+    return `File is too large for ${game.name}. Maximum size is ${game.max_file_bytes} bytes.`;
+  }
+  return null;
+}
+
+// Every way `customMetadata` breaks the game's metadata_schema, as `{ path, message }`; empty if it's valid
+function checkCustomMetadata(game, customMetadata) {
+  return game.metadata_schema ? validateJsonSchema(game.metadata_schema, customMetadata) : [];
+}
+
+function sendInvalidMetadata(res, game, errors) {
+  return res.status(422).json({
+    message: `custom_metadata does not match the metadata schema of ${game.name}.`,
+    errors: errors,
+  });
+}
+// --- End Games and Slots ---
+
+// Protect all routes in this file with the auth middleware; API keys additionally need the matching scope
+const canRead = requireScope('saves:read');
+const canWrite = requireScope('saves:write');
+// Operations on saves that go into the audit trail (see middleware/auditLog.js)
+const auditUpload = auditSaveOperation('upload');
+const auditDownload = auditSaveOperation('download');
+const auditDelete = auditSaveOperation('delete');
+const auditRestore = auditSaveOperation('restore');
+
+router.use(authFailureLimit);
 router.use(authMiddleware);
+router.use(resolveGame);
 
-// POST /api/saves/upload - Upload a new save file
-router.post('/upload', upload.single('savefile'), async (req, res) => {
-  // Implementation to follow:
-  // 1. Get user from req.user
-  // 2. Check if req.file exists
-  // 3. Construct storage path (e.g., `${user.id}/${req.file.originalname}`)
-  // 4. Upload file to Supabase Storage
-  // 5. Insert/update metadata in `save_metadata` table
-  // 6. Handle errors and send response
-  if (!req.file) {
-    return res.status(400).json({ message: 'No file uploaded.' });
+// Looks up the save's current row and checks an upload's If-Match header against it.
+// Resolves to `{ expectedRevisionId, current, conflict, error }`. Without If-Match (or with force)
+// `expectedRevisionId` stays undefined and nothing is checked, so the last write wins as before.
+async function checkRevisionPrecondition(userId, gameId, fileName, ifMatch, force) {
+  const { data: current, error } = await metadataStore.getSave(userId, gameId, fileName);
+  if (error) {
+    return { expectedRevisionId: undefined, current: null, conflict: false, error: error };
   }
 
-  const user = req.user;
-  const fileName = req.file.originalname;
-  const filePath = `${user.id}/${Date.now()}_${fileName}`; // Add timestamp to avoid overwrites of same name by mistake, ensure uniqueness
-  const fileSize = req.file.size;
-  const gameVersion = req.body.version || '1.0'; // Example: get version from request body
-  const customMetadata = req.body.custom_metadata ? JSON.parse(req.body.custom_metadata) : {};
+  if (!ifMatch || force) {
+    return { expectedRevisionId: undefined, current, conflict: false, error: null };
+  }
+
+  const tags = parseETagList(ifMatch);
+  const conflict = !current || !(tags.includes('*') || tags.includes(current.revision_id));
+  return { expectedRevisionId: current ? current.revision_id : undefined, current, conflict, error: null };
+}
+
+// --- Content Hashing ---
+// Every upload is hashed (SHA-256, hex) and the digest is stored with the save. Blobs are content-addressed
+// per user (`<userId>/objects/<sha256>`), so identical files are stored once no matter how many saves or
+// revisions point at them.
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
 
-  logger.info({ userId: user.id, filePath: filePath }, `Attempting to upload file: ${fileName}`);
+// Normalizes a client-supplied digest; resolves to undefined when none was sent and null when it's malformed
+function parseExpectedDigest(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const digest = String(value).trim().toLowerCase();
+  return /^[0-9a-f]{64}$/.test(digest) ? digest : null;
+}
+// --- End Content Hashing ---
 
+// Last step shared by the multipart and the resumable upload flows: verifies the digest, checks If-Match,
+// writes the blob (unless the user already has one with the same content), records the revision
+// and sends the response. `upload.body` is a Buffer or a readable stream; streamed bodies must come with
+// their `sha256` and their first COMPRESSION_SAMPLE_BYTES as `head`. Resolves to the new metadata row on
+// success, or null when another response has been sent.
+async function storeUpload(req, res, upload) {
   try {
-    // Upload to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from('save-files')
-      .upload(filePath, req.file.buffer, {
-        contentType: req.file.mimetype,
-        upsert: true, // true to overwrite if file exists, false to fail
-      });
+    return await writeUpload(req, res, upload);
+  } finally {
+    // Early returns leave a streamed body unread; close it (and its file) whatever the outcome
+    if (typeof upload.body.destroy === 'function') upload.body.destroy();
+  }
+}
+
+async function writeUpload(req, res, upload) {
+  const user = req.user;
+  const game = req.game;
+  const { fileName, size, version, customMetadata, ifMatch, force } = upload;
+  const sha256 = upload.sha256 || sha256Hex(upload.body);
+  // Encrypted blobs get their own path, so they never collide with a plaintext copy stored before encryption
+  // was enabled
+  const filePath = `${user.id}/objects/${sha256}${keyring ? '.enc' : ''}`;
+  const rejected = {
+    file_name: fileName,
+    if_match: ifMatch,
+    size_bytes: size,
+    version: version,
+    custom_metadata: customMetadata,
+    sha256: sha256,
+    attempted_at: new Date().toISOString(),
+  };
+
+  logger.info({ userId: user.id, gameId: game.id, filePath: filePath }, `Attempting to upload file: ${fileName}`);
+  noteAudit(res, { fileName: fileName, sizeBytes: size, sha256: sha256 });
+
+  // Slot and size rules of the game
+  const slotError = checkSlot(game, fileName);
+  if (slotError) {
+    res.status(400).json({ message: slotError });
+    return null;
+  }
+  const sizeError = checkGameFileSize(game, size);
+  if (sizeError) {
+    res.status(413).json({ message: sizeError });
+    return null;
+  }
+  const metadataErrors = checkCustomMetadata(game, customMetadata);
+  if (metadataErrors.length > 0) {
+    sendInvalidMetadata(res, game, metadataErrors);
+    return null;
+  }
+
+  // Integrity check against the digest the client computed before sending
+  if (upload.expectedSha256 && upload.expectedSha256 !== sha256) {
+    logger.warn({ userId: user.id, fileName: fileName }, 'Upload rejected: digest mismatch');
+    res.status(400).json({
+      message: 'Checksum mismatch: the uploaded file does not match the expected SHA-256 digest.',
+      expected_sha256: upload.expectedSha256,
+      actual_sha256: sha256,
+    });
+    return null;
+  }
+
+  // Optimistic concurrency check
+  const precondition = await checkRevisionPrecondition(user.id, game.id, fileName, ifMatch, force);
+  if (precondition.error) {
+    logger.error({ err: precondition.error, userId: user.id }, 'Metadata lookup error before upload');
+    res.status(500).json({
+      message: 'Failed to check the current revision.',
+      details: precondition.error.message,
+    });
+    return null;
+  }
+  if (precondition.conflict) {
+    logger.warn({ userId: user.id, fileName: fileName, ifMatch: ifMatch }, 'Upload rejected: stale revision');
+    sendConflict(res, precondition.current, rejected);
+    return null;
+  }
+
+  // Re-uploading exactly what is already current is a no-op
+  const current = precondition.current;
+  if (current) noteAudit(res, { action: 'overwrite' });
+  if (
+    current &&
+    current.sha256 === sha256 &&
+    current.version === version &&
+    isDeepStrictEqual(current.custom_metadata, customMetadata)
+  ) {
+    logger.info({ userId: user.id, fileName: fileName }, 'Upload unchanged, nothing stored');
+    noteAudit(res, { details: { unchanged: true } });
+    res.setHeader('ETag', formatETag(current.revision_id));
+    res.status(200).json({ message: 'File unchanged.', data: withETag(current) });
+    return current;
+  }
+
+  // Identical content already stored for this user (any save, any revision) is reused instead of uploaded again
+  const { data: existingBlob, error: digestError } = await metadataStore.findRevisionByStoragePath(user.id, filePath);
+  if (digestError) {
+    logger.error({ err: digestError, userId: user.id }, 'Digest lookup error before upload');
+  }
+
+  // Quota check before anything is written; content the user already stores takes no extra space
+  const quotaCheck = await checkQuota(user, game, { addedBytes: existingBlob ? 0 : size, isNewFile: !current });
+  if (quotaCheck.error) {
+    logger.error({ err: quotaCheck.error, userId: user.id }, 'Usage lookup error before upload');
+    res.status(500).json({ message: 'Failed to check storage quota.', details: quotaCheck.error.message });
+    return null;
+  }
+  if (quotaCheck.exceeded) {
+    logger.warn({ userId: user.id, fileName: fileName, exceeded: quotaCheck.exceeded }, 'Upload rejected: quota');
+    sendQuotaExceeded(res, quotaCheck);
+    return null;
+  }
+
+  let compression = existingBlob ? existingBlob.compression : null;
+  let encryption = existingBlob ? existingBlob.encryption : null;
+  let storedBytes = existingBlob ? existingBlob.stored_bytes : size;
+
+  if (existingBlob) {
+    logger.info({ userId: user.id, storagePath: filePath }, 'Identical content already stored, reusing it');
+  } else {
+    // Encryption at rest: the user's data key, created on their first upload
+    let dataKey = null;
+    if (keyring) {
+      const { data: key, error: keyError } = await keyring.getDataKey(user.id, { create: true });
+      if (keyError || !key) {
+        logger.error({ err: keyError, userId: user.id }, 'Failed to obtain data key');
+        res.status(500).json({ message: 'Failed to prepare encryption for the upload.', details: keyError?.message });
+        return null;
+      }
+      dataKey = key;
+      encryption = ENCRYPTION_ALGORITHM;
+    }
+
+    // Compress before storing (then encrypt), unless the file is already compressed. Buffers are compressed
+    // up front (and kept raw if that doesn't pay off); streams are encoded on the fly when compressing their
+    // first bytes pays off.
+    let storedBody;
+    let counter;
+    if (Buffer.isBuffer(upload.body)) {
+      const compressed = await compressBuffer(upload.body);
+      compression = compressed.codec;
+      storedBody = dataKey ? encryptBuffer(dataKey, compressed.body) : compressed.body;
+      storedBytes = storedBody.length;
+    } else {
+      compression = await chooseStreamCodec(upload.head || Buffer.alloc(0));
+      storedBody = counter = pipeThrough(
+        upload.body,
+        compression && createCompressStream(compression),
+        dataKey && createEncryptStream(dataKey),
+      );
+    }
+
+    // Upload to the blob store
+    const { error: uploadError } = await blobStore.upload(filePath, storedBody, {
+      contentType: upload.contentType,
+    });
+    if (counter) {
+      storedBytes = counter.bytes;
+    }
 
     if (uploadError) {
-      logger.error({ err: uploadError, userId: user.id, filePath: filePath }, 'Supabase Storage upload error');
-      return res.status(500).json({
+      logger.error({ err: uploadError, userId: user.id, filePath: filePath }, 'Storage upload error');
+      res.status(500).json({
         message: 'Failed to upload file to storage.',
         details: uploadError.message,
       });
+      return null;
     }
-    logger.info({ userId: user.id, filePath: filePath }, 'File uploaded to Supabase Storage');
-
-    // Insert metadata into the database
-    // We use upsert to handle cases where a save file with the same name for the user might be re-uploaded
-    // If you prefer strict new uploads or distinct versions, adjust the logic and unique constraints
-    const { data: metaData, error: metaError } = await supabase
-      .from('save_metadata')
-      .upsert(
-        {
-          user_id: user.id,
-          file_name: fileName, // User-facing file name
-          storage_path: filePath, // Actual path in storage
-          size_bytes: fileSize,
-          version: gameVersion,
-          custom_metadata: customMetadata,
-          // created_at and updated_at are handled by database defaults/triggers
-        },
-        {
-          onConflict: 'user_id,file_name', // Assuming you want to update if user uploads same file_name again
-          // Or use storage_path for true uniqueness if file_name can be reused with different internal paths
-        },
-      )
-      .select(); // Important to get the inserted/updated row back
+    logger.info({ userId: user.id, filePath: filePath }, 'File uploaded to storage');
+  }
 
-    if (metaError) {
-      logger.error({ err: metaError, userId: user.id }, 'Supabase metadata insertion error');
-      // Attempt to clean up storage if metadata fails
-      await supabase.storage.from('save-files').remove([filePath]);
-      return res.status(500).json({
-        message: 'Failed to save file metadata.',
-        details: metaError.message,
-      });
-    }
+  // Record the upload as a new revision and make it the current one
+  const { data: metaData, error: metaError } = await commitRevision(
+    user.id,
+    game.id,
+    fileName,
+    {
+      storage_path: filePath,
+      size_bytes: size,
+      version: version,
+      custom_metadata: customMetadata,
+      sha256: sha256,
+      compression: compression,
+      encryption: encryption,
+      stored_bytes: storedBytes,
+    },
+    { expectedRevisionId: precondition.expectedRevisionId },
+  );
 
-    // Invalidate cache for this user's save list
-    const cacheKey = `user:${user.id}:saves`;
-    invalidateCache(cacheKey);
+  if (metaError && metaError.code === REVISION_CONFLICT) {
+    // Another device committed between our check and our write
+    await removeUnreferencedBlobs(user.id, [filePath]);
+    const { data: current } = await metadataStore.getSave(user.id, game.id, fileName);
+    logger.warn({ userId: user.id, fileName: fileName, ifMatch: ifMatch }, 'Upload rejected: concurrent write');
+    sendConflict(res, current, rejected);
+    return null;
+  }
+
+  if (metaError) {
+    logger.error({ err: metaError, userId: user.id }, 'Metadata insertion error');
+    // Attempt to clean up storage if metadata fails
+    await removeUnreferencedBlobs(user.id, [filePath]);
+    res.status(500).json({
+      message: 'Failed to save file metadata.',
+      details: metaError.message,
+    });
+    return null;
+  }
+
+  // Keep only the newest N revisions of this save
+  await pruneRevisions(user.id, game.id, fileName, getRevisionLimit(user, game));
+
+  // Invalidate cache for this user's save list
+  await invalidateSaveCache(user.id, game.id, fileName);
+  publishSaveEvent(current ? 'save.updated' : 'save.created', metaData);
+  saveUploadBytes.observe({ game: game.id }, size);
+
+  res.setHeader('ETag', formatETag(metaData.revision_id));
+  res.status(201).json({ message: 'File uploaded successfully.', data: withETag(metaData) });
+  return metaData;
+}
+
+// Multipart upload of the `savefile` field into the slot `fileName`
+async function handleMultipartUpload(req, res, fileName) {
+  // 1. Get user from req.user
+  // 2. Check if req.file exists
+  // 3. Hand the file over to storeUpload, which writes it to the blob store,
+  //    records the revision in `save_metadata`/`save_revisions` and sends the response
+  if (!req.file) {
+    return res.status(400).json({ message: 'No file uploaded.' });
+  }
+  saveTransferBytes.inc({ direction: 'upload' }, req.file.size);
+
+  const user = req.user;
+  // Optional digest computed by the client, as a form field or header
+  const expectedSha256 = parseExpectedDigest(req.body.sha256 || req.get('X-Content-SHA256'));
+  if (expectedSha256 === null) {
+    return res.status(400).json({ message: 'sha256 must be a hex-encoded SHA-256 digest.' });
+  }
+  // custom_metadata arrives as a JSON-encoded form field
+  let customMetadata = {};
+  if (req.body.custom_metadata) {
+    try {
+      customMetadata = JSON.parse(req.body.custom_metadata);
+    } catch (error) {
+      return res.status(400).json({ message: 'custom_metadata is not valid JSON.', details: error.message });
+    }
+  }
 
-    res.status(201).json({ message: 'File uploaded successfully.', data: metaData[0] });
+  try {
+    await storeUpload(req, res, {
+      fileName: fileName,
+      body: req.file.buffer,
+      contentType: req.file.mimetype,
+      size: req.file.size,
+      version: req.body.version || '1.0', // Example: get version from request body
+      customMetadata: customMetadata,
+      ifMatch: req.get('If-Match'), // ETag of the revision this upload is based on, if the client tracks one
+      force: req.body.force === 'true' || req.query.force === 'true', // Deliberate overwrite, skips the check
+      expectedSha256: expectedSha256,
+    });
   } catch (error) {
     logger.error({ err: error, userId: user.id }, 'Upload endpoint error');
     res.status(500).json({
@@ -141,163 +699,2054 @@ router.post('/upload', upload.single('savefile'), async (req, res) => {
       details: error.message,
     });
   }
-});
+}
+
+// POST /api/saves/upload - Upload a new save file, named after the uploaded file
+router.post('/upload', auditUpload, canWrite, uploadRateLimit, upload.single('savefile'), (req, res) =>
+  handleMultipartUpload(req, res, req.file?.originalname),
+);
+
+// PUT /api/games/:gameId/saves/:slot (also /api/saves/:fileName) - Upload a save into the given slot
+router.put('/:fileName', auditUpload, canWrite, uploadRateLimit, upload.single('savefile'), (req, res) =>
+  handleMultipartUpload(req, res, req.params.fileName),
+);
+
+// --- Resumable Uploads ---
+// For saves too large for a single multipart request, or connections that drop:
+//   1. POST   /api/saves/uploads                      start a session (file name, size, version, metadata)
+//   2. PATCH  /api/saves/uploads/:uploadId            append a chunk at `Upload-Offset`, optionally verified
+//                                                     with `Upload-Checksum: sha256 <base64 digest>`
+//      GET    /api/saves/uploads/:uploadId            how many bytes arrived, to resume after a disconnect
+//   3. POST   /api/saves/uploads/:uploadId/complete   store the assembled file like a regular upload
+//      DELETE /api/saves/uploads/:uploadId            abandon the session
+// Chunks are streamed to disk and the assembled file is streamed to the blob store.
+const RESUMABLE_UPLOAD_MAX_BYTES = parseInt(process.env.RESUMABLE_UPLOAD_MAX_BYTES, 10) || 2 * 1024 * 1024 * 1024; // 2GB
+const RESUMABLE_CHUNK_MAX_BYTES = parseInt(process.env.RESUMABLE_CHUNK_MAX_BYTES, 10) || 16 * 1024 * 1024; // 16MB
+
+function describeUploadSession(session) {
+  return {
+    upload_id: session.id,
+    file_name: session.file_name,
+    size_bytes: session.size_bytes,
+    received_bytes: session.received_bytes,
+    max_chunk_bytes: RESUMABLE_CHUNK_MAX_BYTES,
+    expires_at: session.expires_at,
+  };
+}
 
-// GET /api/saves - List all save files for the authenticated user
-router.get('/', async (req, res) => {
+// Loads the session named in the URL, answering 404 if it doesn't exist or belongs to someone else
+async function loadUploadSession(req, res) {
+  const { data: session, error } = await uploadSessions.get(req.params.uploadId);
+  if (error) {
+    logger.error({ err: error, uploadId: req.params.uploadId }, 'Upload session lookup error');
+    res.status(500).json({ message: 'Failed to load upload session.', details: error.message });
+    return null;
+  }
+  if (!session || session.user_id !== req.user.id || (session.game_id || DEFAULT_GAME_ID) !== req.game.id) {
+    res.status(404).json({ message: 'Upload session not found or expired.' });
+    return null;
+  }
+  return session;
+}
+
+// POST /api/saves/uploads - Start a resumable upload
+router.post('/uploads', canWrite, uploadRateLimit, async (req, res) => {
   const user = req.user;
-  const cacheKey = `user:${user.id}:saves`;
-  logger.info({ userId: user.id, cacheKey: cacheKey }, 'Fetching save files for user');
+  const { file_name: fileName, size_bytes: sizeBytes, version, custom_metadata: customMetadata } = req.body;
 
-  // Try to get data from cache first
-  const cachedSaves = getCache(cacheKey);
-  if (cachedSaves) {
-    return res.status(200).json(cachedSaves);
+  const slotError = checkSlot(req.game, fileName);
+  if (slotError) {
+    return res.status(400).json({ message: slotError });
+  }
+  if (!Number.isInteger(sizeBytes) || sizeBytes <= 0) {
+    return res.status(400).json({ message: 'size_bytes must be a positive integer.' });
+  }
+  const expectedSha256 = parseExpectedDigest(req.body.sha256);
+  if (expectedSha256 === null) {
+    return res.status(400).json({ message: 'sha256 must be a hex-encoded SHA-256 digest.' });
+  }
+  if (sizeBytes > RESUMABLE_UPLOAD_MAX_BYTES) {
+    return res.status(413).json({
+      message: `File is too large. Maximum size is ${RESUMABLE_UPLOAD_MAX_BYTES} bytes.`,
+    });
+  }
+  const sizeError = checkGameFileSize(req.game, sizeBytes);
+  if (sizeError) {
+    return res.status(413).json({ message: sizeError });
+  }
+  const metadataErrors = checkCustomMetadata(req.game, customMetadata || {});
+  if (metadataErrors.length > 0) {
+    return sendInvalidMetadata(res, req.game, metadataErrors);
   }
 
-  // If not in cache or stale, fetch from Supabase
-  logger.info({ cacheKey: cacheKey }, 'No valid cache, fetching from Supabase.');
   try {
-    const { data, error } = await supabase
-      .from('save_metadata')
-      .select('id, file_name, size_bytes, version, custom_metadata, updated_at')
-      .eq('user_id', user.id)
-      .order('updated_at', { ascending: false });
+    await uploadSessions.sweepExpired();
 
-    if (error) {
-      logger.error({ err: error, userId: user.id }, 'Supabase metadata fetch error');
-      return res.status(500).json({
-        message: 'Failed to retrieve save files list.',
-        details: error.message,
+    const ifMatch = req.get('If-Match');
+    const force = req.body.force === true || req.query.force === 'true';
+
+    // Fail early on a stale If-Match instead of after the whole file has been transferred
+    const precondition = await checkRevisionPrecondition(user.id, req.game.id, fileName, ifMatch, force);
+    if (precondition.conflict) {
+      return sendConflict(res, precondition.current, {
+        file_name: fileName,
+        if_match: ifMatch,
+        size_bytes: sizeBytes,
+        version: version || '1.0',
+        custom_metadata: customMetadata || {},
+        attempted_at: new Date().toISOString(),
       });
     }
 
-    // Store the fetched data in cache
-    setCache(cacheKey, data);
+    // Same for a file that can't fit the quota anyway
+    const quotaCheck = await checkQuota(user, req.game, {
+      addedBytes: sizeBytes,
+      isNewFile: !precondition.current,
+    });
+    if (quotaCheck.exceeded) {
+      return sendQuotaExceeded(res, quotaCheck);
+    }
+
+    const { data: session, error } = await uploadSessions.create({
+      user_id: user.id,
+      game_id: req.game.id,
+      file_name: fileName,
+      size_bytes: sizeBytes,
+      version: version || '1.0',
+      custom_metadata: customMetadata || {},
+      content_type: req.body.content_type || 'application/octet-stream',
+      if_match: ifMatch || null,
+      force: force,
+      sha256: expectedSha256 || null,
+    });
+
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Failed to create upload session');
+      return res.status(500).json({ message: 'Failed to start upload.', details: error.message });
+    }
 
-    res.status(200).json(data);
+    logger.info({ userId: user.id, uploadId: session.id, sizeBytes: sizeBytes }, 'Resumable upload started');
+    res.setHeader('Location', `${req.baseUrl}/uploads/${session.id}`);
+    res.status(201).json(describeUploadSession(session));
   } catch (error) {
-    logger.error({ err: error, userId: user.id }, 'List files endpoint error');
-    console.error('List files endpoint error:', error);
+    logger.error({ err: error, userId: user.id }, 'Start upload endpoint error');
     res.status(500).json({
-      message: 'An unexpected error occurred while listing files.',
+      message: 'An unexpected error occurred while starting the upload.',
       details: error.message,
     });
   }
 });
 
-// GET /api/saves/download/:fileName - Download a specific save file
-router.get('/download/:fileName', async (req, res) => {
+// GET /api/saves/uploads/:uploadId - Status of a resumable upload
+router.get('/uploads/:uploadId', canWrite, listRateLimit, async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
+
+    res.setHeader('Upload-Offset', String(session.received_bytes));
+    res.status(200).json(describeUploadSession(session));
+  } catch (error) {
+    logger.error({ err: error, userId: req.user.id }, 'Upload status endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while reading the upload status.',
+      details: error.message,
+    });
+  }
+});
+
+// PATCH /api/saves/uploads/:uploadId - Append a chunk (raw request body) at Upload-Offset
+router.patch('/uploads/:uploadId', canWrite, uploadRateLimit, async (req, res) => {
   const user = req.user;
-  const { fileName } = req.params;
-  console.log(`User ${user.id} attempting to download file: ${fileName}`);
 
   try {
-    // First, verify the user owns this file by checking metadata
-    const { data: meta, error: metaError } = await supabase
-      .from('save_metadata')
-      .select('storage_path, file_name')
-      .eq('user_id', user.id)
-      .eq('file_name', fileName)
-      .single(); // We expect only one file with this name for this user
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
 
-    if (metaError || !meta) {
-      console.error('Download metadata check error or file not found:', metaError);
-      return res.status(404).json({ message: 'Save file not found or access denied.' });
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ message: 'Upload-Offset header must be a non-negative integer.' });
     }
 
-    // Download the file from Supabase Storage
-    const { data: downloadData, error: downloadError } = await supabase.storage
-      .from('save-files')
-      .download(meta.storage_path);
+    let checksum;
+    const checksumHeader = req.get('Upload-Checksum');
+    if (checksumHeader) {
+      const [algorithm, digest] = checksumHeader.trim().split(/\s+/);
+      if (algorithm.toLowerCase() !== 'sha256' || !digest) {
+        return res.status(400).json({ message: 'Upload-Checksum must be "sha256 <base64 digest>".' });
+      }
+      checksum = digest;
+    }
 
-    if (downloadError) {
-      console.error('Supabase Storage download error:', downloadError);
-      return res.status(500).json({
-        message: 'Failed to download file from storage.',
-        details: downloadError.message,
+    // Reject oversized chunks up front when the client announced their length
+    const contentLength = parseInt(req.get('Content-Length'), 10);
+    const remaining = session.size_bytes - session.received_bytes;
+    if (contentLength > Math.min(RESUMABLE_CHUNK_MAX_BYTES, remaining)) {
+      return res.status(413).json({
+        message: 'Chunk is larger than allowed.',
+        max_chunk_bytes: Math.min(RESUMABLE_CHUNK_MAX_BYTES, remaining),
       });
     }
 
-    // const fileContents = await downloadData.arrayBuffer(); // For binary data to send
-    // res.setHeader('Content-Disposition', `attachment; filename="${meta.file_name}"`);
-    // res.setHeader('Content-Type', 'application/octet-stream'); // Or appropriate MIME type
-    // res.send(Buffer.from(fileContents));
-
-    // Piping the stream is more memory efficient for large files
-    res.setHeader('Content-Disposition', `attachment; filename="${meta.file_name}"`);
-    // Determine Content-Type dynamically or set a default (e.g., application/octet-stream)
-    // For game saves, application/octet-stream is usually appropriate.
-    // If you stored MIME type with metadata, you could use that.
-    res.setHeader('Content-Type', 'application/octet-stream');
-    downloadData
-      .arrayBuffer()
-      .then((buffer) => {
-        res.send(Buffer.from(buffer));
-      })
-      .catch((err) => {
-        console.error('Error converting blob to buffer:', err);
-        res.status(500).json({ message: 'Failed to process file for download.' });
+    const { data, error } = await uploadSessions.append(session, offset, req, {
+      maxChunkBytes: RESUMABLE_CHUNK_MAX_BYTES,
+      checksum: checksum,
+    });
+
+    if (error) {
+      const received = data ? data.received_bytes : session.received_bytes;
+      res.setHeader('Upload-Offset', String(received));
+      const statusByCode = {
+        [UPLOAD_OFFSET_MISMATCH]: 409,
+        [UPLOAD_BUSY]: 409,
+        [UPLOAD_TOO_LARGE]: 413,
+        [UPLOAD_CHECKSUM_MISMATCH]: 400,
+      };
+      const status = statusByCode[error.code];
+      if (!status) {
+        logger.error({ err: error, userId: user.id, uploadId: session.id }, 'Failed to append chunk');
+      }
+      return res.status(status || 500).json({
+        message: status ? error.message : 'Failed to store chunk.',
+        details: status ? undefined : error.message,
+        received_bytes: received,
       });
+    }
+
+    saveTransferBytes.inc({ direction: 'upload' }, data.received_bytes - offset);
+    res.setHeader('Upload-Offset', String(data.received_bytes));
+    res.status(200).json(describeUploadSession({ ...session, received_bytes: data.received_bytes }));
   } catch (error) {
-    console.error('Download endpoint error:', error);
+    logger.error({ err: error, userId: user.id }, 'Append chunk endpoint error');
     res.status(500).json({
-      message: 'An unexpected error occurred during file download.',
+      message: 'An unexpected error occurred while storing the chunk.',
       details: error.message,
     });
   }
 });
 
-// DELETE /api/saves/:fileName - Delete a specific save file
-router.delete('/:fileName', async (req, res) => {
+// POST /api/saves/uploads/:uploadId/complete - Store the assembled file as a new revision
+router.post('/uploads/:uploadId/complete', auditUpload, canWrite, uploadRateLimit, async (req, res) => {
   const user = req.user;
-  const { fileName } = req.params;
-  console.log(`User ${user.id} attempting to delete file: ${fileName}`);
 
   try {
-    // 1. Find the metadata to get the storage_path
-    const { data: meta, error: metaError } = await supabase
-      .from('save_metadata')
-      .select('id, storage_path')
-      .eq('user_id', user.id)
-      .eq('file_name', fileName)
-      .single();
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
+    noteAudit(res, { fileName: session.file_name, sizeBytes: session.size_bytes, details: { upload_id: session.id } });
 
-    if (metaError || !meta) {
-      console.error('Delete metadata check error or file not found:', metaError);
-      return res.status(404).json({
-        message: 'Save file not found or access denied for deletion.',
+    if (session.received_bytes !== session.size_bytes) {
+      return res.status(409).json({
+        message: 'Upload is incomplete.',
+        size_bytes: session.size_bytes,
+        received_bytes: session.received_bytes,
       });
     }
 
-    // 2. Delete the file from Supabase Storage
-    const { error: storageError } = await supabase.storage.from('save-files').remove([meta.storage_path]);
-
-    if (storageError) {
-      // Log error but proceed to delete metadata if critical, or handle more gracefully
-      console.error('Supabase Storage delete error (non-critical, proceeding with metadata deletion):', storageError);
-      // Potentially return an error here if storage deletion is critical before metadata deletion
-      // return res.status(500).json({ message: 'Failed to delete file from storage.', details: storageError.message });
+    // Hash the assembled file first; it is read from disk again when it is streamed to the blob store
+    const { data: sha256, error: digestError } = await uploadSessions.digest(session.id);
+    const { data: head, error: headError } = await uploadSessions.readHead(session.id, COMPRESSION_SAMPLE_BYTES);
+    const readError = digestError || headError;
+    if (readError) {
+      logger.error({ err: readError, userId: user.id, uploadId: session.id }, 'Failed to read assembled upload');
+      return res.status(500).json({ message: 'Failed to verify the uploaded file.', details: readError.message });
     }
 
-    // 3. Delete the metadata entry from the database
-    const { error: dbError } = await supabase.from('save_metadata').delete().eq('id', meta.id);
+    const metaData = await storeUpload(req, res, {
+      fileName: session.file_name,
+      body: uploadSessions.createReadStream(session.id),
+      contentType: session.content_type,
+      size: session.size_bytes,
+      version: session.version,
+      customMetadata: session.custom_metadata,
+      ifMatch: req.get('If-Match') || session.if_match || undefined,
+      force: session.force || req.body.force === true || req.query.force === 'true',
+      sha256: sha256,
+      head: head,
+      expectedSha256: session.sha256 || undefined,
+    });
 
-    if (dbError) {
-      console.error('Supabase metadata delete error:', dbError);
-      return res.status(500).json({
-        message: 'Failed to delete file metadata.',
-        details: dbError.message,
-      });
+    // Keep the session after a conflict so the client can still complete it with force
+    if (metaData) {
+      await uploadSessions.remove(session.id);
+      logger.info({ userId: user.id, uploadId: session.id }, 'Resumable upload completed');
     }
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Complete upload endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while completing the upload.',
+      details: error.message,
+    });
+  }
+});
 
-    // Invalidate cache for this user's save list
-    const cacheKey = `user:${user.id}:saves`;
-    invalidateCache(cacheKey);
+// DELETE /api/saves/uploads/:uploadId - Abandon a resumable upload
+router.delete('/uploads/:uploadId', canWrite, uploadRateLimit, async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
+
+    await uploadSessions.remove(session.id);
+    res.status(200).json({ message: 'Upload cancelled.' });
+  } catch (error) {
+    logger.error({ err: error, userId: req.user.id }, 'Cancel upload endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while cancelling the upload.',
+      details: error.message,
+    });
+  }
+});
+// --- End Resumable Uploads ---
+
+// --- Save List Queries ---
+// GET /api/saves takes these query parameters, all optional:
+//   sort=updated_at|file_name|size_bytes|version   order=asc|desc   (default: updated_at, newest first)
+//   limit=<n>                 page size, 1..SAVES_MAX_PAGE_SIZE (default SAVES_PAGE_SIZE)
+//   cursor=<opaque>           continue after the previous page, from its `X-Next-Cursor` header
+//   version=<v>               exact version
+//   prefix=<p>                file names starting with p
+//   updated_after=<date>      updated at or after (ISO 8601)
+//   updated_before=<date>     updated before
+//   meta[<field>]=<value>     custom_metadata field equal to value
+//   meta[<field>][<op>]=<v>   op: eq, ne, gt, gte, lt, lte; nested fields are written `a.b`
+// Filter values are read as JSON when they parse (`3`, `true`, `"3"`) and as plain strings otherwise.
+// Pages are cut with a keyset cursor (the last row's sort value and id), so saves written between two
+// requests never shift a page or get listed twice.
+const SAVES_PAGE_SIZE = parseInt(process.env.SAVES_PAGE_SIZE, 10) || 100;
+const SAVES_MAX_PAGE_SIZE = parseInt(process.env.SAVES_MAX_PAGE_SIZE, 10) || 1000;
+const SORT_DEFAULT_ORDERS = { updated_at: 'desc', file_name: 'asc', size_bytes: 'desc', version: 'asc' };
+const METADATA_FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'];
+const METADATA_FIELD_PATTERN = /^[A-Za-z0-9_]{1,64}(\.[A-Za-z0-9_]{1,64}){0,7}$/;
+const MAX_METADATA_FILTERS = 10;
+
+function parseFilterValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function parseDateParam(value, name) {
+  const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+  return Number.isNaN(date.getTime()) ? { error: `${name} must be an ISO 8601 date.` } : { date: date.toISOString() };
+}
+
+function encodeCursor(listQuery, row) {
+  const position = { sort: listQuery.sort, order: listQuery.order, value: row[listQuery.sort], id: row.id };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position.id === 'string' && position.value !== undefined ? position : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Validates the list query parameters into `{ data: listQuery, error }` (error being a message for a 400).
+// The list query is what metadataStore.listSaves filters, sorts and pages by.
+function parseListQuery(query) {
+  const fail = (message) => ({ data: null, error: message });
+  const sort = query.sort || 'updated_at';
+  if (!Object.hasOwn(SORT_DEFAULT_ORDERS, sort)) {
+    return fail(`sort must be one of ${Object.keys(SORT_DEFAULT_ORDERS).join(', ')}.`);
+  }
+  const order = query.order || SORT_DEFAULT_ORDERS[sort];
+  if (!['asc', 'desc'].includes(order)) {
+    return fail('order must be asc or desc.');
+  }
+  const limit = query.limit === undefined ? SAVES_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SAVES_MAX_PAGE_SIZE) {
+    return fail(`limit must be an integer from 1 to ${SAVES_MAX_PAGE_SIZE}.`);
+  }
+
+  const listQuery = { sort, order, limit, after: null, metadata: [] };
+  for (const [param, name] of [
+    ['version', 'version'],
+    ['prefix', 'namePrefix'],
+  ]) {
+    if (query[param] === undefined) continue;
+    if (typeof query[param] !== 'string') return fail(`${param} must be given once.`);
+    listQuery[name] = query[param];
+  }
+  for (const [param, name] of [
+    ['updated_after', 'updatedAfter'],
+    ['updated_before', 'updatedBefore'],
+  ]) {
+    if (query[param] === undefined) continue;
+    const { date, error } = parseDateParam(query[param], param);
+    if (error) return fail(error);
+    listQuery[name] = date;
+  }
+
+  if (query.meta !== undefined) {
+    if (typeof query.meta !== 'object' || Array.isArray(query.meta)) {
+      return fail('Metadata filters are written meta[<field>]=<value> or meta[<field>][<op>]=<value>.');
+    }
+    for (const [field, condition] of Object.entries(query.meta)) {
+      if (!METADATA_FIELD_PATTERN.test(field)) {
+        return fail(`meta[${field}]: field names may contain letters, digits and '_', nested with '.'.`);
+      }
+      const conditions = typeof condition === 'string' ? { eq: condition } : condition;
+      if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+        return fail(`meta[${field}] must be given once.`);
+      }
+      for (const [op, value] of Object.entries(conditions)) {
+        if (!METADATA_FILTER_OPERATORS.includes(op) || typeof value !== 'string') {
+          return fail(`meta[${field}][${op}]: operators are ${METADATA_FILTER_OPERATORS.join(', ')}, each given once.`);
+        }
+        listQuery.metadata.push({ path: field.split('.'), op: op, value: parseFilterValue(value) });
+      }
+    }
+    if (listQuery.metadata.length > MAX_METADATA_FILTERS) {
+      return fail(`At most ${MAX_METADATA_FILTERS} metadata filters are allowed.`);
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const position = decodeCursor(query.cursor);
+    if (!position) return fail('cursor is invalid.');
+    if (position.sort !== sort || position.order !== order) {
+      return fail('cursor belongs to a different sort order; keep sort and order the same across pages.');
+    }
+    listQuery.after = { value: position.value, id: position.id };
+  }
+
+  return { data: listQuery, error: null };
+}
+
+// Cache key of a list query; every parameter that changes the page is part of it
+function listQueryKey(listQuery) {
+  return crypto.createHash('sha256').update(JSON.stringify(listQuery)).digest('base64url');
+}
+
+// Points clients at the next page, via `X-Next-Cursor` and an RFC 8288 `Link` header
+function setNextPageHeaders(req, res, nextCursor) {
+  if (!nextCursor) return;
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.set('cursor', nextCursor);
+  res.setHeader('X-Next-Cursor', nextCursor);
+  res.setHeader('Link', `<${url.pathname}${url.search}>; rel="next"`);
+}
+// --- End Save List Queries ---
+
+// GET /api/saves - List the authenticated user's save files, one page at a time (see Save List Queries)
+router.get('/', canRead, listRateLimit, async (req, res) => {
+  const user = req.user;
+  const { data: listQuery, error: queryError } = parseListQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({ message: queryError });
+  }
+  const cacheKey = savesCacheKey(user.id, req.game.id, listQueryKey(listQuery));
+  logger.info({ userId: user.id, cacheKey: cacheKey }, 'Fetching save files for user');
+
+  // Try to get data from cache first
+  const cachedPage = await cache.get(cacheKey, 'saves');
+  if (cachedPage) {
+    setNextPageHeaders(req, res, cachedPage.nextCursor);
+    return res.status(200).json(cachedPage.saves);
+  }
+
+  // If not in cache or stale, fetch from the metadata store
+  logger.info({ cacheKey: cacheKey }, 'No valid cache, fetching from metadata store.');
+  try {
+    // One row more than the page holds tells whether another page follows
+    const { data, error } = await metadataStore.listSaves(user.id, req.game.id, {
+      ...listQuery,
+      limit: listQuery.limit + 1,
+    });
+
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Metadata fetch error');
+      return res.status(500).json({
+        message: 'Failed to retrieve save files list.',
+        details: error.message,
+      });
+    }
+
+    const rows = data.slice(0, listQuery.limit);
+    const page = {
+      saves: rows.map(withETag),
+      nextCursor: data.length > listQuery.limit ? encodeCursor(listQuery, rows[rows.length - 1]) : null,
+    };
+    // Store the fetched page in cache
+    await cache.set(cacheKey, 'saves', page);
+
+    setNextPageHeaders(req, res, page.nextCursor);
+    res.status(200).json(page.saves);
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'List files endpoint error');
+    console.error('List files endpoint error:', error);
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing files.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/saves/usage - Storage used by the current user and what is left of their quota
+router.get('/usage', canRead, listRateLimit, async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { data: usage, error } = await metadataStore.getUsage(user.id);
+
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Usage fetch error');
+      return res.status(500).json({
+        message: 'Failed to retrieve storage usage.',
+        details: error.message,
+      });
+    }
+
+    res.status(200).json({ data: describeUsage(usage, getQuota(user, req.game)) });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Usage endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while retrieving storage usage.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/saves/events - Server-Sent Events for the user's saves of this game (save.created, save.updated,
+// save.deleted) as they change, e.g. from another device. Last-Event-ID resumes after a dropped connection.
+router.get('/events', canRead, listRateLimit, (req, res) => {
+  const user = req.user;
+
+  if (countEventStreams(user.id) >= SSE_MAX_STREAMS_PER_USER) {
+    return res.status(429).json({
+      message: `Too many open event streams (at most ${SSE_MAX_STREAMS_PER_USER}). Close one and try again.`,
+    });
+  }
+
+  openEventStream(req, res, { userId: user.id, gameId: req.game.id, lastEventId: req.get('Last-Event-ID') });
+});
+
+// --- Audit Log ---
+// GET /api/saves/audit lists audit entries (see middleware/auditLog.js), newest first. Query parameters, all
+// optional:
+//   limit=<n>          page size, 1..AUDIT_MAX_PAGE_SIZE (default AUDIT_PAGE_SIZE)
+//   cursor=<opaque>    continue after the previous page, from its `X-Next-Cursor` header
+//   since=<date>       entries at or after (ISO 8601)
+//   until=<date>       entries before
+//   action=<action>    upload, overwrite, download, delete, restore or auth_failure
+//   user_id=<id>       whose entries; only admins may name someone else
+// Through /api/saves it covers all of the user's games and their failed authentications, through
+// /api/games/:gameId/saves (or with a game-limited API key) that game only.
+const AUDIT_PAGE_SIZE = parseInt(process.env.AUDIT_PAGE_SIZE, 10) || 100;
+const AUDIT_MAX_PAGE_SIZE = parseInt(process.env.AUDIT_MAX_PAGE_SIZE, 10) || 1000;
+const AUDIT_ORDER = { sort: 'created_at', order: 'desc' }; // For the cursor helpers of the save list
+
+// Validates the audit query parameters into `{ data: auditQuery, error }` (error being a message for a 400)
+function parseAuditQuery(query) {
+  const fail = (message) => ({ data: null, error: message });
+  const limit = query.limit === undefined ? AUDIT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_PAGE_SIZE) {
+    return fail(`limit must be an integer from 1 to ${AUDIT_MAX_PAGE_SIZE}.`);
+  }
+
+  const auditQuery = { limit, after: null };
+  if (query.action !== undefined) {
+    if (!AUDIT_ACTIONS.includes(query.action)) {
+      return fail(`action must be one of ${AUDIT_ACTIONS.join(', ')}.`);
+    }
+    auditQuery.action = query.action;
+  }
+  for (const param of ['since', 'until']) {
+    if (query[param] === undefined) continue;
+    const { date, error } = parseDateParam(query[param], param);
+    if (error) return fail(error);
+    auditQuery[param] = date;
+  }
+  if (query.cursor !== undefined) {
+    const position = decodeCursor(query.cursor);
+    if (!position || position.sort !== AUDIT_ORDER.sort) return fail('cursor is invalid.');
+    auditQuery.after = { value: position.value, id: position.id };
+  }
+
+  return { data: auditQuery, error: null };
+}
+
+// GET /api/saves/audit - The user's audit trail, one page at a time (admins: anyone's, with user_id)
+router.get('/audit', canRead, listRateLimit, async (req, res) => {
+  const user = req.user;
+  const { data: auditQuery, error: queryError } = parseAuditQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({ message: queryError });
+  }
+  const userId = req.query.user_id ?? user.id;
+  if (typeof userId !== 'string') {
+    return res.status(400).json({ message: 'user_id must be given once.' });
+  }
+  // Admin rights come with a login only, never with an API key
+  if (userId !== user.id && !(req.auth.method === 'jwt' && isAdmin(user))) {
+    return res.status(403).json({ message: 'Forbidden: only admins can read the audit log of other users.' });
+  }
+
+  try {
+    // One row more than the page holds tells whether another page follows
+    const { data, error } = await metadataStore.listAuditEntries(userId, archiveScope(req), {
+      ...auditQuery,
+      limit: auditQuery.limit + 1,
+    });
+    if (error) {
+      logger.error({ err: error, userId: user.id, auditUserId: userId }, 'Audit log fetch error');
+      return res.status(500).json({ message: 'Failed to retrieve the audit log.', details: error.message });
+    }
+
+    const entries = data.slice(0, auditQuery.limit);
+    if (data.length > auditQuery.limit) {
+      setNextPageHeaders(req, res, encodeCursor(AUDIT_ORDER, entries[entries.length - 1]));
+    }
+    if (userId !== user.id) {
+      logger.info({ adminId: user.id, userId: userId }, 'Audit log read by admin');
+    }
+    res.status(200).json(entries);
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Audit log endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while reading the audit log.',
+      details: error.message,
+    });
+  }
+});
+// --- End Audit Log ---
+
+// Opens a stored save of `ownerId` (a `save_metadata` or `save_revisions` row) as a stream of its original
+// bytes, decrypted and decompressed. A tampered encrypted blob makes the stream fail at its end.
+async function openSaveStream(meta, ownerId) {
+  let dataKey = null;
+  if (meta.encryption) {
+    const { data: key, error: keyError } = keyring
+      ? await keyring.getDataKey(ownerId)
+      : { data: null, error: new Error('Encryption is not configured on this server.') };
+    if (keyError || !key) return { data: null, error: keyError || new Error('No data key found.') };
+    dataKey = key;
+  }
+
+  const { data: stream, error } = await blobStore.openReadStream(meta.storage_path);
+  if (error) return { data: null, error: error };
+
+  const transforms = [
+    dataKey && createDecryptStream(dataKey),
+    meta.compression && createDecompressStream(meta.compression),
+  ];
+  return { data: pipeThrough(stream, ...transforms), error: null };
+}
+
+// Sends a stored save of `ownerId` as the response: `meta` is its `save_metadata` row, or a revision shaped
+// like one. Handles conditional requests, single byte ranges, passing compressed bytes through and decryption.
+// Downloads through `shareLink` claim it (if single-use) only once the whole file is about to go out, and give it
+// back if sending fails; single-use links ignore Range, or a series of ranges could fetch the file many times.
+async function sendSaveFile(req, res, meta, ownerId, { shareLink } = {}) {
+  noteAudit(res, {
+    gameId: meta.game_id,
+    fileName: meta.file_name,
+    sizeBytes: meta.size_bytes,
+    sha256: meta.sha256,
+    details: { revision_id: meta.revision_id },
+  });
+
+  // A compressed file goes out as stored when the client accepts its codec and wants the whole file;
+  // otherwise it is decompressed on the fly. Ranges always refer to the uncompressed bytes.
+  const codec = meta.compression;
+  const passThrough = Boolean(
+    codec && req.get('Accept-Encoding') && req.acceptsEncodings(codec) === codec && !req.get('Range'),
+  );
+
+  // Validators: lets clients check whether their local copy is current without downloading it again.
+  // The encoded representation gets a weak ETag, as its bytes differ from the decoded one.
+  const etag = formatETag(meta.revision_id);
+  if (etag) {
+    res.setHeader('ETag', passThrough ? `W/${etag}` : etag);
+  }
+  if (codec) {
+    res.setHeader('Vary', 'Accept-Encoding');
+  }
+  res.setHeader('Last-Modified', new Date(meta.updated_at).toUTCString());
+  if (meta.sha256) {
+    // Digest of the whole file (also on partial responses), so clients can verify what they assembled
+    res.setHeader('X-Content-SHA256', meta.sha256);
+    res.setHeader('Repr-Digest', `sha-256=:${Buffer.from(meta.sha256, 'hex').toString('base64')}:`);
+  }
+  res.setHeader('Cache-Control', 'private, no-cache'); // Always revalidate, saves change under the same URL
+  res.setHeader('Accept-Ranges', 'bytes');
+
+  if (isNotModified(req, meta)) {
+    return res.status(304).end();
+  }
+
+  // A single byte range lets interrupted downloads resume. Multiple ranges aren't supported and fall
+  // back to the full file, as does a Range whose If-Range no longer matches the current revision.
+  const size = meta.size_bytes;
+  const ifRange = req.get('If-Range');
+  const rangesAllowed = size > 0 && (!ifRange || ifRange === etag) && !shareLink?.single_use;
+  const ranges = rangesAllowed ? req.range(size, { combine: true }) : undefined;
+
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).json({ message: 'Requested range not satisfiable.' });
+  }
+
+  const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${meta.file_name}"`);
+  // Determine Content-Type dynamically or set a default (e.g., application/octet-stream)
+  // For game saves, application/octet-stream is usually appropriate.
+  // If you stored MIME type with metadata, you could use that.
+  res.setHeader('Content-Type', 'application/octet-stream');
+  if (passThrough) {
+    res.setHeader('Content-Encoding', codec);
+    res.setHeader(
+      'Content-Length',
+      String(meta.encryption ? meta.stored_bytes - ENCRYPTION_OVERHEAD : meta.stored_bytes),
+    );
+  } else if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', String(range.end - range.start + 1));
+  } else {
+    res.setHeader('Content-Length', String(size));
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  // Errors after the headers above were prepared, but before anything was sent
+  const failDownload = (status, message, details) => {
+    res.removeHeader('Content-Range');
+    res.removeHeader('Content-Length');
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Encoding');
+    return res.status(status).json({ message: message, details: details });
+  };
+
+  // Encrypted files need the owner's data key
+  let dataKey = null;
+  if (meta.encryption) {
+    const { data: key, error: keyError } = keyring
+      ? await keyring.getDataKey(ownerId)
+      : { data: null, error: new Error('Encryption is not configured on this server.') };
+    if (keyError || !key) {
+      logger.error({ err: keyError, userId: ownerId, fileName: meta.file_name }, 'Data key unavailable for download');
+      return failDownload(500, 'Failed to decrypt file.', keyError ? keyError.message : 'No data key found.');
+    }
+    dataKey = key;
+
+    // The GCM tag is only checked once the whole blob has been read, so verify it before sending
+    // anything: a tampered file must fail the download rather than hand out corrupted data.
+    const { data: verifyStream, error: verifyError } = await blobStore.openReadStream(meta.storage_path);
+    if (verifyError) {
+      logger.error({ err: verifyError, userId: ownerId, fileName: meta.file_name }, 'Storage download error');
+      return failDownload(500, 'Failed to download file from storage.', verifyError.message);
+    }
+    try {
+      await pipeline(verifyStream, createDecryptStream(dataKey), new Writable({ write: (chunk, enc, cb) => cb() }));
+    } catch (verifyStreamError) {
+      if (verifyStreamError.code === BLOB_INTEGRITY) {
+        logger.error({ userId: ownerId, fileName: meta.file_name }, 'Stored file failed its integrity check');
+        return failDownload(500, 'Stored file is corrupted and cannot be downloaded.', verifyStreamError.message);
+      }
+      logger.error({ err: verifyStreamError, userId: ownerId, fileName: meta.file_name }, 'Storage download error');
+      return failDownload(500, 'Failed to download file from storage.', verifyStreamError.message);
+    }
+  }
+
+  // Stream the file from the blob store instead of buffering it in memory.
+  // Stored ranges only line up with the requested ones for plain, uncompressed files.
+  const { data: stream, error: downloadError } = await blobStore.openReadStream(
+    meta.storage_path,
+    range && !codec && !dataKey ? { start: range.start, end: range.end } : {},
+  );
+
+  if (downloadError) {
+    logger.error({ err: downloadError, userId: ownerId, fileName: meta.file_name }, 'Storage download error');
+    return failDownload(500, 'Failed to download file from storage.', downloadError.message);
+  }
+
+  if (shareLink) {
+    const { data: claimed, error: claimError } = await claimShareLink(shareLink);
+    if (claimError || !claimed) {
+      stream.destroy();
+      if (claimError) logger.error({ err: claimError, shareId: shareLink.id }, 'Failed to claim share link');
+      return failDownload(404, 'Share link not found, expired or revoked.');
+    }
+  }
+
+  const stages = [stream];
+  if (dataKey) {
+    stages.push(createDecryptStream(dataKey));
+  }
+  if (codec && !passThrough) {
+    stages.push(createDecompressStream(codec));
+  }
+  if (range && (codec || dataKey)) {
+    stages.push(createSliceStream(range.start, range.end));
+  }
+  const sent = createByteCounter();
+
+  try {
+    await pipeline(...stages, sent, res);
+    saveDownloadBytes.observe({ game: meta.game_id }, sent.bytes);
+  } catch (streamError) {
+    // Headers are already sent at this point, so all we can do is log and drop the connection
+    logger.warn({ err: streamError, userId: ownerId, fileName: meta.file_name }, 'Download stream interrupted');
+    if (shareLink) await releaseShareLink(shareLink);
+  }
+  saveTransferBytes.inc({ direction: 'download' }, sent.bytes);
+}
+
+// GET /api/saves/download/:fileName - Download a specific save file
+// (also GET /api/games/:gameId/saves/:slot, registered below)
+async function handleDownload(req, res) {
+  const user = req.user;
+  const { fileName } = req.params;
+  logger.info({ userId: user.id, gameId: req.game.id, fileName: fileName }, 'Download requested');
+
+  try {
+    // First, verify the user owns this file by checking metadata (cached, as clients poll their saves)
+    const cacheKey = saveCacheKey(user.id, req.game.id, fileName);
+    let meta = await cache.get(cacheKey, 'save');
+    if (!meta) {
+      const { data, error: metaError } = await metadataStore.getSave(user.id, req.game.id, fileName); // We expect only one file with this name for this user
+
+      if (metaError || !data) {
+        if (metaError) logger.error({ err: metaError, userId: user.id, fileName: fileName }, 'Download metadata error');
+        return res.status(404).json({ message: 'Save file not found or access denied.' });
+      }
+      meta = data;
+      await cache.set(cacheKey, 'save', meta);
+    }
+
+    await sendSaveFile(req, res, meta, user.id);
+  } catch (error) {
+    logger.error({ err: error, userId: user.id, fileName: fileName }, 'Download endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred during file download.',
+      details: error.message,
+    });
+  }
+}
+
+router.get('/download/:fileName', auditDownload, canRead, downloadRateLimit, handleDownload);
+
+// GET /api/saves/:fileName/revisions - List the stored revisions of a save file, newest first
+router.get('/:fileName/revisions', canRead, listRateLimit, async (req, res) => {
+  const user = req.user;
+  const { fileName } = req.params;
+  logger.info({ userId: user.id, fileName: fileName }, 'Listing revisions');
+
+  try {
+    const { data: meta, error: metaError } = await metadataStore.getSave(user.id, req.game.id, fileName);
+
+    if (metaError || !meta) {
+      return res.status(404).json({ message: 'Save file not found or access denied.' });
+    }
+
+    const { data, error } = await metadataStore.listRevisions(user.id, req.game.id, fileName);
+
+    if (error) {
+      logger.error({ err: error, userId: user.id, fileName: fileName }, 'Revisions fetch error');
+      return res.status(500).json({
+        message: 'Failed to retrieve revisions.',
+        details: error.message,
+      });
+    }
+
+    res.status(200).json(
+      data.map((revision) => ({
+        id: revision.id,
+        file_name: revision.file_name,
+        size_bytes: revision.size_bytes,
+        version: revision.version,
+        custom_metadata: revision.custom_metadata,
+        sha256: revision.sha256,
+        restored_from: revision.restored_from,
+        created_at: revision.created_at,
+        is_current: revision.id === meta.revision_id,
+      })),
+    );
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'List revisions endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing revisions.',
+      details: error.message,
+    });
+  }
+});
+
+// POST /api/saves/:fileName/revisions/:revisionId/restore - Promote an older revision back to current
+router.post('/:fileName/revisions/:revisionId/restore', auditRestore, canWrite, uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { fileName, revisionId } = req.params;
+  logger.info({ userId: user.id, fileName: fileName, revisionId: revisionId }, 'Restoring revision');
+
+  try {
+    const { data: revision, error: revisionError } = await metadataStore.getRevision(
+      user.id,
+      req.game.id,
+      fileName,
+      revisionId,
+    );
+
+    if (revisionError || !revision) {
+      return res.status(404).json({ message: 'Revision not found or access denied.' });
+    }
+    noteAudit(res, { sizeBytes: revision.size_bytes, sha256: revision.sha256, details: { revision_id: revision.id } });
+
+    // The restored revision becomes a new entry at the top of the history and shares
+    // the storage object of the original, so nothing is copied in storage.
+    const { data: metaData, error: metaError } = await commitRevision(user.id, req.game.id, fileName, {
+      storage_path: revision.storage_path,
+      size_bytes: revision.size_bytes,
+      version: revision.version,
+      custom_metadata: revision.custom_metadata,
+      sha256: revision.sha256,
+      compression: revision.compression,
+      encryption: revision.encryption,
+      stored_bytes: revision.stored_bytes,
+      restored_from: revision.id,
+    });
+
+    if (metaError) {
+      logger.error({ err: metaError, userId: user.id, revisionId: revisionId }, 'Failed to restore revision');
+      return res.status(500).json({
+        message: 'Failed to restore revision.',
+        details: metaError.message,
+      });
+    }
+
+    await pruneRevisions(user.id, req.game.id, fileName, getRevisionLimit(user, req.game));
+
+    // Invalidate cache for this user's save list
+    await invalidateSaveCache(user.id, req.game.id, fileName);
+    publishSaveEvent('save.updated', metaData);
+
+    res.setHeader('ETag', formatETag(metaData.revision_id));
+    res.status(200).json({ message: `Revision restored for '${fileName}'.`, data: withETag(metaData) });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Restore revision endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while restoring the revision.',
+      details: error.message,
+    });
+  }
+});
+
+// --- Share Links ---
+// A share link hands the revision that was current when it was created to anyone holding the link
+// (GET /api/shared/:token, see routes/shared.js). Links expire, can be single-use and can be revoked.
+// A logged-in recipient can also import the shared save into their own saves of the same game.
+const SHARE_LINK_DEFAULT_HOURS = 24;
+const SHARE_LINK_MAX_HOURS = parseInt(process.env.SHARE_LINK_MAX_HOURS, 10) || 30 * 24; // 30 days
+const IMPORT_MAX_BYTES = parseInt(process.env.IMPORT_MAX_BYTES, 10) || 50 * 1024 * 1024; // Imports are read into memory
+
+function describeShareLink(req, link) {
+  const token = createShareToken(link);
+  return {
+    id: link.id,
+    file_name: link.file_name,
+    revision_id: link.revision_id,
+    single_use: link.single_use,
+    created_at: link.created_at,
+    expires_at: link.expires_at,
+    token: token,
+    url: `${req.protocol}://${req.get('host')}/api/shared/${token}`,
+  };
+}
+
+// The revision a share link points at, shaped like a `save_metadata` row; `data` is null once it's gone
+// (the save was deleted or the revision pruned)
+async function loadSharedRevision(link) {
+  const { data: revision, error } = await metadataStore.getRevision(
+    link.user_id,
+    link.game_id,
+    link.file_name,
+    link.revision_id,
+  );
+  if (error || !revision) return { data: null, error: error };
+  return { data: { ...revision, revision_id: revision.id, updated_at: revision.created_at }, error: null };
+}
+
+// Reads a stored save of `ownerId` into memory, decrypted and decompressed, resolving to `{ data: Buffer, error }`
+async function readSaveFile(meta, ownerId) {
+  const { data: stream, error } = await openSaveStream(meta, ownerId);
+  if (error) return { data: null, error: error };
+
+  const chunks = [];
+  try {
+    await pipeline(
+      stream,
+      new Writable({
+        write: (chunk, enc, cb) => {
+          chunks.push(chunk);
+          cb();
+        },
+      }),
+    );
+  } catch (readError) {
+    return { data: null, error: readError };
+  }
+  return { data: Buffer.concat(chunks), error: null };
+}
+
+// POST /api/saves/:fileName/share - Create a share link for the current revision of a save
+router.post('/:fileName/share', canWrite, uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { fileName } = req.params;
+  const { expires_in_hours: expiresInHours = SHARE_LINK_DEFAULT_HOURS, single_use: singleUse = false } = req.body;
+
+  if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > SHARE_LINK_MAX_HOURS) {
+    return res.status(400).json({
+      message: `expires_in_hours must be an integer from 1 to ${SHARE_LINK_MAX_HOURS}.`,
+    });
+  }
+  if (typeof singleUse !== 'boolean') {
+    return res.status(400).json({ message: 'single_use must be a boolean.' });
+  }
+
+  try {
+    const { data: meta, error: metaError } = await metadataStore.getSave(user.id, req.game.id, fileName);
+    if (metaError) {
+      logger.error({ err: metaError, userId: user.id }, 'Metadata lookup error before sharing');
+      return res.status(500).json({ message: 'Failed to look up the save file.', details: metaError.message });
+    }
+    if (!meta) {
+      return res.status(404).json({ message: 'Save file not found or access denied.' });
+    }
+    if (!meta.revision_id) {
+      return res.status(409).json({ message: 'This save predates revision history; upload it again to share it.' });
+    }
+
+    const { data: link, error } = await metadataStore.insertShareLink({
+      user_id: user.id,
+      game_id: req.game.id,
+      file_name: fileName,
+      revision_id: meta.revision_id,
+      single_use: singleUse,
+      expires_at: new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString(),
+    });
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Share link creation error');
+      return res.status(500).json({ message: 'Failed to create share link.', details: error.message });
+    }
+
+    logger.info({ userId: user.id, fileName: fileName, shareId: link.id }, 'Share link created');
+    res.status(201).json({ message: 'Share link created.', data: describeShareLink(req, link) });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Create share link endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while creating the share link.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/saves/shares - The user's share links that still work (in this game)
+router.get('/shares', canRead, listRateLimit, async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { data, error } = await metadataStore.listShareLinks(user.id, req.game.id);
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Share link list error');
+      return res.status(500).json({ message: 'Failed to retrieve share links.', details: error.message });
+    }
+
+    res.status(200).json(data.map((link) => describeShareLink(req, link)));
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'List share links endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing share links.',
+      details: error.message,
+    });
+  }
+});
+
+// DELETE /api/saves/shares/:shareId - Revoke a share link; it stops working immediately
+router.delete('/shares/:shareId', canWrite, uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { shareId } = req.params;
+
+  try {
+    const { data, error } = await metadataStore.revokeShareLink(user.id, req.game.id, shareId);
+    if (error) {
+      logger.error({ err: error, userId: user.id, shareId: shareId }, 'Share link revoke error');
+      return res.status(500).json({ message: 'Failed to revoke share link.', details: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ message: 'Share link not found or already revoked.' });
+    }
+
+    logger.info({ userId: user.id, shareId: shareId }, 'Share link revoked');
+    res.status(200).json({ message: 'Share link revoked.', data: { id: data.id, revoked_at: data.revoked_at } });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id, shareId: shareId }, 'Revoke share link endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while revoking the share link.',
+      details: error.message,
+    });
+  }
+});
+
+// POST /api/saves/shares/import - Copy a shared save into the user's own saves, as `file_name`.
+// Takes the share link (or just its token) as `share`; an existing save of that name is only replaced with `force`.
+router.post('/shares/import', auditUpload, canWrite, uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { share, file_name: fileName } = req.body;
+  const force = req.body.force === true || req.query.force === 'true';
+  noteAudit(res, { fileName: fileName });
+
+  if (!share || typeof share !== 'string') {
+    return res.status(400).json({ message: 'share must be a share link or its token.' });
+  }
+  const slotError = checkSlot(req.game, fileName);
+  if (slotError) {
+    return res.status(400).json({ message: slotError });
+  }
+  const token = share.split('/').pop();
+
+  try {
+    const { data: link, error: linkError } = await redeemShareToken(token);
+    if (linkError) {
+      logger.error({ err: linkError, userId: user.id }, 'Share link lookup error');
+      return res.status(500).json({ message: 'Failed to look up the share link.', details: linkError.message });
+    }
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found, expired or revoked.' });
+    }
+    noteAudit(res, { details: { share_id: link.id } });
+    if (link.game_id !== req.game.id) {
+      return res.status(409).json({
+        message: `This save belongs to another game; import it through /api/games/${link.game_id}/saves.`,
+        game_id: link.game_id,
+      });
+    }
+
+    const { data: shared, error: revisionError } = await loadSharedRevision(link);
+    if (revisionError) {
+      logger.error({ err: revisionError, shareId: link.id }, 'Shared revision lookup error');
+      return res.status(500).json({ message: 'Failed to look up the shared save.', details: revisionError.message });
+    }
+    if (!shared) {
+      return res.status(410).json({ message: 'The shared save is no longer available.' });
+    }
+    if (shared.size_bytes > IMPORT_MAX_BYTES) {
+      return res.status(413).json({
+        message: `Shared save is too large to import. Maximum size is ${IMPORT_MAX_BYTES} bytes; download it instead.`,
+      });
+    }
+
+    const { data: existing, error: existingError } = await metadataStore.getSave(user.id, req.game.id, fileName);
+    if (existingError) {
+      logger.error({ err: existingError, userId: user.id }, 'Metadata lookup error before import');
+      return res.status(500).json({ message: 'Failed to check the target save.', details: existingError.message });
+    }
+    if (existing && !force) {
+      return res.status(409).json({
+        message: `A save named '${fileName}' already exists. Import under another name, or pass force to replace it.`,
+      });
+    }
+
+    const { data: body, error: readError } = await readSaveFile(shared, link.user_id);
+    if (readError) {
+      logger.error({ err: readError, shareId: link.id }, 'Failed to read shared save');
+      return res.status(500).json({ message: 'Failed to read the shared save.', details: readError.message });
+    }
+
+    // Only now use up a single-use link, and give it back if the import fails, so a rejected import doesn't burn it
+    const { data: claimed, error: claimError } = await claimShareLink(link);
+    if (claimError || !claimed) {
+      if (claimError) logger.error({ err: claimError, shareId: link.id }, 'Failed to claim share link');
+      return res.status(404).json({ message: 'Share link not found, expired or revoked.' });
+    }
+
+    let metaData = null;
+    try {
+      metaData = await storeUpload(req, res, {
+        fileName: fileName,
+        body: body,
+        contentType: 'application/octet-stream',
+        size: body.length,
+        version: shared.version,
+        customMetadata: shared.custom_metadata || {},
+        force: true,
+        expectedSha256: shared.sha256 || undefined,
+      });
+    } finally {
+      if (!metaData) await releaseShareLink(link);
+    }
+    if (metaData) {
+      logger.info({ userId: user.id, fileName: fileName, shareId: link.id }, 'Shared save imported');
+    }
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Import endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while importing the shared save.',
+      details: error.message,
+    });
+  }
+});
+// --- End Share Links ---
+
+// --- Export and Import ---
+// GET /api/saves/export streams a tar archive (gzipped unless `format=tar`) of the user's saves with their
+// revision history; POST /api/saves/import restores one. An archive holds:
+//   manifest.json      every save with its revisions, oldest first: version, custom_metadata, timestamps,
+//                      size and SHA-256 of the content, and which object holds it
+//   objects/<sha256>   the content of the revisions, decrypted and decompressed, once per distinct file
+// Through /api/saves both cover all of the user's games (a game-limited API key: only its game), through
+// /api/games/:gameId/saves only that game.
+const ARCHIVE_FORMAT = 'cloud-save-export';
+const ARCHIVE_FORMAT_VERSION = 1;
+const IMPORT_CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+
+// The game an export or import is limited to, or undefined for all of them
+function archiveScope(req) {
+  return req.params.gameId ? req.game.id : req.auth.gameId || undefined;
+}
+
+function archiveObjectName(revision) {
+  return `objects/${revision.sha256}`;
+}
+
+// SHA-256 of a stored revision's content, for revisions from before content hashing; resolves to `{ data, error }`
+async function hashStoredRevision(revision, ownerId) {
+  const { data: stream, error } = await openSaveStream(revision, ownerId);
+  if (error) return { data: null, error: error };
+
+  const hash = crypto.createHash('sha256');
+  try {
+    await pipeline(
+      stream,
+      new Writable({
+        write: (chunk, enc, cb) => {
+          hash.update(chunk);
+          cb();
+        },
+      }),
+    );
+  } catch (streamError) {
+    return { data: null, error: streamError };
+  }
+  return { data: hash.digest('hex'), error: null };
+}
+
+// Reads the save list and revision history for an export into `{ data: { manifest, objects }, error }`,
+// where `objects` maps each archive object to a revision holding its content
+async function buildExportManifest(userId, gameId) {
+  const { data: saves, error } = await metadataStore.listSaves(userId, gameId);
+  if (error) return { data: null, error: error };
+
+  const objects = new Map();
+  const manifestSaves = [];
+  for (const save of saves) {
+    const { data: revisions, error: revisionsError } = await metadataStore.listRevisions(
+      userId,
+      save.game_id,
+      save.file_name,
+    );
+    if (revisionsError) return { data: null, error: revisionsError };
+
+    let history = [...revisions].reverse();
+    if (history.length === 0) {
+      // Saves from before revision history only have their current state
+      const { data: row, error: rowError } = await metadataStore.getSave(userId, save.game_id, save.file_name);
+      if (rowError) return { data: null, error: rowError };
+      if (!row) continue;
+      history = [{ ...row, id: row.revision_id || row.id, created_at: row.updated_at }];
+    }
+    // Every object in an archive is named and checked by its digest, so revisions without one get it now
+    for (const [index, revision] of history.entries()) {
+      if (revision.sha256) continue;
+      const { data: sha256, error: hashError } = await hashStoredRevision(revision, userId);
+      if (hashError) return { data: null, error: hashError };
+      history[index] = { ...revision, sha256: sha256 };
+    }
+
+    manifestSaves.push({
+      game_id: save.game_id,
+      file_name: save.file_name,
+      current_revision_id: save.revision_id,
+      updated_at: save.updated_at,
+      revisions: history.map((revision) => {
+        const object = archiveObjectName(revision);
+        if (!objects.has(object)) objects.set(object, revision);
+        return {
+          id: revision.id,
+          version: revision.version,
+          custom_metadata: revision.custom_metadata,
+          size_bytes: revision.size_bytes,
+          sha256: revision.sha256,
+          created_at: revision.created_at,
+          restored_from: revision.restored_from || null,
+          object: object,
+        };
+      }),
+    });
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    format_version: ARCHIVE_FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    user_id: userId,
+    game_id: gameId || null,
+    saves: manifestSaves,
+  };
+  return { data: { manifest: manifest, objects: objects }, error: null };
+}
+
+// GET /api/saves/export - Download all saves (with their revisions) as one archive
+router.get('/export', auditDownload, canRead, downloadRateLimit, async (req, res) => {
+  const user = req.user;
+  const format = req.query.format || 'tar.gz';
+  noteAudit(res, { gameId: archiveScope(req) || null, details: { export: true } });
+  if (!['tar', 'tar.gz'].includes(format)) {
+    return res.status(400).json({ message: 'format must be tar or tar.gz.' });
+  }
+
+  try {
+    const { data: archive, error } = await buildExportManifest(user.id, archiveScope(req));
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Metadata fetch error before export');
+      return res.status(500).json({ message: 'Failed to read the save files to export.', details: error.message });
+    }
+    noteAudit(res, { details: { saves: archive.manifest.saves.length } });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'tar' ? 'application/x-tar' : 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="saves-export-${date}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Entries are written as the client reads them; a failure past this point can only cut the archive short
+    const pack = createTarPack();
+    const stages = [pack.stream, format === 'tar.gz' && zlib.createGzip(), res].filter(Boolean);
+    const writing = (async () => {
+      const manifest = Buffer.from(JSON.stringify(archive.manifest, null, 2));
+      await pack.addEntry('manifest.json', manifest.length, manifest);
+      for (const [object, revision] of archive.objects) {
+        const { data: stream, error: openError } = await openSaveStream(revision, user.id);
+        if (openError) throw openError;
+        await pack.addEntry(object, revision.size_bytes, stream, new Date(revision.created_at));
+      }
+      await pack.finalize();
+    })();
+
+    try {
+      await Promise.all([writing, pipeline(...stages)]);
+      logger.info(
+        { userId: user.id, saves: archive.manifest.saves.length, objects: archive.objects.size },
+        'Saves exported',
+      );
+    } catch (streamError) {
+      logger.error({ err: streamError, userId: user.id }, 'Export stream interrupted');
+      pack.stream.destroy(streamError);
+      res.destroy();
+    }
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Export endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred during the export.',
+      details: error.message,
+    });
+  }
+});
+
+// A name for an imported save that's not in `names`: the lowest free slot in games with numbered slots,
+// otherwise `name (2).ext`, `name (3).ext`, ... Null if there is none.
+function renameForImport(game, fileName, names) {
+  if (game.slots === 'numbered') {
+    for (let slot = 1; !game.max_slots || slot <= game.max_slots; slot++) {
+      if (!names.has(String(slot))) return String(slot);
+    }
+    return null;
+  }
+  const dot = fileName.lastIndexOf('.');
+  const [base, extension] = dot > 0 ? [fileName.slice(0, dot), fileName.slice(dot)] : [fileName, ''];
+  for (let n = 2; ; n++) {
+    const candidate = `${base} (${n})${extension}`;
+    if (checkSlot(game, candidate)) return null;
+    if (!names.has(candidate)) return candidate;
+  }
+}
+
+// Why one revision of an archive can't be imported into `game`, or null if it can
+function checkImportedRevision(game, revision) {
+  if (
+    !revision ||
+    typeof revision.object !== 'string' ||
+    !Number.isInteger(revision.size_bytes) ||
+    revision.size_bytes < 0 ||
+    !parseExpectedDigest(revision.sha256)
+  ) {
+    throw codedError(ARCHIVE_INVALID, 'Archive manifest lists a revision without object, size_bytes or sha256.');
+  }
+  const sizeError = checkGameFileSize(game, revision.size_bytes);
+  if (sizeError) return sizeError;
+  if (revision.size_bytes > IMPORT_MAX_BYTES) {
+    return `File is too large to import. Maximum size is ${IMPORT_MAX_BYTES} bytes.`;
+  }
+  const metadataErrors = checkCustomMetadata(game, revision.custom_metadata || {});
+  if (metadataErrors.length > 0) {
+    const [first] = metadataErrors;
+    return `custom_metadata does not match the metadata schema of ${game.name}: ${first.path} ${first.message}.`;
+  }
+  return null;
+}
+
+// Decides what becomes of each save in an archive. Resolves to `{ data: { imports, skipped }, error }`; an
+// import names the target game and slot and the revisions to restore (oldest first, up to the revision limit).
+async function planImport(req, manifestSaves, onConflict) {
+  const user = req.user;
+  const scope = archiveScope(req);
+  const namesInUse = new Map(); // game id -> names of existing saves and of the saves planned so far
+  const imports = [];
+  const skipped = [];
+
+  for (const entry of manifestSaves) {
+    if (!entry || typeof entry.file_name !== 'string' || !Array.isArray(entry.revisions) || !entry.revisions.length) {
+      throw codedError(ARCHIVE_INVALID, 'Archive manifest lists a save without file_name or revisions.');
+    }
+    const gameId = entry.game_id || DEFAULT_GAME_ID;
+    const skip = (reason) => skipped.push({ game_id: gameId, file_name: entry.file_name, reason: reason });
+
+    if (scope !== undefined && gameId !== scope) {
+      skip(`Not part of the game '${scope}' this import is limited to.`);
+      continue;
+    }
+    const game = getGame(gameId);
+    if (!game) {
+      skip(`Game '${gameId}' is not registered.`);
+      continue;
+    }
+
+    const revisions = entry.revisions.slice(-getRevisionLimit(user, game));
+    const problem =
+      checkSlot(game, entry.file_name) ||
+      revisions.map((revision) => checkImportedRevision(game, revision)).find(Boolean);
+    if (problem) {
+      skip(problem);
+      continue;
+    }
+
+    if (!namesInUse.has(gameId)) {
+      const { data: saves, error } = await metadataStore.listSaves(user.id, gameId);
+      if (error) return { data: null, error: error };
+      namesInUse.set(gameId, new Set(saves.map((save) => save.file_name)));
+    }
+    const names = namesInUse.get(gameId);
+
+    let fileName = entry.file_name;
+    if (names.has(fileName) && onConflict === 'skip') {
+      skip('A save with this name already exists.');
+      continue;
+    }
+    if (names.has(fileName) && onConflict === 'rename') {
+      fileName = renameForImport(game, fileName, names);
+      if (!fileName) {
+        skip('A save with this name already exists and there is no free name to rename it to.');
+        continue;
+      }
+    }
+
+    imports.push({ entry: entry, game: game, fileName: fileName, revisions: revisions, isNew: !names.has(fileName) });
+    names.add(fileName);
+  }
+
+  return { data: { imports: imports, skipped: skipped }, error: null };
+}
+
+// Stores imported content like an upload (compressed, then encrypted) at its content-addressed path, reusing
+// what the user already has. Resolves to `{ data, error }`, `data` holding the blob fields of a revision.
+async function storeImportedBlob(userId, body, sha256) {
+  const filePath = `${userId}/objects/${sha256}${keyring ? '.enc' : ''}`;
+  const { data: existingBlob } = await metadataStore.findRevisionByStoragePath(userId, filePath);
+  if (existingBlob) {
+    return {
+      data: {
+        storage_path: filePath,
+        compression: existingBlob.compression,
+        encryption: existingBlob.encryption,
+        stored_bytes: existingBlob.stored_bytes,
+        written: false,
+      },
+      error: null,
+    };
+  }
+
+  let dataKey = null;
+  if (keyring) {
+    const { data: key, error: keyError } = await keyring.getDataKey(userId, { create: true });
+    if (keyError || !key) return { data: null, error: keyError || new Error('No data key available.') };
+    dataKey = key;
+  }
+  const compressed = await compressBuffer(body);
+  const storedBody = dataKey ? encryptBuffer(dataKey, compressed.body) : compressed.body;
+  const { error } = await blobStore.upload(filePath, storedBody, { contentType: 'application/octet-stream' });
+  if (error) return { data: null, error: error };
+
+  return {
+    data: {
+      storage_path: filePath,
+      compression: compressed.codec,
+      encryption: dataKey ? ENCRYPTION_ALGORITHM : null,
+      stored_bytes: storedBody.length,
+      written: true,
+    },
+    error: null,
+  };
+}
+
+// POST /api/saves/import?on_conflict=skip|overwrite|rename - Restore an archive made by the export.
+// The archive (tar or tar.gz) is the request body. Saves whose name is taken are left alone (skip, the
+// default), get the archive's revisions on top of their own (overwrite), or are imported under a new name.
+router.post('/import', canWrite, uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const onConflict = req.query.on_conflict || 'skip';
+  if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+    return res.status(400).json({ message: `on_conflict must be one of ${IMPORT_CONFLICT_MODES.join(', ')}.` });
+  }
+  if (req.is(['json', 'urlencoded', 'multipart'])) {
+    return res.status(415).json({ message: 'Send the archive itself as the request body (application/x-tar).' });
+  }
+
+  const writtenPaths = []; // Blobs this import wrote; whatever no revision ends up referencing is removed again
+  try {
+    const entries = readArchive(req, { maxEntryBytes: IMPORT_MAX_BYTES });
+    const first = await entries.next();
+    if (first.done || first.value.name !== 'manifest.json') {
+      throw codedError(ARCHIVE_INVALID, 'Archive must start with manifest.json.');
+    }
+    let manifest;
+    try {
+      manifest = JSON.parse(first.value.body.toString('utf8'));
+    } catch (error) {
+      throw codedError(ARCHIVE_INVALID, `manifest.json is not valid JSON: ${error.message}`);
+    }
+    if (manifest?.format !== ARCHIVE_FORMAT || manifest.format_version !== ARCHIVE_FORMAT_VERSION) {
+      throw codedError(
+        ARCHIVE_INVALID,
+        `Not a save export archive (format ${ARCHIVE_FORMAT} ${ARCHIVE_FORMAT_VERSION}).`,
+      );
+    }
+    if (!Array.isArray(manifest.saves)) {
+      throw codedError(ARCHIVE_INVALID, 'Archive manifest has no saves.');
+    }
+
+    const { data: plan, error: planError } = await planImport(req, manifest.saves, onConflict);
+    if (planError) {
+      logger.error({ err: planError, userId: user.id }, 'Metadata lookup error before import');
+      return res.status(500).json({ message: 'Failed to check existing save files.', details: planError.message });
+    }
+
+    // Objects the planned revisions need, with the size and digest each must have
+    const needed = new Map();
+    for (const item of plan.imports) {
+      for (const revision of item.revisions) {
+        const sha256 = parseExpectedDigest(revision.sha256);
+        const known = needed.get(revision.object);
+        if (known && (known.sha256 !== sha256 || known.size !== revision.size_bytes)) {
+          throw codedError(ARCHIVE_INVALID, `Archive manifest lists ${revision.object} with different contents.`);
+        }
+        needed.set(revision.object, { sha256: sha256, size: revision.size_bytes });
+      }
+    }
+
+    // Checked against the uncompressed sizes, before anything is written
+    const quotaCheck = await checkQuota(user, req.game, {
+      addedBytes: [...needed.values()].reduce((sum, object) => sum + object.size, 0),
+      addedFiles: plan.imports.filter((item) => item.isNew).length,
+    });
+    if (quotaCheck.error) {
+      logger.error({ err: quotaCheck.error, userId: user.id }, 'Usage lookup error before import');
+      return res.status(500).json({ message: 'Failed to check storage quota.', details: quotaCheck.error.message });
+    }
+    if (quotaCheck.exceeded) {
+      return sendQuotaExceeded(res, quotaCheck);
+    }
+
+    // Store the content as it streams in, verifying each object against the size and digest the quota and
+    // game checks above relied on
+    const blobs = new Map();
+    for await (const { name, body } of entries) {
+      if (!needed.has(name) || blobs.has(name)) continue;
+      const expected = needed.get(name);
+      if (body.length !== expected.size) {
+        throw codedError(ARCHIVE_INVALID, `Archive entry ${name} does not have the size its manifest lists.`);
+      }
+      const sha256 = sha256Hex(body);
+      if (sha256 !== expected.sha256) {
+        throw codedError(ARCHIVE_INVALID, `Archive entry ${name} does not match its SHA-256 digest.`);
+      }
+      const { data: blob, error: blobError } = await storeImportedBlob(user.id, body, sha256);
+      if (blobError) throw blobError;
+      if (blob.written) writtenPaths.push(blob.storage_path);
+      blobs.set(name, { ...blob, sha256: sha256, size_bytes: body.length });
+    }
+    const missing = [...needed.keys()].filter((name) => !blobs.has(name));
+    if (missing.length > 0) {
+      throw codedError(ARCHIVE_INVALID, `Archive is missing ${missing.length} object(s), e.g. ${missing[0]}.`);
+    }
+
+    // Then record the revisions, oldest first, so each save ends on the archive's current revision
+    const imported = [];
+    const skipped = [...plan.skipped];
+    for (const item of plan.imports) {
+      let failure = null;
+      let saved = null;
+      for (const revision of item.revisions) {
+        const blob = blobs.get(revision.object);
+        const { data: committed, error: commitError } = await commitRevision(user.id, item.game.id, item.fileName, {
+          storage_path: blob.storage_path,
+          size_bytes: blob.size_bytes,
+          version: typeof revision.version === 'string' ? revision.version : '1.0',
+          custom_metadata: revision.custom_metadata || {},
+          sha256: blob.sha256,
+          compression: blob.compression,
+          encryption: blob.encryption,
+          stored_bytes: blob.stored_bytes,
+        });
+        if (commitError) {
+          failure = commitError;
+          break;
+        }
+        saved = committed;
+      }
+
+      await pruneRevisions(user.id, item.game.id, item.fileName, getRevisionLimit(user, item.game));
+      await invalidateSaveCache(user.id, item.game.id, item.fileName);
+      // Every save of the archive is an upload of its own in the audit trail
+      recordAuditEntry(req, {
+        action: item.isNew ? 'upload' : 'overwrite',
+        outcome: failure ? 'failure' : 'success',
+        gameId: item.game.id,
+        fileName: item.fileName,
+        sizeBytes: saved?.size_bytes,
+        sha256: saved?.sha256,
+        details: { import: true, revisions: item.revisions.length },
+      });
+      if (failure) {
+        logger.error({ err: failure, userId: user.id, fileName: item.fileName }, 'Failed to import save');
+        skipped.push({ game_id: item.game.id, file_name: item.entry.file_name, reason: 'Failed to save it.' });
+      } else {
+        publishSaveEvent(item.isNew ? 'save.created' : 'save.updated', saved);
+        imported.push({
+          game_id: item.game.id,
+          file_name: item.entry.file_name,
+          imported_as: item.fileName,
+          revisions: item.revisions.length,
+        });
+      }
+    }
+
+    logger.info({ userId: user.id, imported: imported.length, skipped: skipped.length }, 'Archive imported');
+    res.status(200).json({ message: 'Archive imported.', imported: imported, skipped: skipped });
+  } catch (error) {
+    if (error.code === ARCHIVE_INVALID) {
+      logger.warn({ userId: user.id, reason: error.message }, 'Import rejected: invalid archive');
+      return res.status(400).json({ message: 'Invalid archive.', details: error.message });
+    }
+    logger.error({ err: error, userId: user.id }, 'Import endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred during the import.',
+      details: error.message,
+    });
+  } finally {
+    await removeUnreferencedBlobs(user.id, writtenPaths);
+  }
+});
+// --- End Export and Import ---
+
+// --- Trash ---
+// Deleting a save moves it to the trash (`save_trash`) with all of its revisions, where it can be restored
+// until its retention ends (TRASH_RETENTION_DAYS). A background job then purges it for good. The trashed
+// revisions keep their storage objects, so trashed saves still count against the storage quota.
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = (parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const TRASH_PURGE_BATCH_SIZE = 100;
+
+// A trash item as clients see it
+function describeTrashItem(item) {
+  return {
+    id: item.id,
+    game_id: item.game_id,
+    file_name: item.file_name,
+    size_bytes: item.size_bytes,
+    version: item.version,
+    custom_metadata: item.custom_metadata,
+    sha256: item.sha256,
+    revision_id: item.revision_id,
+    updated_at: item.updated_at,
+    trashed_at: item.trashed_at,
+    purge_at: item.purge_at,
+  };
+}
+
+// Moves a save and its revisions to the trash. Resolves to `{ data: trash item, error }`; on failure the save
+// is left as it was.
+async function trashSave(meta) {
+  const { data: item, error } = await metadataStore.insertTrashItem({
+    user_id: meta.user_id,
+    game_id: meta.game_id,
+    file_name: meta.file_name,
+    storage_path: meta.storage_path,
+    size_bytes: meta.size_bytes,
+    version: meta.version,
+    custom_metadata: meta.custom_metadata,
+    sha256: meta.sha256,
+    compression: meta.compression,
+    encryption: meta.encryption,
+    stored_bytes: meta.stored_bytes,
+    revision_id: meta.revision_id,
+    created_at: meta.created_at,
+    updated_at: meta.updated_at,
+    purge_at: new Date(Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+  });
+  if (error) return { data: null, error: error };
+
+  const { error: revisionsError } = await metadataStore.trashRevisions(
+    meta.user_id,
+    meta.game_id,
+    meta.file_name,
+    item.id,
+  );
+  if (revisionsError) {
+    await metadataStore.deleteTrashItem(item.id);
+    return { data: null, error: revisionsError };
+  }
+
+  const { error: deleteError } = await metadataStore.deleteSave(meta.id);
+  if (deleteError) {
+    // Hand the revisions back before dropping the item, which would take them along
+    await metadataStore.untrashRevisions(item.id, meta.file_name);
+    await metadataStore.deleteTrashItem(item.id);
+    return { data: null, error: deleteError };
+  }
+
+  return { data: item, error: null };
+}
+
+// Deletes a trash item for good: its revisions, the item itself, then the storage objects nothing else uses
+async function purgeTrashItem(item) {
+  const { data: revisions, error } = await metadataStore.listTrashedRevisions(item.id);
+  if (error) return { error: error };
+
+  if (revisions.length > 0) {
+    const { error: revisionsError } = await metadataStore.deleteRevisions(revisions.map((r) => r.id));
+    if (revisionsError) return { error: revisionsError };
+  }
+  const { error: itemError } = await metadataStore.deleteTrashItem(item.id);
+  if (itemError) return { error: itemError };
+
+  await removeUnreferencedBlobs(item.user_id, [item.storage_path, ...revisions.map((r) => r.storage_path)]);
+  return { error: null };
+}
+
+// Makes a trash item the save `fileName` of its game again, with its revisions, and tells everyone about it.
+// Resolves to `{ data: restored save, error }`; a REVISION_CONFLICT error means a save already has the name.
+async function restoreTrashItem(item, fileName) {
+  const { data: restored, error } = await metadataStore.upsertSave(
+    {
+      user_id: item.user_id,
+      game_id: item.game_id,
+      file_name: fileName,
+      storage_path: item.storage_path,
+      size_bytes: item.size_bytes,
+      version: item.version,
+      custom_metadata: item.custom_metadata,
+      sha256: item.sha256,
+      compression: item.compression,
+      encryption: item.encryption,
+      stored_bytes: item.stored_bytes,
+      revision_id: item.revision_id,
+    },
+    { expectedRevisionId: null }, // Never replace a save that took the name in the meantime
+  );
+  if (error) return { data: null, error: error };
+
+  const { error: revisionsError } = await metadataStore.untrashRevisions(item.id, fileName);
+  if (revisionsError) {
+    await metadataStore.deleteSave(restored.id);
+    return { data: null, error: revisionsError };
+  }
+
+  const { error: itemError } = await metadataStore.deleteTrashItem(item.id);
+  if (itemError) {
+    // Harmless: the item no longer owns any revisions and the purge removes it later
+    logger.warn({ err: itemError, userId: item.user_id, trashId: item.id }, 'Failed to remove restored trash item');
+  }
+
+  await invalidateSaveCache(item.user_id, item.game_id, fileName);
+  publishSaveEvent('save.created', restored);
+  return { data: restored, error: null };
+}
+
+// Deletes a save and tells everyone about it: moves it to the trash, or with `permanent` deletes it and all
+// of its revisions right away (except the storage objects other saves still share). Resolves to
+// `{ data: trash item (null when permanent), error }`.
+async function removeSave(meta, { permanent }) {
+  const gameId = meta.game_id || DEFAULT_GAME_ID;
+  if (!permanent) {
+    const { data: item, error } = await trashSave(meta);
+    if (error) return { data: null, error: error };
+
+    await invalidateSaveCache(meta.user_id, gameId, meta.file_name);
+    publishSaveEvent('save.deleted', meta, { permanent: false, trash_id: item.id, purge_at: item.purge_at });
+    return { data: item, error: null };
+  }
+
+  // Collect the storage objects of the file and all of its revisions
+  const { data: revisions, error: revisionsError } = await metadataStore.listRevisions(
+    meta.user_id,
+    gameId,
+    meta.file_name,
+  );
+  if (revisionsError) {
+    logger.error(
+      { err: revisionsError, userId: meta.user_id, fileName: meta.file_name },
+      'Failed to list revisions for deletion',
+    );
+  }
+  const storagePaths = [meta.storage_path, ...(revisions || []).map((r) => r.storage_path)];
+
+  // Delete the revision history and the metadata entry
+  const { error: revisionsDeleteError } = await metadataStore.deleteRevisionsForFile(
+    meta.user_id,
+    gameId,
+    meta.file_name,
+  );
+  if (revisionsDeleteError) {
+    logger.error(
+      { err: revisionsDeleteError, userId: meta.user_id, fileName: meta.file_name },
+      'Failed to delete revisions',
+    );
+  }
+
+  const { error } = await metadataStore.deleteSave(meta.id);
+  if (error) return { data: null, error: error };
+
+  // Delete the storage objects, except those other saves of the user still share (identical content)
+  await removeUnreferencedBlobs(meta.user_id, storagePaths);
+
+  await invalidateSaveCache(meta.user_id, gameId, meta.file_name);
+  publishSaveEvent('save.deleted', meta, { permanent: true });
+  return { data: null, error: null };
+}
+
+// Purges every trash item past its retention, in batches. Stops at the first failure; the next run retries.
+let trashPurgeRun = null;
+
+async function purgeExpiredTrash() {
+  let purged = 0;
+  for (;;) {
+    const { data: items, error } = await metadataStore.listExpiredTrash(
+      new Date().toISOString(),
+      TRASH_PURGE_BATCH_SIZE,
+    );
+    if (error) {
+      logger.error({ err: error }, 'Failed to look up expired trash');
+      break;
+    }
+
+    for (const item of items) {
+      const { error: purgeError } = await purgeTrashItem(item);
+      if (purgeError) {
+        logger.error({ err: purgeError, userId: item.user_id, trashId: item.id }, 'Failed to purge trash item');
+        return purged;
+      }
+      purged++;
+    }
+    if (items.length < TRASH_PURGE_BATCH_SIZE) break;
+  }
+
+  if (purged > 0) logger.info({ purged: purged }, 'Purged expired trash');
+  return purged;
+}
+
+// Runs the purge now and then every TRASH_PURGE_INTERVAL_MINUTES; runs never overlap
+function startTrashPurge() {
+  const run = () => {
+    trashPurgeRun ||= purgeExpiredTrash().finally(() => {
+      trashPurgeRun = null;
+    });
+    return trashPurgeRun;
+  };
+  setInterval(run, TRASH_PURGE_INTERVAL_MS).unref(); // Don't keep the process alive for it
+  return run();
+}
+
+// GET /api/saves/trash - Saves in the trash, most recently deleted first
+router.get('/trash', canRead, listRateLimit, async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { data, error } = await metadataStore.listTrash(user.id, req.game.id);
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Trash list error');
+      return res.status(500).json({ message: 'Failed to retrieve the trash.', details: error.message });
+    }
+
+    res.status(200).json(data.map(describeTrashItem));
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'List trash endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing the trash.',
+      details: error.message,
+    });
+  }
+});
+
+// POST /api/saves/trash/:trashId/restore - Bring a save back from the trash, with its revisions.
+// Body (optional): `{ "file_name": "..." }` to restore under another name, e.g. when the old one is taken.
+router.post('/trash/:trashId/restore', auditRestore, canWrite, uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { trashId } = req.params;
+
+  try {
+    const { data: item, error } = await metadataStore.getTrashItem(user.id, req.game.id, trashId);
+    if (error) {
+      logger.error({ err: error, userId: user.id, trashId: trashId }, 'Trash lookup error');
+      return res.status(500).json({ message: 'Failed to look up the trash item.', details: error.message });
+    }
+    if (!item) {
+      return res.status(404).json({ message: 'Save not found in the trash.' });
+    }
+
+    const fileName = req.body?.file_name ?? item.file_name;
+    noteAudit(res, {
+      fileName: fileName,
+      sizeBytes: item.size_bytes,
+      sha256: item.sha256,
+      details: { trash_id: item.id, ...(fileName !== item.file_name ? { trashed_as: item.file_name } : {}) },
+    });
+    const slotError = checkSlot(req.game, fileName);
+    if (slotError) {
+      return res.status(400).json({ message: slotError });
+    }
+
+    const quotaCheck = await checkQuota(user, req.game, { addedBytes: 0, isNewFile: true });
+    if (quotaCheck.error) {
+      logger.error({ err: quotaCheck.error, userId: user.id }, 'Usage lookup error before restore');
+      return res.status(500).json({ message: 'Failed to check storage quota.', details: quotaCheck.error.message });
+    }
+    if (quotaCheck.exceeded) {
+      return sendQuotaExceeded(res, quotaCheck);
+    }
+
+    const { data: restored, error: restoreError } = await restoreTrashItem(item, fileName);
+    if (restoreError && restoreError.code === REVISION_CONFLICT) {
+      return res.status(409).json({
+        message: `A save named '${fileName}' already exists. Restore under another file_name or delete it first.`,
+      });
+    }
+    if (restoreError) {
+      logger.error({ err: restoreError, userId: user.id, trashId: trashId }, 'Failed to restore save from the trash');
+      return res.status(500).json({ message: 'Failed to restore the save.', details: restoreError.message });
+    }
+
+    logger.info({ userId: user.id, trashId: trashId, fileName: fileName }, 'Save restored from the trash');
+    res.status(200).json({ message: `Save file '${fileName}' restored.`, data: restored });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id, trashId: trashId }, 'Restore from trash endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while restoring the save.',
+      details: error.message,
+    });
+  }
+});
+
+// DELETE /api/saves/trash/:trashId - Delete a trashed save for good, without waiting for its retention to end
+router.delete('/trash/:trashId', auditDelete, canWrite, uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { trashId } = req.params;
+
+  try {
+    const { data: item, error } = await metadataStore.getTrashItem(user.id, req.game.id, trashId);
+    if (error) {
+      logger.error({ err: error, userId: user.id, trashId: trashId }, 'Trash lookup error');
+      return res.status(500).json({ message: 'Failed to look up the trash item.', details: error.message });
+    }
+    if (!item) {
+      return res.status(404).json({ message: 'Save not found in the trash.' });
+    }
+    noteAudit(res, {
+      fileName: item.file_name,
+      sizeBytes: item.size_bytes,
+      sha256: item.sha256,
+      details: { permanent: true, trash_id: item.id },
+    });
+
+    const { error: purgeError } = await purgeTrashItem(item);
+    if (purgeError) {
+      logger.error({ err: purgeError, userId: user.id, trashId: trashId }, 'Failed to purge trash item');
+      return res.status(500).json({ message: 'Failed to delete the save.', details: purgeError.message });
+    }
+
+    logger.info({ userId: user.id, trashId: trashId, fileName: item.file_name }, 'Trash item deleted permanently');
+    res.status(200).json({ message: `Save file '${item.file_name}' deleted permanently.` });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id, trashId: trashId }, 'Delete from trash endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while deleting the save.',
+      details: error.message,
+    });
+  }
+});
+// --- End Trash ---
+
+// GET /api/games/:gameId/saves/:slot (also /api/saves/:fileName) - Download the save in a slot
+router.get('/:fileName', auditDownload, canRead, downloadRateLimit, handleDownload);
+
+// DELETE /api/saves/:fileName - Move a save to the trash, or with `?permanent=true` delete it and all of its
+// history right away
+router.delete('/:fileName', auditDelete, canWrite, uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { fileName } = req.params;
+  const permanent = req.query.permanent === 'true';
+  logger.info({ userId: user.id, gameId: req.game.id, fileName: fileName, permanent: permanent }, 'Delete requested');
+  noteAudit(res, { details: { permanent: permanent } });
+
+  try {
+    // 1. Find the metadata to get the storage_path
+    const { data: meta, error: metaError } = await metadataStore.getSave(user.id, req.game.id, fileName);
+
+    if (metaError || !meta) {
+      if (metaError) logger.error({ err: metaError, userId: user.id, fileName: fileName }, 'Delete metadata error');
+      return res.status(404).json({
+        message: 'Save file not found or access denied for deletion.',
+      });
+    }
+    noteAudit(res, { sizeBytes: meta.size_bytes, sha256: meta.sha256, details: { revision_id: meta.revision_id } });
+
+    const { data: item, error: removeError } = await removeSave(meta, { permanent: permanent });
+    if (removeError && !permanent) {
+      logger.error({ err: removeError, userId: user.id, fileName: fileName }, 'Failed to move save to the trash');
+      return res.status(500).json({ message: 'Failed to move the save to the trash.', details: removeError.message });
+    }
+    if (removeError) {
+      logger.error({ err: removeError, userId: user.id, fileName: fileName }, 'Metadata delete error');
+      return res.status(500).json({
+        message: 'Failed to delete file metadata.',
+        details: removeError.message,
+      });
+    }
+
+    if (!permanent) {
+      noteAudit(res, { details: { trash_id: item.id } });
+      logger.info({ userId: user.id, fileName: fileName, trashId: item.id }, 'Save moved to the trash');
+      return res.status(200).json({
+        message: `Save file '${fileName}' moved to the trash. It can be restored until ${item.purge_at}.`,
+        data: describeTrashItem(item),
+      });
+    }
 
     res.status(200).json({ message: `Save file '${fileName}' deleted successfully.` });
   } catch (error) {
-    console.error('Delete endpoint error:', error);
+    logger.error({ err: error, userId: user.id, fileName: fileName }, 'Delete endpoint error');
     res.status(500).json({
       message: 'An unexpected error occurred during file deletion.',
       details: error.message,
@@ -306,3 +2755,19 @@ router.delete('/:fileName', async (req, res) => {
 });
 
 module.exports = router;
+// Used by the public share link route (routes/shared.js)
+module.exports.sendSaveFile = sendSaveFile;
+module.exports.loadSharedRevision = loadSharedRevision;
+// Started by server.js
+module.exports.startTrashPurge = startTrashPurge;
+// Used by the admin routes (routes/admin.js)
+module.exports.parseListQuery = parseListQuery;
+module.exports.encodeCursor = encodeCursor;
+module.exports.decodeCursor = decodeCursor;
+module.exports.setNextPageHeaders = setNextPageHeaders;
+module.exports.withETag = withETag;
+module.exports.checkSlot = checkSlot;
+module.exports.describeTrashItem = describeTrashItem;
+module.exports.removeSave = removeSave;
+module.exports.restoreTrashItem = restoreTrashItem;
+module.exports.purgeTrashItem = purgeTrashItem;
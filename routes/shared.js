@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../config/logger'); // Import shared logger
+const { sendSaveFile, loadSharedRevision } = require('./saveFiles');
+const { redeemShareToken } = require('../middleware/shareLinks');
+const { downloadRateLimit } = require('../middleware/rateLimit');
+const { auditSaveOperation, noteAudit } = require('../middleware/auditLog');
+
+// GET /api/shared/:token - Download a shared save. Needs no login: the signed token is the permission.
+// A single-use link is used up by its first complete download (see sendSaveFile). Downloads go into the owner's
+// audit trail.
+router.get('/:token', auditSaveOperation('download'), downloadRateLimit, async (req, res) => {
+  try {
+    const { data: link, error } = await redeemShareToken(req.params.token);
+    if (error) {
+      logger.error({ err: error }, 'Share link lookup error');
+      return res.status(500).json({ message: 'Failed to look up the share link.', details: error.message });
+    }
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found, expired or revoked.' });
+    }
+    noteAudit(res, {
+      userId: link.user_id,
+      gameId: link.game_id,
+      fileName: link.file_name,
+      details: { share_id: link.id },
+    });
+
+    const { data: shared, error: revisionError } = await loadSharedRevision(link);
+    if (revisionError) {
+      logger.error({ err: revisionError, shareId: link.id }, 'Shared revision lookup error');
+      return res.status(500).json({ message: 'Failed to look up the shared save.', details: revisionError.message });
+    }
+    if (!shared) {
+      return res.status(410).json({ message: 'The shared save is no longer available.' });
+    }
+
+    logger.info({ shareId: link.id, ownerId: link.user_id }, 'Shared save downloaded');
+    await sendSaveFile(req, res, shared, link.user_id, { shareLink: link });
+  } catch (error) {
+    logger.error({ err: error }, 'Shared download endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred during file download.',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const logger = require('../config/logger'); // Import shared logger
+const { metadataStore } = require('../storage');
+const { isAdmin } = require('../middleware/admin');
+const { SAVE_EVENT_TYPES } = require('../middleware/saveEvents');
+const { generateWebhookSecret, checkWebhookUrl, drainQueue } = require('../middleware/webhooks');
+const { authFailureLimit, listRateLimit, uploadRateLimit } = require('../middleware/rateLimit');
+
+const MAX_URL_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 200;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+// Webhooks are managed from a real login, like API keys: a leaked key mustn't redirect a user's events
+router.use(authFailureLimit);
+router.use(authMiddleware);
+router.use((req, res, next) => {
+  if (req.auth.method !== 'jwt') {
+    return res.status(403).json({ message: 'Webhooks can only be managed after logging in, not with an API key.' });
+  }
+  next();
+});
+
+function isValidWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) return false;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+// The user's webhook, or a sent 404 (resolves to null then)
+async function loadWebhook(req, res) {
+  const { data: webhook, error } = await metadataStore.getWebhook(req.user.id, req.params.webhookId);
+  if (error) {
+    logger.error({ err: error, userId: req.user.id, webhookId: req.params.webhookId }, 'Webhook lookup error');
+    res.status(500).json({ message: 'Failed to look up the webhook.', details: error.message });
+    return null;
+  }
+  if (!webhook) {
+    res.status(404).json({ message: 'Webhook not found.' });
+    return null;
+  }
+  return webhook;
+}
+
+// POST /api/webhooks - Register an endpoint for save events. The signing secret is only returned here.
+// all_users (admins only) subscribes to the events of every user instead of just your own.
+router.post('/', uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { url, events = SAVE_EVENT_TYPES, game_id: gameId, description, all_users: allUsers = false } = req.body;
+
+  if (!isValidWebhookUrl(url)) {
+    return res.status(400).json({ message: `url must be an http(s) URL of at most ${MAX_URL_LENGTH} characters.` });
+  }
+  const { error: urlError } = await checkWebhookUrl(url);
+  if (urlError) {
+    return res.status(400).json({ message: 'url must point to a public address.', details: urlError.message });
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every((type) => SAVE_EVENT_TYPES.includes(type))) {
+    return res.status(400).json({
+      message: 'events must be a non-empty list of known event types.',
+      details: { allowed_events: SAVE_EVENT_TYPES },
+    });
+  }
+  if (gameId !== undefined && gameId !== null && (typeof gameId !== 'string' || !gameId)) {
+    return res.status(400).json({ message: 'game_id must be a non-empty string.' });
+  }
+  if (
+    description !== undefined &&
+    description !== null &&
+    (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)
+  ) {
+    return res.status(400).json({ message: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters.` });
+  }
+  if (typeof allUsers !== 'boolean') {
+    return res.status(400).json({ message: 'all_users must be a boolean.' });
+  }
+  if (allUsers && !isAdmin(user)) {
+    return res.status(403).json({ message: 'Forbidden: only admins can register webhooks for all users.' });
+  }
+
+  try {
+    const secret = generateWebhookSecret();
+    const { data, error } = await metadataStore.insertWebhook({
+      user_id: user.id,
+      url: url,
+      events: [...new Set(events)],
+      game_id: gameId || null,
+      all_users: allUsers,
+      description: description || null,
+      secret: secret,
+    });
+
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Webhook creation error');
+      return res.status(500).json({ message: 'Failed to create webhook.', details: error.message });
+    }
+
+    logger.info({ userId: user.id, webhookId: data.id, events: data.events, allUsers: allUsers }, 'Webhook created');
+    res.status(201).json({
+      message: 'Webhook created. Store the secret now, it will not be shown again.',
+      secret: secret,
+      data: data,
+    });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'Create webhook endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while creating the webhook.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/webhooks - List the user's webhooks (without their secrets)
+router.get('/', listRateLimit, async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { data, error } = await metadataStore.listWebhooks(user.id);
+
+    if (error) {
+      logger.error({ err: error, userId: user.id }, 'Webhook list error');
+      return res.status(500).json({ message: 'Failed to retrieve webhooks.', details: error.message });
+    }
+
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'List webhooks endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing webhooks.',
+      details: error.message,
+    });
+  }
+});
+
+// DELETE /api/webhooks/:webhookId - Delete a webhook along with its queued deliveries and delivery log
+router.delete('/:webhookId', uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { webhookId } = req.params;
+
+  try {
+    const { data, error } = await metadataStore.deleteWebhook(user.id, webhookId);
+
+    if (error) {
+      logger.error({ err: error, userId: user.id, webhookId: webhookId }, 'Webhook delete error');
+      return res.status(500).json({ message: 'Failed to delete webhook.', details: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ message: 'Webhook not found.' });
+    }
+
+    logger.info({ userId: user.id, webhookId: webhookId }, 'Webhook deleted');
+    res.status(200).json({ message: 'Webhook deleted.', data: data });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id, webhookId: webhookId }, 'Delete webhook endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while deleting the webhook.',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/webhooks/:webhookId/deliveries - The delivery log, newest first.
+// ?status=dead lists the dead letters: deliveries that ran out of attempts.
+router.get('/:webhookId/deliveries', listRateLimit, async (req, res) => {
+  const user = req.user;
+  const { status } = req.query;
+  const limit = req.query.limit === undefined ? DEFAULT_DELIVERY_LIMIT : Number(req.query.limit);
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of ${DELIVERY_STATUSES.join(', ')}.` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+    return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}.` });
+  }
+
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { data, error } = await metadataStore.listDeliveries(webhook.id, { status: status, limit: limit });
+    if (error) {
+      logger.error({ err: error, userId: user.id, webhookId: webhook.id }, 'Webhook delivery list error');
+      return res.status(500).json({ message: 'Failed to retrieve deliveries.', details: error.message });
+    }
+
+    res.status(200).json(data);
+  } catch (error) {
+    logger.error({ err: error, userId: user.id }, 'List webhook deliveries endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while listing deliveries.',
+      details: error.message,
+    });
+  }
+});
+
+// POST /api/webhooks/:webhookId/deliveries/:deliveryId/retry - Queue a dead (or delivered) delivery again,
+// with a fresh set of attempts
+router.post('/:webhookId/deliveries/:deliveryId/retry', uploadRateLimit, async (req, res) => {
+  const user = req.user;
+  const { deliveryId } = req.params;
+
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { data: delivery, error } = await metadataStore.getDelivery(webhook.id, deliveryId);
+    if (error) {
+      logger.error({ err: error, userId: user.id, deliveryId: deliveryId }, 'Webhook delivery lookup error');
+      return res.status(500).json({ message: 'Failed to look up the delivery.', details: error.message });
+    }
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found.' });
+    }
+    if (delivery.status === 'pending') {
+      return res.status(409).json({ message: 'Delivery is already queued.' });
+    }
+
+    const { data: queued, error: updateError } = await metadataStore.updateDelivery(delivery.id, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+    });
+    if (updateError) {
+      logger.error({ err: updateError, userId: user.id, deliveryId: deliveryId }, 'Webhook delivery retry error');
+      return res.status(500).json({ message: 'Failed to queue the delivery.', details: updateError.message });
+    }
+
+    logger.info({ userId: user.id, webhookId: webhook.id, deliveryId: deliveryId }, 'Webhook delivery queued again');
+    drainQueue();
+    res.status(202).json({ message: 'Delivery queued.', data: queued });
+  } catch (error) {
+    logger.error({ err: error, userId: user.id, deliveryId: deliveryId }, 'Retry webhook delivery endpoint error');
+    res.status(500).json({
+      message: 'An unexpected error occurred while retrying the delivery.',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
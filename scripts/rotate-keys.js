@@ -0,0 +1,31 @@
+require('dotenv').config(); // Load environment variables from .env file
+const logger = require('../config/logger');
+const { keyring } = require('../storage');
+
+// Re-wraps every user's data key with the current master key (ENCRYPTION_MASTER_KEY / ENCRYPTION_MASTER_KEY_ID).
+// Keep the old master key in ENCRYPTION_PREVIOUS_MASTER_KEYS until this has run without failures.
+async function main() {
+  if (!keyring) {
+    logger.error('Encryption is not configured, set ENCRYPTION_MASTER_KEY first');
+    return 1;
+  }
+
+  const { data: report, error } = await keyring.rotate();
+  if (error) {
+    logger.error({ err: error }, 'Key rotation failed');
+    return 1;
+  }
+
+  logger.info(
+    { masterKeyId: keyring.currentKeyId, rotated: report.rotated, unchanged: report.unchanged },
+    'Key rotation finished',
+  );
+  for (const failure of report.failed) {
+    logger.error({ userId: failure.user_id, error: failure.error }, 'Failed to rotate data key');
+  }
+  return report.failed.length > 0 ? 1 : 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -2,9 +2,19 @@ require('dotenv').config(); // Load environment variables from .env file
 const express = require('express');
 const path = require('path'); // Added path module
 const saveRoutes = require('./routes/saveFiles');
+const { startTrashPurge } = saveRoutes;
+const apiKeyRoutes = require('./routes/apiKeys');
+const gameRoutes = require('./routes/games');
+const sharedRoutes = require('./routes/shared');
+const accountRoutes = require('./routes/account');
+const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
+const { resumeErasures } = require('./middleware/accountErasure');
+const { startWebhookWorker } = require('./middleware/webhooks');
+const { startAuditPrune } = require('./middleware/auditLog');
 const pinoHttp = require('pino-http');
 const logger = require('./config/logger'); // Import shared logger
-const client = require('prom-client'); // prom-client
+const { METRICS_PREFIX, client, httpRequestDuration } = require('./config/metrics'); // prom-client
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -22,6 +32,12 @@ const httpLogger = pinoHttp({
   // }
 });
 
+// Behind a reverse proxy, take the client IP (used for rate limiting) from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Setup View Engine (EJS)
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
@@ -36,28 +52,32 @@ app.use(express.urlencoded({ extended: true })); // for parsing application/x-ww
 
 // --- Prometheus Metrics Setup ---
 const collectDefaultMetrics = client.collectDefaultMetrics;
-collectDefaultMetrics({ prefix: 'supabase_cloud_save_backend:' }); // Add a prefix to identify your app's metrics
-
-// Optional: Create a custom histogram for request durations (more advanced)
-// const httpRequestDurationMicroseconds = new client.Histogram({
-//   name: 'http_request_duration_ms',
-//   help: 'Duration of HTTP requests in ms',
-//   labelNames: ['method', 'route', 'code'],
-//   buckets: [50, 100, 200, 300, 400, 500, 1000, 2000] // buckets for response time from 50ms to 2s
-// });
-// app.use((req, res, next) => {
-//   const end = httpRequestDurationMicroseconds.startTimer();
-//   res.on('finish', () => {
-//      // Dynamically get route, handle cases where req.route might be undefined for 404s etc.
-//     const route = req.route ? req.route.path : (req.baseUrl || '') + (req.path || '');
-//     end({ route: route, code: res.statusCode, method: req.method });
-//   });
-//   next();
-// });
+collectDefaultMetrics({ prefix: METRICS_PREFIX }); // Add a prefix to identify your app's metrics
+
+// The route pattern a request matched (`/api/games/:gameId/saves/:fileName`), so labels don't grow with every
+// file name. Requests no route matched (static files, 404s) share one label.
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  return req.baseUrl.replace(/^\/api\/games\/[^/]+/, '/api/games/:gameId') + req.route.path;
+}
+
+app.use((req, res, next) => {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    end({ method: req.method, route: routeLabel(req), status_code: res.statusCode });
+  });
+  next();
+});
 // --- End Prometheus Metrics Setup ---
 
 // Routes
 app.use('/api/saves', saveRoutes); // All save-related routes will be under /api/saves
+app.use('/api/games', gameRoutes); // The same save routes, per registered game
+app.use('/api/keys', apiKeyRoutes); // API keys for headless clients
+app.use('/api/webhooks', webhookRoutes); // Save events for other services
+app.use('/api/shared', sharedRoutes); // Share links, no login needed
+app.use('/api/account', accountRoutes); // Account erasure
+app.use('/api/admin', adminRoutes); // Support staff only
 
 // UI Route
 app.get('/', (req, res) => {
@@ -68,6 +88,14 @@ app.get('/', (req, res) => {
   });
 });
 
+// Admin page for support staff; the API behind it checks the admin role on every call
+app.get('/admin', (req, res) => {
+  res.render('admin', {
+    supabaseUrl: process.env.SUPABASE_URL,
+    supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
+  });
+});
+
 // Metrics Endpoint
 app.get('/metrics', async (req, res) => {
   try {
@@ -79,6 +107,12 @@ app.get('/metrics', async (req, res) => {
   }
 });
 
+// Malformed JSON request bodies are the client's mistake, not an unhandled error
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  res.status(400).json({ message: 'Request body is not valid JSON.', details: err.message });
+});
+
 // Basic Error Handling Middleware
 app.use((err, req, res, next) => {
   // Log the error using pino. req.log is available from pino-http (which uses our shared logger)
@@ -98,6 +132,10 @@ app.listen(port, () => {
   if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
     logger.warn('WARNING: SUPABASE_URL or SUPABASE_ANON_KEY is not set. Backend may not function correctly.');
   }
+  resumeErasures(); // Erasures interrupted by the last shutdown
+  startTrashPurge(); // Deletes trashed saves once their retention ends
+  startWebhookWorker(); // Delivers save events to webhooks, including retries left from before the restart
+  startAuditPrune(); // Deletes audit entries once their retention ends
 });
 
 // Pass the main logger to other modules if needed, e.g. by exporting it
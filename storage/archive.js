@@ -0,0 +1,179 @@
+const zlib = require('zlib');
+const { once } = require('events');
+const { PassThrough, Readable, pipeline } = require('stream');
+const { ARCHIVE_INVALID, codedError } = require('./errors');
+
+// Just enough of the tar format (POSIX ustar) for account exports: regular files with short names, written
+// and read as streams. Archives may be gzip-compressed; readArchive detects that from the first bytes.
+
+const BLOCK_SIZE = 512;
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK_SIZE * 2);
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i]; // The checksum field itself counts as spaces
+  }
+  return sum;
+}
+
+function createHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Archive entry name is too long: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8); // mode
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header[156] = 0x30; // '0', regular file
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+  writeString(header, `${checksum(header).toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return header;
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+// Writes a tar archive to `.stream`, one entry at a time:
+//   await pack.addEntry(name, size, body, mtime)   body is a Buffer or a readable stream of exactly `size` bytes
+//   await pack.finalize()
+// Both wait for the reader to catch up, so a slow client holds back the blob store rather than filling memory.
+function createTarPack() {
+  const stream = new PassThrough();
+
+  async function write(chunk) {
+    if (!stream.write(chunk)) await once(stream, 'drain');
+  }
+
+  return {
+    stream: stream,
+
+    async addEntry(name, size, body, mtime = new Date()) {
+      await write(createHeader(name, size, mtime));
+      let written = 0;
+      for await (const chunk of Buffer.isBuffer(body) ? [body] : body) {
+        written += chunk.length;
+        if (written > size) throw new Error(`Archive entry ${name} is larger than announced.`);
+        await write(chunk);
+      }
+      if (written !== size) throw new Error(`Archive entry ${name} is smaller than announced.`);
+      await write(padding(size));
+    },
+
+    async finalize() {
+      await write(END_OF_ARCHIVE);
+      stream.end();
+    },
+  };
+}
+
+// Reads exact byte counts off an async iterable of Buffers
+function createByteReader(iterator) {
+  let chunks = [];
+  let length = 0;
+  let done = false;
+
+  return {
+    // Resolves to `n` bytes, or fewer when the stream ends first
+    async read(n) {
+      while (length < n && !done) {
+        const next = await iterator.next();
+        if (next.done) {
+          done = true;
+        } else {
+          chunks.push(next.value);
+          length += next.value.length;
+        }
+      }
+      const all = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+      const rest = all.subarray(n);
+      chunks = rest.length > 0 ? [rest] : [];
+      length = rest.length;
+      return all.subarray(0, n);
+    },
+  };
+}
+
+// Yields the archive's bytes, gunzipped if it's gzip-compressed
+async function openArchiveSource(source) {
+  const iterator = source[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  const head = first.done ? Buffer.alloc(0) : first.value;
+  const rest = Readable.from(
+    (async function* () {
+      if (head.length > 0) yield head;
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) yield next.value;
+    })(),
+  );
+  if (head[0] !== GZIP_MAGIC[0] || head[1] !== GZIP_MAGIC[1]) return rest;
+  return pipeline(rest, zlib.createGunzip(), () => {});
+}
+
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+// Iterates over the regular files of a tar (or gzipped tar) archive as `{ name, body }`, with each body read
+// into memory; an entry larger than `maxEntryBytes` fails the read. Other entry types are skipped.
+// A malformed archive fails with an ARCHIVE_INVALID error.
+async function* readArchive(source, { maxEntryBytes }) {
+  const archive = await openArchiveSource(source);
+  const iterator = archive[Symbol.asyncIterator]();
+  const reader = createByteReader(iterator);
+
+  try {
+    for (;;) {
+      const header = await reader.read(BLOCK_SIZE);
+      if (header.length < BLOCK_SIZE) throw codedError(ARCHIVE_INVALID, 'Archive is truncated.');
+      if (header.every((byte) => byte === 0)) return;
+      if (parseInt(readString(header, 148, 8), 8) !== checksum(header)) {
+        throw codedError(ARCHIVE_INVALID, 'Archive is corrupted: header checksum mismatch.');
+      }
+
+      const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+      const prefix = readString(header, 345, 155);
+      const name = (prefix ? `${prefix}/` : '') + readString(header, 0, 100);
+      const type = String.fromCharCode(header[156]);
+      const isFile = type === '0' || type === '\0';
+
+      if (isFile && size > maxEntryBytes) {
+        throw codedError(ARCHIVE_INVALID, `Archive entry ${name} is larger than ${maxEntryBytes} bytes.`);
+      }
+      // Skipped entries are read in slices, so they never have to fit in memory
+      let body = null;
+      for (let remaining = size + padding(size).length; remaining > 0; ) {
+        const slice = await reader.read(isFile ? remaining : Math.min(remaining, 1024 * 1024));
+        if (slice.length === 0) throw codedError(ARCHIVE_INVALID, 'Archive is truncated.');
+        if (isFile) body = slice.subarray(0, size);
+        remaining -= slice.length;
+      }
+      if (isFile) yield { name: name, body: body || Buffer.alloc(0) };
+    }
+  } catch (error) {
+    // zlib errors (Z_DATA_ERROR, ...) mean the gzip layer is broken
+    if (typeof error.code === 'string' && error.code.startsWith('Z_')) {
+      throw codedError(ARCHIVE_INVALID, `Archive is corrupted: ${error.message}`);
+    }
+    throw error;
+  } finally {
+    if (typeof iterator.return === 'function') await iterator.return();
+  }
+}
+
+module.exports = { createTarPack, readArchive };
@@ -0,0 +1,103 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+
+// Blob store that keeps every object as a file under `rootDir`.
+// Object paths (`<userId>/objects/<sha256>`, `.enc` appended when encrypted) map directly onto the directory layout.
+// Every method resolves to `{ data, error }` so it can be swapped with the Supabase store.
+
+function createLocalBlobStore({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  // Resolve an object path inside the root, refusing anything that would escape it (e.g. `../`)
+  function resolvePath(objectPath) {
+    const fullPath = path.resolve(root, objectPath);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage path: ${objectPath}`);
+    }
+    return fullPath;
+  }
+
+  // Every object under the folder `prefix` (e.g. `<userId>/`, or '' for all of them) as
+  // `{ path, size, updated_at }`, in no particular order
+  async function listObjects(prefix) {
+    async function walk(dir) {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      const objects = [];
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          objects.push(...(await walk(fullPath)));
+        } else {
+          const stats = await fs.stat(fullPath);
+          objects.push({
+            path: path.relative(root, fullPath).split(path.sep).join('/'),
+            size: stats.size,
+            updated_at: stats.mtime.toISOString(),
+          });
+        }
+      }
+      return objects;
+    }
+
+    try {
+      return { data: await walk(prefix ? resolvePath(prefix) : root), error: null };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { data: [], error: null };
+      return { data: null, error: error };
+    }
+  }
+
+  return {
+    // `body` is a Buffer or a readable stream (e.g. an assembled resumable upload)
+    async upload(objectPath, body) {
+      try {
+        const fullPath = resolvePath(objectPath);
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, body);
+        return { data: { path: objectPath }, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    async download(objectPath) {
+      try {
+        return { data: await fs.readFile(resolvePath(objectPath)), error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // Streams an object, or the inclusive byte range `start`..`end` of it
+    async openReadStream(objectPath, { start, end } = {}) {
+      try {
+        const fullPath = resolvePath(objectPath);
+        await fs.access(fullPath); // Surface a missing file here rather than as a stream error
+        return { data: createReadStream(fullPath, { start: start, end: end }), error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    listObjects: listObjects,
+
+    // Paths of every object under the folder `prefix`, in no particular order
+    async list(prefix) {
+      const { data, error } = await listObjects(prefix);
+      return { data: data && data.map((object) => object.path), error: error };
+    },
+
+    async remove(objectPaths) {
+      try {
+        // Missing files are ignored, matching Supabase Storage's remove()
+        await Promise.all(objectPaths.map((p) => fs.rm(resolvePath(p), { force: true })));
+        return { data: objectPaths.map((p) => ({ name: p })), error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+  };
+}
+
+module.exports = createLocalBlobStore;
@@ -0,0 +1,88 @@
+const { Readable } = require('stream');
+
+// Blob store backed by a Supabase Storage bucket (the original behavior of the save API).
+// Every method resolves to `{ data, error }` like the Supabase client itself.
+
+const LIST_PAGE_SIZE = 1000;
+
+function createSupabaseBlobStore({ client, bucket }) {
+  const storage = () => client.storage.from(bucket);
+
+  // Every object under the folder `prefix` (e.g. `<userId>/`, or '' for all of them) as
+  // `{ path, size, updated_at }`. Storage lists one folder level at a time, so subfolders (entries without an
+  // id) are walked as well.
+  async function listObjects(prefix) {
+    const folders = [prefix.replace(/\/$/, '')];
+    const objects = [];
+    while (folders.length > 0) {
+      const folder = folders.pop();
+      for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+        const { data, error } = await storage().list(folder, { limit: LIST_PAGE_SIZE, offset: offset });
+        if (error) {
+          return { data: null, error: error };
+        }
+        for (const item of data) {
+          const itemPath = folder ? `${folder}/${item.name}` : item.name;
+          if (item.id === null) {
+            folders.push(itemPath);
+          } else {
+            objects.push({ path: itemPath, size: item.metadata?.size ?? null, updated_at: item.updated_at });
+          }
+        }
+        if (data.length < LIST_PAGE_SIZE) break;
+      }
+    }
+    return { data: objects, error: null };
+  }
+
+  return {
+    // `body` is a Buffer or a readable stream (e.g. an assembled resumable upload)
+    async upload(path, body, { contentType } = {}) {
+      return storage().upload(path, body, {
+        contentType: contentType,
+        upsert: true, // true to overwrite if file exists, false to fail
+        ...(typeof body.pipe === 'function' ? { duplex: 'half' } : {}), // Required by fetch for streamed bodies
+      });
+    },
+
+    async download(path) {
+      const { data, error } = await storage().download(path);
+      if (error) {
+        return { data: null, error: error };
+      }
+      return { data: Buffer.from(await data.arrayBuffer()), error: null };
+    },
+
+    // Streams an object (or the inclusive byte range `start`..`end` of it) through a short-lived signed URL,
+    // since the Supabase client itself can only download whole objects into memory
+    async openReadStream(path, { start, end } = {}) {
+      const { data, error } = await storage().createSignedUrl(path, 60);
+      if (error) {
+        return { data: null, error: error };
+      }
+
+      const ranged = start !== undefined;
+      const response = await fetch(data.signedUrl, {
+        headers: ranged ? { Range: `bytes=${start}-${end !== undefined ? end : ''}` } : {},
+      });
+      if (response.status !== (ranged ? 206 : 200)) {
+        return { data: null, error: new Error(`Storage responded with status ${response.status}`) };
+      }
+      return { data: Readable.fromWeb(response.body), error: null };
+    },
+
+    listObjects: listObjects,
+
+    // Paths of every object under the folder `prefix`
+    async list(prefix) {
+      const { data, error } = await listObjects(prefix);
+      return { data: data && data.map((object) => object.path), error: error };
+    },
+
+    async remove(paths) {
+      return storage().remove(paths);
+    },
+  };
+}
+
+module.exports = createSupabaseBlobStore;
@@ -0,0 +1,135 @@
+// An in-process stand-in for a Redis server and its node-redis clients, covering what the cache and the rate
+// limit counters use: HGET, HSET, HDEL, INCR, GET, PEXPIRE, PTTL, DEL, SCAN (MATCH, COUNT) and PUBLISH through
+// `sendCommand(args)`, plus
+// `publish(channel, message)` and `subscribe(channel, listener)`. Clients of one server share its data and
+// channels, like instances sharing a Redis, so cross-instance invalidation can be tried in a single process.
+// REDIS_URL=memory:// selects it (see storage/index.js).
+
+// SCAN MATCH patterns: `*`, `?` and backslash escapes
+function patternToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else source += (char === '\\' ? pattern[++i] || '' : char).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+function createFakeRedisServer() {
+  const hashes = new Map(); // key -> { fields: Map, expiresAt } for hashes, { value, expiresAt } for strings
+  const channels = new Map(); // channel -> Set of listeners
+
+  function lookup(key) {
+    const hash = hashes.get(key);
+    if (hash && hash.expiresAt <= Date.now()) {
+      hashes.delete(key);
+      return null;
+    }
+    return hash || null;
+  }
+
+  const commands = {
+    HGET: ([key, field]) => lookup(key)?.fields?.get(field) ?? null,
+    HSET: ([key, ...pairs]) => {
+      if (!lookup(key)) hashes.set(key, { fields: new Map(), expiresAt: Infinity });
+      const { fields } = hashes.get(key);
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!fields.has(pairs[i])) added += 1;
+        fields.set(pairs[i], pairs[i + 1]);
+      }
+      return added;
+    },
+    HDEL: ([key, ...names]) => {
+      const hash = lookup(key);
+      if (!hash) return 0;
+      const removed = names.filter((name) => hash.fields.delete(name)).length;
+      if (hash.fields.size === 0) hashes.delete(key);
+      return removed;
+    },
+    INCR: ([key]) => {
+      if (!lookup(key)) hashes.set(key, { value: '0', expiresAt: Infinity });
+      const entry = hashes.get(key);
+      entry.value = String(Number(entry.value) + 1);
+      return Number(entry.value);
+    },
+    GET: ([key]) => lookup(key)?.value ?? null,
+    PTTL: ([key]) => {
+      const entry = lookup(key);
+      if (!entry) return -2;
+      return entry.expiresAt === Infinity ? -1 : entry.expiresAt - Date.now();
+    },
+    PEXPIRE: ([key, ms]) => {
+      const hash = lookup(key);
+      if (!hash) return 0;
+      hash.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+    DEL: (keys) => keys.filter((key) => lookup(key) && hashes.delete(key)).length,
+    // Everything in one go, which is what a SCAN over a small keyspace does too
+    SCAN: ([, ...options]) => {
+      const match = options.findIndex((option) => option.toUpperCase() === 'MATCH');
+      const pattern = match === -1 ? null : patternToRegExp(options[match + 1]);
+      const keys = [...hashes.keys()].filter((key) => lookup(key) && (!pattern || pattern.test(key)));
+      return ['0', keys];
+    },
+    PUBLISH: ([channel, message]) => {
+      const listeners = [...(channels.get(channel) || [])];
+      // Delivered asynchronously, as from a real server
+      listeners.forEach((listener) => setImmediate(() => listener(message, channel)));
+      return listeners.length;
+    },
+  };
+
+  function createClient() {
+    const subscriptions = [];
+
+    const client = {
+      isOpen: false,
+
+      async connect() {
+        client.isOpen = true;
+        return client;
+      },
+
+      async quit() {
+        for (const [channel, listener] of subscriptions) channels.get(channel).delete(listener);
+        client.isOpen = false;
+      },
+
+      on() {
+        return client; // Never fails, so there's no 'error' to emit
+      },
+
+      duplicate() {
+        return createClient();
+      },
+
+      async sendCommand([name, ...args]) {
+        const command = commands[name.toUpperCase()];
+        if (!command) throw new Error(`ERR unknown command '${name}' (not implemented by the fake)`);
+        return command(args.map(String));
+      },
+
+      async publish(channel, message) {
+        return commands.PUBLISH([channel, message]);
+      },
+
+      async subscribe(channel, listener) {
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(listener);
+        subscriptions.push([channel, listener]);
+      },
+    };
+    return client;
+  }
+
+  return { createClient };
+}
+
+// The server behind memory://, shared by everything in the process
+const defaultServer = createFakeRedisServer();
+
+module.exports = { createFakeRedisServer, createClient: defaultServer.createClient };
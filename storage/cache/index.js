@@ -0,0 +1,98 @@
+// The cache in front of the metadata store. Entries are stored as JSON in a cache store (memory.js, or redis.js
+// to share them between instances); their type sets how long they live (`ttls`, in ms per type).
+// Keys may carry a variant after a `?` (`<key>?<query>`): invalidating `<key>` drops its variants too.
+//
+// A memory store only sees the invalidations of its own instance. Given a Redis client (`pubsub`), every
+// invalidation is also published on `channel`, and those published by other instances are applied here, so
+// an upload on one instance doesn't leave another serving a stale list.
+//
+// The cache never fails a request: a read that fails is a miss and a write that fails is skipped. Only
+// invalidations report errors, since a missed one leaves stale data behind until it expires.
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const { cacheHits, cacheMisses } = require('../../config/metrics');
+
+function createCache({ store, ttls, pubsub = null, channel = 'cache:invalidate' }) {
+  const instanceId = crypto.randomUUID(); // Tells our own messages apart from other instances'
+
+  async function publish(operation, key) {
+    if (!pubsub) return;
+    try {
+      await pubsub.publish(channel, JSON.stringify({ origin: instanceId, operation: operation, key: key }));
+    } catch (error) {
+      logger.error({ err: error, cacheKey: key }, 'Failed to publish cache invalidation');
+    }
+  }
+
+  async function applyRemoteInvalidation(message) {
+    let invalidation;
+    try {
+      invalidation = JSON.parse(message);
+    } catch {
+      return;
+    }
+    if (invalidation.origin === instanceId || typeof invalidation.key !== 'string') return;
+    const { error } =
+      invalidation.operation === 'prefix'
+        ? await store.deletePrefix(invalidation.key)
+        : await store.delete(invalidation.key);
+    if (error) logger.error({ err: error, cacheKey: invalidation.key }, 'Failed to apply cache invalidation');
+  }
+
+  // Drops every key starting with `prefix` here and on every other instance
+  async function invalidatePrefix(prefix) {
+    logger.debug({ cacheKeyPrefix: prefix }, 'Cache INVALIDATE prefix');
+    const { error } = await store.deletePrefix(prefix);
+    await publish('prefix', prefix);
+    return { data: null, error: error };
+  }
+
+  if (pubsub) {
+    // A subscribed connection can't send other commands, hence a second one
+    const subscriber = pubsub.duplicate();
+    subscriber.on('error', (error) => logger.error({ err: error }, 'Cache invalidation subscriber error'));
+    subscriber
+      .connect()
+      .then(() => subscriber.subscribe(channel, applyRemoteInvalidation))
+      .catch((error) => logger.error({ err: error }, 'Failed to subscribe to cache invalidations'));
+  }
+
+  return {
+    // Resolves to the cached value, or null. `type` is the entry's type, for the hit and miss counts.
+    async get(key, type) {
+      const { data, error } = await store.get(key);
+      if (error) logger.warn({ err: error, cacheKey: key }, 'Cache read failed');
+      if (data === null) {
+        logger.debug({ cacheKey: key }, 'Cache MISS');
+        cacheMisses.inc({ type: type });
+        return null;
+      }
+      logger.debug({ cacheKey: key }, 'Cache HIT');
+      cacheHits.inc({ type: type });
+      return JSON.parse(data);
+    },
+
+    async set(key, type, value) {
+      if (!ttls[type]) throw new Error(`Unknown cache entry type: ${type}`);
+      const { error } = await store.set(key, JSON.stringify(value), ttls[type]);
+      if (error) logger.warn({ err: error, cacheKey: key }, 'Cache write failed');
+    },
+
+    // Drops `key` and its variants here and on every other instance
+    async invalidate(key) {
+      logger.debug({ cacheKey: key }, 'Cache INVALIDATE');
+      const { error } = await store.delete(key);
+      await publish('key', key);
+      return { data: null, error: error };
+    },
+
+    invalidatePrefix: invalidatePrefix,
+
+    // Everything cached for a user; their keys start with `user:<userId>:`
+    async invalidateUser(userId) {
+      return invalidatePrefix(`user:${userId}:`);
+    },
+  };
+}
+
+module.exports = createCache;
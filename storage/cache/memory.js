@@ -0,0 +1,83 @@
+// Cache store that keeps entries in process memory, bounded by entry count and by size (the length of the
+// serialized values). When either limit is exceeded the least recently used entries are evicted; expired
+// entries are dropped when they're next read, or evicted like any other.
+// Keys may carry a variant after a `?` (`<key>?<query>`); deleting `<key>` deletes its variants too.
+// Every method resolves to `{ data, error }` so it can be swapped with the Redis store.
+
+function baseKey(key) {
+  const query = key.indexOf('?');
+  return query === -1 ? key : key.slice(0, query);
+}
+
+function createMemoryCacheStore({ maxEntries, maxBytes, onEvict = () => {} }) {
+  const entries = new Map(); // key -> { value, expiresAt }, least recently used first
+  const variants = new Map(); // base key -> Set of keys stored under it
+  let bytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.value.length;
+    const base = baseKey(key);
+    const keys = variants.get(base);
+    keys.delete(key);
+    if (keys.size === 0) variants.delete(base);
+  }
+
+  function evict() {
+    while (entries.size > maxEntries || bytes > maxBytes) {
+      remove(entries.keys().next().value);
+      onEvict();
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return { data: null, error: null };
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return { data: null, error: null };
+      }
+      entries.delete(key); // Re-inserted as the most recently used
+      entries.set(key, entry);
+      return { data: entry.value, error: null };
+    },
+
+    // `value` is a string
+    async set(key, value, ttlMs) {
+      remove(key);
+      if (value.length > maxBytes) return { data: null, error: null }; // Would only evict everything else
+      entries.set(key, { value: value, expiresAt: Date.now() + ttlMs });
+      bytes += value.length;
+      const base = baseKey(key);
+      if (!variants.has(base)) variants.set(base, new Set());
+      variants.get(base).add(key);
+      evict();
+      return { data: null, error: null };
+    },
+
+    // Deletes `key` and its variants
+    async delete(key) {
+      for (const stored of [...(variants.get(baseKey(key)) || [])]) {
+        if (stored === key || baseKey(stored) === key) remove(stored);
+      }
+      return { data: null, error: null };
+    },
+
+    // Deletes every key starting with `prefix`
+    async deletePrefix(prefix) {
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) remove(key);
+      }
+      return { data: null, error: null };
+    },
+
+    stats() {
+      return { entries: entries.size, bytes: bytes };
+    },
+  };
+}
+
+module.exports = createMemoryCacheStore;
@@ -0,0 +1,84 @@
+// Cache store backed by Redis, shared by every instance. The client is node-redis, or anything else with its
+// `sendCommand(args)` (see fakeRedis.js for an in-process one).
+// A key and its variants (`<key>?<query>`) are one hash, the variants being its fields, so deleting a key with
+// its variants is a single DEL. Every field carries its own expiry; the hash expires with its newest field.
+// Size limits are Redis's own: give it a maxmemory and an LRU eviction policy (allkeys-lru).
+// Every method resolves to `{ data, error }` so it can be swapped with the memory store.
+
+const SCAN_BATCH_SIZE = 100;
+
+// Makes `text` match itself in a SCAN MATCH pattern
+function escapePattern(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+function createRedisCacheStore({ client, keyPrefix }) {
+  // The hash and field holding `key`
+  function locate(key) {
+    const query = key.indexOf('?');
+    return query === -1 ? [keyPrefix + key, ''] : [keyPrefix + key.slice(0, query), key.slice(query + 1)];
+  }
+
+  return {
+    async get(key) {
+      try {
+        const [hash, field] = locate(key);
+        const stored = await client.sendCommand(['HGET', hash, field]);
+        if (stored === null) return { data: null, error: null };
+        const separator = stored.indexOf(':'); // `<expires at, ms>:<value>`
+        if (Number(stored.slice(0, separator)) <= Date.now()) return { data: null, error: null };
+        return { data: stored.slice(separator + 1), error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // `value` is a string
+    async set(key, value, ttlMs) {
+      try {
+        const [hash, field] = locate(key);
+        await client.sendCommand(['HSET', hash, field, `${Date.now() + ttlMs}:${value}`]);
+        await client.sendCommand(['PEXPIRE', hash, String(ttlMs)]);
+        return { data: null, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // Deletes `key` and its variants
+    async delete(key) {
+      try {
+        const [hash, field] = locate(key);
+        await client.sendCommand(key.includes('?') ? ['HDEL', hash, field] : ['DEL', hash]);
+        return { data: null, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // Deletes every key starting with `prefix`
+    async deletePrefix(prefix) {
+      try {
+        const pattern = `${escapePattern(keyPrefix + prefix)}*`;
+        let cursor = '0';
+        do {
+          const [next, keys] = await client.sendCommand([
+            'SCAN',
+            cursor,
+            'MATCH',
+            pattern,
+            'COUNT',
+            String(SCAN_BATCH_SIZE),
+          ]);
+          if (keys.length > 0) await client.sendCommand(['DEL', ...keys]);
+          cursor = String(next);
+        } while (cursor !== '0');
+        return { data: null, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+  };
+}
+
+module.exports = createRedisCacheStore;
@@ -0,0 +1,92 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// Transparent compression of stored saves.
+// The codec is chosen by COMPRESSION_CODEC (gzip, br or none) and recorded per save, so changing it later
+// never breaks reading what is already stored. Codec names double as HTTP Content-Encoding tokens.
+
+const CODECS = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    createCompressStream: () => zlib.createGzip(),
+    createDecompressStream: () => zlib.createGunzip(),
+  },
+  br: {
+    compress: promisify(zlib.brotliCompress),
+    createCompressStream: () => zlib.createBrotliCompress(),
+    createDecompressStream: () => zlib.createBrotliDecompress(),
+  },
+};
+
+// Magic numbers of formats that are already compressed; recompressing them only burns CPU
+const COMPRESSED_SIGNATURES = [
+  [0x1f, 0x8b], // gzip
+  [0x50, 0x4b, 0x03, 0x04], // zip (and zip-based formats)
+  [0x28, 0xb5, 0x2f, 0xfd], // zstd
+  [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], // xz
+  [0x42, 0x5a, 0x68], // bzip2
+  [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], // 7z
+  [0x04, 0x22, 0x4d, 0x18], // lz4 frame
+  [0x89, 0x50, 0x4e, 0x47], // png
+  [0xff, 0xd8, 0xff], // jpeg
+];
+
+// Compressed output has to save at least this much to be worth storing
+const MIN_SAVINGS_RATIO = 0.1;
+// How much of a streamed file is compressed up front to judge whether compressing all of it pays off
+const COMPRESSION_SAMPLE_BYTES = 64 * 1024;
+
+const configuredCodec = process.env.COMPRESSION_CODEC || 'gzip';
+if (configuredCodec !== 'none' && !CODECS[configuredCodec]) {
+  throw new Error(`Unknown COMPRESSION_CODEC: ${configuredCodec}`);
+}
+
+function looksCompressed(head) {
+  return COMPRESSED_SIGNATURES.some((signature) => signature.every((byte, i) => head[i] === byte));
+}
+
+// Codec to store a file with, judging by its first bytes; null means store it as-is
+function chooseCodec(head) {
+  if (configuredCodec === 'none' || looksCompressed(head)) return null;
+  return configuredCodec;
+}
+
+// Compresses a buffer, resolving to `{ codec, body }`. Falls back to the original bytes (codec null)
+// when the data is already compressed or doesn't shrink enough.
+async function compressBuffer(buffer) {
+  const codec = chooseCodec(buffer.subarray(0, 8));
+  if (!codec) return { codec: null, body: buffer };
+
+  const compressed = await CODECS[codec].compress(buffer);
+  if (compressed.length > buffer.length * (1 - MIN_SAVINGS_RATIO)) {
+    return { codec: null, body: buffer };
+  }
+  return { codec: codec, body: compressed };
+}
+
+// Codec to store a stream with, judging by `sample`, its first COMPRESSION_SAMPLE_BYTES (or all of it, when
+// shorter). Same rule as compressBuffer: null when the data looks compressed or the sample doesn't shrink enough.
+async function chooseStreamCodec(sample) {
+  const { codec } = await compressBuffer(sample);
+  return codec;
+}
+
+function createCompressStream(codec) {
+  return CODECS[codec].createCompressStream();
+}
+
+function createDecompressStream(codec) {
+  if (!CODECS[codec]) {
+    throw new Error(`Unknown compression codec: ${codec}`);
+  }
+  return CODECS[codec].createDecompressStream();
+}
+
+module.exports = {
+  COMPRESSION_SAMPLE_BYTES,
+  chooseCodec,
+  chooseStreamCodec,
+  compressBuffer,
+  createCompressStream,
+  createDecompressStream,
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { BLOB_INTEGRITY, codedError } = require('./errors');
+
+// Envelope encryption of stored saves.
+// Every user has a random 256-bit data key. Blobs are encrypted with it (AES-256-GCM) before they reach
+// the blob store, and the data key itself is only ever stored wrapped (also AES-256-GCM) by a master key
+// from configuration. Rotating the master key re-wraps the data keys without touching any blob.
+//
+// Blob format: "SSE1" | 12-byte IV | ciphertext | 16-byte GCM tag
+// Wrapped key format (base64): 12-byte IV | 16-byte GCM tag | encrypted data key
+
+const ALGORITHM = 'aes-256-gcm';
+const MAGIC = Buffer.from('SSE1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH;
+const ENCRYPTION_OVERHEAD = HEADER_LENGTH + TAG_LENGTH; // Bytes a blob grows by when encrypted
+
+function integrityError() {
+  return codedError(
+    BLOB_INTEGRITY,
+    'Stored file failed its integrity check: the data was tampered with or the encryption key is wrong.',
+  );
+}
+
+// --- Key wrapping ---
+function wrapKey(masterKey, dataKey) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, masterKey, iv);
+  const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+function unwrapKey(masterKey, wrapped) {
+  const raw = Buffer.from(wrapped, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, raw.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+// --- Blob encryption ---
+function encryptBuffer(key, buffer) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  return Buffer.concat([MAGIC, iv, cipher.update(buffer), cipher.final(), cipher.getAuthTag()]);
+}
+
+function createEncryptStream(key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  let headerSent = false;
+  const sendHeader = (stream) => {
+    if (!headerSent) {
+      stream.push(Buffer.concat([MAGIC, iv]));
+      headerSent = true;
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      sendHeader(this);
+      callback(null, cipher.update(chunk));
+    },
+    flush(callback) {
+      sendHeader(this);
+      this.push(cipher.final());
+      this.push(cipher.getAuthTag());
+      callback();
+    },
+  });
+}
+
+// Decrypts a blob as it streams. The tag sits at the end, so the last TAG_LENGTH bytes are always held back;
+// a tampered blob fails with a BLOB_INTEGRITY error when the stream ends. Plaintext before that point has
+// already been emitted, so callers that must not hand out unverified data should run a verification pass first.
+function createDecryptStream(key) {
+  let pending = Buffer.alloc(0);
+  let decipher = null;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending = Buffer.concat([pending, chunk]);
+
+      if (!decipher) {
+        if (pending.length < HEADER_LENGTH) return callback();
+        if (!pending.subarray(0, MAGIC.length).equals(MAGIC)) return callback(integrityError());
+        decipher = crypto.createDecipheriv(ALGORITHM, key, pending.subarray(MAGIC.length, HEADER_LENGTH));
+        pending = pending.subarray(HEADER_LENGTH);
+      }
+
+      if (pending.length <= TAG_LENGTH) return callback();
+      const body = pending.subarray(0, pending.length - TAG_LENGTH);
+      pending = pending.subarray(pending.length - TAG_LENGTH);
+      callback(null, decipher.update(body));
+    },
+    flush(callback) {
+      if (!decipher || pending.length !== TAG_LENGTH) return callback(integrityError());
+      try {
+        decipher.setAuthTag(pending);
+        this.push(decipher.final());
+        callback();
+      } catch (error) {
+        callback(integrityError());
+      }
+    },
+  });
+}
+
+// --- Keyring ---
+// Hands out (and lazily creates) per-user data keys. `masterKeys` maps key ids to 32-byte keys;
+// `currentKeyId` names the one new and rotated data keys are wrapped with. Unwrapped keys are cached in memory.
+// Methods resolve to `{ data, error }` like the storage backends.
+function createKeyring({ metadataStore, masterKeys, currentKeyId }) {
+  const cache = new Map();
+
+  function unwrap(row) {
+    const masterKey = masterKeys[row.master_key_id];
+    if (!masterKey) {
+      throw new Error(`Master key '${row.master_key_id}' is not configured.`);
+    }
+    return unwrapKey(masterKey, row.wrapped_key);
+  }
+
+  return {
+    currentKeyId: currentKeyId,
+
+    // Data key of a user; created on first use when `create` is set (uploads), otherwise null if none exists
+    async getDataKey(userId, { create = false } = {}) {
+      if (cache.has(userId)) return { data: cache.get(userId), error: null };
+
+      try {
+        let { data: row, error } = await metadataStore.getUserKey(userId);
+        if (error) return { data: null, error: error };
+
+        if (!row && create) {
+          const { error: insertError } = await metadataStore.insertUserKey({
+            user_id: userId,
+            wrapped_key: wrapKey(masterKeys[currentKeyId], crypto.randomBytes(32)),
+            master_key_id: currentKeyId,
+          });
+          // A concurrent request may have created the key first; either way, read back the stored one
+          ({ data: row, error } = await metadataStore.getUserKey(userId));
+          if (error || !row) return { data: null, error: error || insertError };
+        }
+        if (!row) return { data: null, error: null };
+
+        const dataKey = unwrap(row);
+        cache.set(userId, dataKey);
+        return { data: dataKey, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // Re-wraps every data key that isn't wrapped with the current master key yet. Blobs stay untouched.
+    async rotate() {
+      const { data: rows, error } = await metadataStore.listUserKeys();
+      if (error) return { data: null, error: error };
+
+      const report = { rotated: 0, unchanged: 0, failed: [] };
+      for (const row of rows) {
+        if (row.master_key_id === currentKeyId) {
+          report.unchanged += 1;
+          continue;
+        }
+        try {
+          const wrapped = wrapKey(masterKeys[currentKeyId], unwrap(row));
+          const { error: updateError } = await metadataStore.updateUserKey(row.user_id, {
+            wrapped_key: wrapped,
+            master_key_id: currentKeyId,
+            rotated_at: new Date().toISOString(),
+          });
+          if (updateError) throw updateError;
+          report.rotated += 1;
+        } catch (rotateError) {
+          report.failed.push({ user_id: row.user_id, error: rotateError.message });
+        }
+      }
+      return { data: report, error: null };
+    },
+  };
+}
+
+module.exports = {
+  ENCRYPTION_ALGORITHM: ALGORITHM,
+  ENCRYPTION_OVERHEAD,
+  encryptBuffer,
+  createEncryptStream,
+  createDecryptStream,
+  createKeyring,
+};
@@ -0,0 +1,32 @@
+// Error codes shared by the storage backends, so routes can react to them without knowing the driver
+
+const REVISION_CONFLICT = 'REVISION_CONFLICT';
+const UPLOAD_OFFSET_MISMATCH = 'UPLOAD_OFFSET_MISMATCH';
+const UPLOAD_CHECKSUM_MISMATCH = 'UPLOAD_CHECKSUM_MISMATCH';
+const UPLOAD_TOO_LARGE = 'UPLOAD_TOO_LARGE';
+const UPLOAD_BUSY = 'UPLOAD_BUSY';
+const BLOB_INTEGRITY = 'BLOB_INTEGRITY';
+const ARCHIVE_INVALID = 'ARCHIVE_INVALID';
+
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// The save's current revision is not the one the caller expected (optimistic concurrency check failed)
+function revisionConflictError() {
+  return codedError(REVISION_CONFLICT, 'Save file was modified by another upload.');
+}
+
+module.exports = {
+  REVISION_CONFLICT,
+  UPLOAD_OFFSET_MISMATCH,
+  UPLOAD_CHECKSUM_MISMATCH,
+  UPLOAD_TOO_LARGE,
+  UPLOAD_BUSY,
+  BLOB_INTEGRITY,
+  ARCHIVE_INVALID,
+  codedError,
+  revisionConflictError,
+};
@@ -0,0 +1,162 @@
+const path = require('path');
+const logger = require('../config/logger'); // Import shared logger
+const { storageErrors, metadataErrors, cacheEvictions, instrumentStore } = require('../config/metrics');
+
+// Selects the blob and metadata backends from configuration:
+//   STORAGE_BACKEND=supabase|local  (blobs, default: supabase)
+//   METADATA_BACKEND=supabase|json  (save_metadata/save_revisions, default: supabase)
+// Local backends keep their data under DATA_DIR (default: ./data).
+// Resumable upload sessions are always staged on local disk under DATA_DIR/uploads.
+// Drivers are required lazily so a fully local setup never touches the Supabase client.
+// The Supabase drivers use the service role client (config/supabaseAdmin.js): the tables have row level security
+// with no policies for the anon key, so SUPABASE_SERVICE_ROLE_KEY is required with either Supabase backend.
+
+const dataDir = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+function requireServiceClient(setting) {
+  const client = require('../config/supabaseAdmin');
+  if (!client) throw new Error(`${setting}=supabase needs SUPABASE_SERVICE_ROLE_KEY.`);
+  return client;
+}
+
+function createBlobStore(backend) {
+  switch (backend) {
+    case 'supabase':
+      return require('./blobs/supabase')({ client: requireServiceClient('STORAGE_BACKEND'), bucket: 'save-files' });
+    case 'local':
+      return require('./blobs/local')({ rootDir: path.join(dataDir, 'blobs') });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+function createMetadataStore(backend) {
+  switch (backend) {
+    case 'supabase':
+      return require('./metadata/supabase')({ client: requireServiceClient('METADATA_BACKEND') });
+    case 'json':
+      return require('./metadata/json')({
+        filePath: path.join(dataDir, 'metadata.json'),
+        auditFilePath: path.join(dataDir, 'audit.jsonl'),
+      });
+    default:
+      throw new Error(`Unknown METADATA_BACKEND: ${backend}`);
+  }
+}
+
+const storageBackend = process.env.STORAGE_BACKEND || 'supabase';
+const metadataBackend = process.env.METADATA_BACKEND || 'supabase';
+
+// Failed operations are counted per backend and operation (see config/metrics.js)
+const blobStore = instrumentStore(createBlobStore(storageBackend), storageErrors, storageBackend);
+const metadataStore = instrumentStore(createMetadataStore(metadataBackend), metadataErrors, metadataBackend);
+
+// Encryption at rest is enabled by ENCRYPTION_MASTER_KEY (base64, 32 bytes), identified by
+// ENCRYPTION_MASTER_KEY_ID. Keys being rotated out stay readable through
+// ENCRYPTION_PREVIOUS_MASTER_KEYS=<id>:<base64>,<id>:<base64>.
+function createKeyringFromEnv() {
+  if (!process.env.ENCRYPTION_MASTER_KEY) return null;
+
+  const currentKeyId = process.env.ENCRYPTION_MASTER_KEY_ID || 'default';
+  const masterKeys = {};
+  for (const entry of (process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS || '').split(',').filter(Boolean)) {
+    const [id, key] = entry.split(':');
+    masterKeys[id.trim()] = key.trim();
+  }
+  masterKeys[currentKeyId] = process.env.ENCRYPTION_MASTER_KEY;
+
+  for (const [id, key] of Object.entries(masterKeys)) {
+    masterKeys[id] = Buffer.from(key, 'base64');
+    if (masterKeys[id].length !== 32) {
+      throw new Error(`Master key '${id}' must be 32 bytes, base64-encoded.`);
+    }
+  }
+
+  return require('./encryption').createKeyring({ metadataStore, masterKeys, currentKeyId });
+}
+
+const keyring = createKeyringFromEnv();
+const uploadSessions = require('./uploadSessions')({
+  dir: path.join(dataDir, 'uploads'),
+  ttlMs: (parseFloat(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000,
+});
+
+// The cache in front of the metadata store (see cache/index.js):
+//   CACHE_BACKEND=memory|redis  (default: memory)
+//   REDIS_URL                   Redis holding the entries with CACHE_BACKEND=redis; with the memory backend it
+//                               carries invalidations between instances. memory:// is an in-process fake.
+const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'save-cache:'; // Redis keys and channel
+
+function createRedisClient(url) {
+  if (url.startsWith('memory://')) return require('./cache/fakeRedis').createClient();
+
+  // Without the offline queue, commands fail right away while Redis is unreachable instead of piling up
+  const client = require('redis').createClient({ url: url, disableOfflineQueue: true });
+  client.on('error', (error) => logger.error({ err: error }, 'Redis client error'));
+  client.connect().catch((error) => logger.error({ err: error }, 'Failed to connect to Redis'));
+  return client;
+}
+
+function createCacheStore(backend, redisClient) {
+  switch (backend) {
+    case 'memory':
+      return require('./cache/memory')({
+        maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 10000,
+        maxBytes: (parseFloat(process.env.CACHE_MAX_MB) || 64) * 1024 * 1024,
+        onEvict: () => cacheEvictions.inc(),
+      });
+    case 'redis':
+      if (!redisClient) throw new Error('CACHE_BACKEND=redis needs REDIS_URL.');
+      return require('./cache/redis')({ client: redisClient, keyPrefix: CACHE_KEY_PREFIX });
+    default:
+      throw new Error(`Unknown CACHE_BACKEND: ${backend}`);
+  }
+}
+
+const cacheBackend = process.env.CACHE_BACKEND || 'memory';
+const redisClient = process.env.REDIS_URL ? createRedisClient(process.env.REDIS_URL) : null;
+
+const cache = require('./cache')({
+  store: createCacheStore(cacheBackend, redisClient),
+  ttls: {
+    saves: (parseFloat(process.env.CACHE_SAVES_TTL_SECONDS) || 300) * 1000, // Pages of the save list
+    save: (parseFloat(process.env.CACHE_SAVE_TTL_SECONDS) || 60) * 1000, // Metadata of downloaded saves
+  },
+  // A Redis store is shared, so only memory stores need invalidations passed around
+  pubsub: cacheBackend === 'memory' ? redisClient : null,
+  channel: `${CACHE_KEY_PREFIX}invalidate`,
+});
+
+// Rate limit counters (see middleware/rateLimit.js):
+//   RATE_LIMIT_BACKEND=memory|redis  (default: memory, where each instance counts on its own; redis shares the
+//                                     counters between instances through REDIS_URL)
+const RATE_LIMIT_KEY_PREFIX = process.env.RATE_LIMIT_KEY_PREFIX || 'rate-limit:';
+
+function createRateLimitStore(backend) {
+  switch (backend) {
+    case 'memory':
+      return require('./rateLimit/memory')();
+    case 'redis':
+      if (!redisClient) throw new Error('RATE_LIMIT_BACKEND=redis needs REDIS_URL.');
+      return require('./rateLimit/redis')({ client: redisClient, keyPrefix: RATE_LIMIT_KEY_PREFIX });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_BACKEND: ${backend}`);
+  }
+}
+
+const rateLimitBackend = process.env.RATE_LIMIT_BACKEND || 'memory';
+const rateLimitStore = createRateLimitStore(rateLimitBackend);
+
+logger.info(
+  {
+    storageBackend: storageBackend,
+    metadataBackend: metadataBackend,
+    encryption: Boolean(keyring),
+    cacheBackend: cacheBackend,
+    cacheInvalidation: redisClient ? 'redis' : 'local',
+    rateLimitBackend: rateLimitBackend,
+  },
+  'Storage backends initialized',
+);
+
+module.exports = { blobStore, metadataStore, uploadSessions, keyring, cache, rateLimitStore };
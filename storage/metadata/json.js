@@ -0,0 +1,793 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const { revisionConflictError } = require('../errors');
+
+// Metadata store that keeps `save_metadata` and `save_revisions` in a single JSON file.
+// Meant for self-hosting on one box: the whole document is held in memory and rewritten
+// (atomically, via a temp file + rename) after every change.
+// The audit log is the exception: it only grows between prunes, so its entries are appended to a JSON Lines
+// file of their own (`auditFilePath`), which is only rewritten when entries are removed.
+// Every method resolves to `{ data, error }` so it can be swapped with the Supabase store.
+
+const LIST_COLUMNS = [
+  'id',
+  'game_id',
+  'file_name',
+  'size_bytes',
+  'version',
+  'custom_metadata',
+  'sha256',
+  'revision_id',
+  'updated_at',
+];
+
+const API_KEY_COLUMNS = [
+  'id',
+  'name',
+  'prefix',
+  'scopes',
+  'game_id',
+  'created_at',
+  'expires_at',
+  'last_used_at',
+  'revoked_at',
+];
+
+// Every table in the document with rows owned by a user, in the order an account erasure empties them.
+// The audit log (in its own file) is emptied before them.
+const USER_TABLES = [
+  'share_links',
+  'api_keys',
+  'webhook_deliveries',
+  'webhooks',
+  'save_revisions',
+  'save_trash',
+  'save_metadata',
+  'user_keys',
+];
+
+const WEBHOOK_COLUMNS = ['id', 'url', 'events', 'game_id', 'all_users', 'description', 'created_at'];
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.map((column) => [column, row[column]]));
+}
+
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Mirrors Postgres' jsonb comparison closely enough: a field that is missing, or holds a value of another
+// type than the filter's, never matches
+function matchesMetadataFilter(metadata, { path, op, value }) {
+  let field = metadata;
+  for (const key of path) {
+    field = field && typeof field === 'object' && !Array.isArray(field) ? field[key] : undefined;
+  }
+  if (field === undefined) return false;
+  if (op === 'eq') return isDeepStrictEqual(field, value);
+  if (op === 'ne') return !isDeepStrictEqual(field, value);
+  if (typeof field !== typeof value || !['number', 'string'].includes(typeof field)) return false;
+  const comparison = compareValues(field, value);
+  return { gt: comparison > 0, gte: comparison >= 0, lt: comparison < 0, lte: comparison <= 0 }[op];
+}
+
+function toJsonLines(rows) {
+  return rows.map((row) => JSON.stringify(row) + '\n').join('');
+}
+
+function readAuditFile(auditFile) {
+  if (!fs.existsSync(auditFile)) return [];
+  const lines = fs.readFileSync(auditFile, 'utf8').split('\n').filter(Boolean);
+  return lines.flatMap((line, i) => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      if (i === lines.length - 1) return []; // Torn by a crash in the middle of an append
+      throw error;
+    }
+  });
+}
+
+async function writeAtomically(file, contents) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpFile, contents);
+  await fs.promises.rename(tmpFile, file);
+}
+
+function createJsonMetadataStore({ filePath, auditFilePath }) {
+  const file = path.resolve(filePath);
+  const auditFile = path.resolve(auditFilePath);
+  let db = {
+    save_metadata: [],
+    save_revisions: [],
+    user_keys: [],
+    api_keys: [],
+    share_links: [],
+    save_trash: [],
+    webhooks: [],
+    webhook_deliveries: [],
+    account_erasures: [],
+  };
+  if (fs.existsSync(file)) {
+    db = { ...db, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  }
+
+  // Documents written before the audit log had its own file still hold its entries: they move over once,
+  // and leave the document with its next write
+  const legacyAuditLog = db.save_audit_log;
+  delete db.save_audit_log;
+  if (legacyAuditLog?.length > 0 && !fs.existsSync(auditFile)) {
+    const tmpFile = `${auditFile}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+    fs.writeFileSync(tmpFile, toJsonLines(legacyAuditLog));
+    fs.renameSync(tmpFile, auditFile);
+  }
+  let auditLog = readAuditFile(auditFile);
+
+  // Writes (to either file) are chained so two requests never interleave their renames or appends. A failed
+  // write only fails its own mutation: the chain carries on, and the next write saves the whole document again.
+  let writeQueue = Promise.resolve();
+  function enqueueWrite(task) {
+    const write = writeQueue.then(task);
+    writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  function appendAuditEntry(row) {
+    const line = toJsonLines([row]);
+    return enqueueWrite(async () => {
+      await fs.promises.mkdir(path.dirname(auditFile), { recursive: true });
+      await fs.promises.appendFile(auditFile, line);
+    });
+  }
+
+  function persistAuditLog() {
+    const snapshot = toJsonLines(auditLog);
+    return enqueueWrite(() => writeAtomically(auditFile, snapshot));
+  }
+
+  // Runs a mutation against a copy of the document and swaps the copy in once it's written, so a mutation that
+  // throws or a failed write leaves the document as it is on disk. Mutations take their turn in the write queue,
+  // each one applied on top of the last one saved.
+  async function mutate(fn) {
+    try {
+      const data = await enqueueWrite(async () => {
+        const next = structuredClone(db);
+        const result = fn(next);
+        await writeAtomically(file, JSON.stringify(next, null, 2));
+        db = next;
+        return result;
+      });
+      return { data: data, error: null };
+    } catch (error) {
+      return { data: null, error: error };
+    }
+  }
+
+  // Rows written before games existed belong to the default game
+  const gameOf = (row) => row.game_id || 'default';
+  const byFile = (userId, gameId, fileName) => (row) =>
+    row.user_id === userId && gameOf(row) === gameId && row.file_name === fileName;
+  // Revisions of a save in the trash belong to the trash item, not to the file name anymore
+  const byLiveFile = (userId, gameId, fileName) => (row) => !row.trash_id && byFile(userId, gameId, fileName)(row);
+  const newestFirst = (a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0);
+  // Share links go with the revision they point at, like the foreign key cascade in Postgres
+  const dropOrphanedShareLinks = (doc) => {
+    const revisionIds = new Set(doc.save_revisions.map((row) => row.id));
+    doc.share_links = doc.share_links.filter((row) => revisionIds.has(row.revision_id));
+  };
+
+  return {
+    // --- save_metadata ---
+    async getSave(userId, gameId, fileName) {
+      const row = db.save_metadata.find(byFile(userId, gameId, fileName));
+      return { data: row ? { ...row, game_id: gameOf(row) } : null, error: null };
+    },
+
+    // Saves of one game, or of all games when `gameId` is undefined. Without `listQuery` every save is
+    // returned, newest first; see parseListQuery in routes/saveFiles.js for what a list query holds.
+    async listSaves(userId, gameId, listQuery) {
+      const rows = db.save_metadata
+        .filter((row) => row.user_id === userId && (gameId === undefined || gameOf(row) === gameId))
+        .map((row) => pick({ ...row, game_id: gameOf(row) }, LIST_COLUMNS));
+      if (!listQuery) {
+        return { data: rows.sort((a, b) => compareValues(b.updated_at, a.updated_at)), error: null };
+      }
+
+      const { sort, order, after, limit } = listQuery;
+      const direction = order === 'asc' ? 1 : -1;
+      const compareRows = (a, b) => direction * (compareValues(a[sort], b[sort]) || compareValues(a.id, b.id));
+      const page = rows
+        .filter(
+          (row) =>
+            (listQuery.version === undefined || row.version === listQuery.version) &&
+            (!listQuery.namePrefix || row.file_name.startsWith(listQuery.namePrefix)) &&
+            (!listQuery.updatedAfter || row.updated_at >= listQuery.updatedAfter) &&
+            (!listQuery.updatedBefore || row.updated_at < listQuery.updatedBefore) &&
+            listQuery.metadata.every((filter) => matchesMetadataFilter(row.custom_metadata, filter)) &&
+            (!after || compareRows(row, { [sort]: after.value, id: after.id }) > 0),
+        )
+        .sort(compareRows)
+        .slice(0, limit);
+      return { data: page, error: null };
+    },
+
+    // With `expectedRevisionId` set, the write only happens if the stored row still points at that
+    // revision (`null` meaning the save must not exist yet); otherwise it fails with a revision conflict.
+    async upsertSave(row, { expectedRevisionId } = {}) {
+      return mutate((doc) => {
+        const now = new Date().toISOString();
+        const existing = doc.save_metadata.find(byFile(row.user_id, row.game_id, row.file_name));
+        if (expectedRevisionId !== undefined && (existing ? existing.revision_id : null) !== expectedRevisionId) {
+          throw revisionConflictError();
+        }
+        if (existing) {
+          Object.assign(existing, row, { updated_at: now });
+          return { ...existing };
+        }
+        const created = { id: crypto.randomUUID(), ...row, created_at: now, updated_at: now };
+        doc.save_metadata.push(created);
+        return { ...created };
+      });
+    },
+
+    async deleteSave(id) {
+      return mutate((doc) => {
+        doc.save_metadata = doc.save_metadata.filter((row) => row.id !== id);
+        return null;
+      });
+    },
+
+    // --- save_revisions ---
+    async getRevision(userId, gameId, fileName, revisionId) {
+      const revision = db.save_revisions.find(
+        (row) => byLiveFile(userId, gameId, fileName)(row) && row.id === revisionId,
+      );
+      return { data: revision || null, error: null };
+    },
+
+    async listRevisions(userId, gameId, fileName) {
+      // Array order is insertion order, so reversing first keeps same-millisecond revisions newest first
+      const rows = db.save_revisions
+        .filter(byLiveFile(userId, gameId, fileName))
+        .reverse()
+        .sort(newestFirst);
+      return { data: rows, error: null };
+    },
+
+    async insertRevision(row) {
+      return mutate((doc) => {
+        const created = { id: crypto.randomUUID(), ...row, created_at: new Date().toISOString() };
+        doc.save_revisions.push(created);
+        return { ...created };
+      });
+    },
+
+    async deleteRevisions(ids) {
+      return mutate((doc) => {
+        doc.save_revisions = doc.save_revisions.filter((row) => !ids.includes(row.id));
+        dropOrphanedShareLinks(doc);
+        return null;
+      });
+    },
+
+    async deleteRevisionsForFile(userId, gameId, fileName) {
+      return mutate((doc) => {
+        doc.save_revisions = doc.save_revisions.filter((row) => !byLiveFile(userId, gameId, fileName)(row));
+        dropOrphanedShareLinks(doc);
+        return null;
+      });
+    },
+
+    // --- save_trash ---
+    async insertTrashItem(row) {
+      return mutate((doc) => {
+        const stored = { ...row, id: crypto.randomUUID(), trashed_at: new Date().toISOString() };
+        doc.save_trash.push(stored);
+        return { ...stored };
+      });
+    },
+
+    // `gameId` undefined means every game
+    async listTrash(userId, gameId) {
+      const rows = db.save_trash
+        .filter((row) => row.user_id === userId && (gameId === undefined || row.game_id === gameId))
+        .sort((a, b) => compareValues(b.trashed_at, a.trashed_at))
+        .map((row) => ({ ...row }));
+      return { data: rows, error: null };
+    },
+
+    async getTrashItem(userId, gameId, id) {
+      const row = db.save_trash.find(
+        (existing) =>
+          existing.user_id === userId && (gameId === undefined || existing.game_id === gameId) && existing.id === id,
+      );
+      return { data: row ? { ...row } : null, error: null };
+    },
+
+    // Trash items of every user whose retention ended before `before`, oldest first
+    async listExpiredTrash(before, limit) {
+      const rows = db.save_trash
+        .filter((row) => row.purge_at < before)
+        .sort((a, b) => compareValues(a.purge_at, b.purge_at))
+        .slice(0, limit)
+        .map((row) => ({ ...row }));
+      return { data: rows, error: null };
+    },
+
+    // Takes the item's revisions along, like the foreign key cascade in Postgres
+    async deleteTrashItem(id) {
+      return mutate((doc) => {
+        doc.save_trash = doc.save_trash.filter((row) => row.id !== id);
+        doc.save_revisions = doc.save_revisions.filter((row) => row.trash_id !== id);
+        dropOrphanedShareLinks(doc);
+        return null;
+      });
+    },
+
+    // Hands the current revisions of a file over to a trash item
+    async trashRevisions(userId, gameId, fileName, trashId) {
+      return mutate((doc) => {
+        for (const row of doc.save_revisions.filter(byLiveFile(userId, gameId, fileName))) {
+          row.trash_id = trashId;
+        }
+        return null;
+      });
+    },
+
+    async listTrashedRevisions(trashId) {
+      return { data: db.save_revisions.filter((row) => row.trash_id === trashId), error: null };
+    },
+
+    // Gives the revisions of a trash item back to a file, under `fileName`
+    async untrashRevisions(trashId, fileName) {
+      return mutate((doc) => {
+        for (const row of doc.save_revisions.filter((existing) => existing.trash_id === trashId)) {
+          row.trash_id = null;
+          row.file_name = fileName;
+        }
+        return null;
+      });
+    },
+
+    // --- user_keys ---
+    async getUserKey(userId) {
+      return { data: db.user_keys.find((row) => row.user_id === userId) || null, error: null };
+    },
+
+    async insertUserKey(row) {
+      return mutate((doc) => {
+        if (doc.user_keys.some((existing) => existing.user_id === row.user_id)) {
+          throw new Error(`A key already exists for user ${row.user_id}.`);
+        }
+        doc.user_keys.push({ ...row, created_at: new Date().toISOString() });
+        return null;
+      });
+    },
+
+    async listUserKeys() {
+      return { data: db.user_keys.map((row) => ({ ...row })), error: null };
+    },
+
+    async updateUserKey(userId, fields) {
+      return mutate((doc) => {
+        const row = doc.user_keys.find((existing) => existing.user_id === userId);
+        if (row) Object.assign(row, fields);
+        return null;
+      });
+    },
+
+    // --- api_keys ---
+    async insertApiKey(row) {
+      return mutate((doc) => {
+        const stored = {
+          last_used_at: null,
+          revoked_at: null,
+          ...row,
+          id: crypto.randomUUID(),
+          created_at: new Date().toISOString(),
+        };
+        doc.api_keys.push(stored);
+        return pick(stored, API_KEY_COLUMNS);
+      });
+    },
+
+    async listApiKeys(userId) {
+      const rows = db.api_keys
+        .filter((row) => row.user_id === userId)
+        .sort(newestFirst)
+        .map((row) => pick(row, API_KEY_COLUMNS));
+      return { data: rows, error: null };
+    },
+
+    async findApiKeyByHash(keyHash) {
+      const row = db.api_keys.find((existing) => existing.key_hash === keyHash);
+      return { data: row ? { ...row } : null, error: null };
+    },
+
+    async revokeApiKey(userId, id) {
+      return mutate((doc) => {
+        const row = doc.api_keys.find((existing) => existing.user_id === userId && existing.id === id);
+        if (!row || row.revoked_at) return null;
+        row.revoked_at = new Date().toISOString();
+        return pick(row, API_KEY_COLUMNS);
+      });
+    },
+
+    async touchApiKey(id, lastUsedAt) {
+      return mutate((doc) => {
+        const row = doc.api_keys.find((existing) => existing.id === id);
+        if (row) row.last_used_at = lastUsedAt;
+        return null;
+      });
+    },
+
+    // --- share_links ---
+    async insertShareLink(row) {
+      return mutate((doc) => {
+        const stored = {
+          single_use: false,
+          used_at: null,
+          revoked_at: null,
+          ...row,
+          id: crypto.randomUUID(),
+          created_at: new Date().toISOString(),
+        };
+        doc.share_links.push(stored);
+        return { ...stored };
+      });
+    },
+
+    // Links of one game that still work: not revoked, not expired and, if single-use, not used yet
+    async listShareLinks(userId, gameId) {
+      const now = new Date().toISOString();
+      const rows = db.share_links
+        .filter(
+          (row) =>
+            row.user_id === userId && row.game_id === gameId && !row.revoked_at && !row.used_at && row.expires_at > now,
+        )
+        .sort(newestFirst)
+        .map((row) => ({ ...row }));
+      return { data: rows, error: null };
+    },
+
+    async getShareLink(id) {
+      const row = db.share_links.find((existing) => existing.id === id);
+      return { data: row ? { ...row } : null, error: null };
+    },
+
+    async revokeShareLink(userId, gameId, id) {
+      return mutate((doc) => {
+        const row = doc.share_links.find(
+          (existing) => existing.user_id === userId && existing.game_id === gameId && existing.id === id,
+        );
+        if (!row || row.revoked_at) return null;
+        row.revoked_at = new Date().toISOString();
+        return { ...row };
+      });
+    },
+
+    async claimShareLink(id) {
+      return mutate((doc) => {
+        const row = doc.share_links.find((existing) => existing.id === id);
+        if (!row || row.used_at) return null;
+        row.used_at = new Date().toISOString();
+        return { ...row };
+      });
+    },
+
+    async releaseShareLink(id) {
+      return mutate((doc) => {
+        const row = doc.share_links.find((existing) => existing.id === id);
+        if (!row) return null;
+        row.used_at = null;
+        return { ...row };
+      });
+    },
+
+    // --- webhooks ---
+    async insertWebhook(row) {
+      return mutate((doc) => {
+        const stored = { all_users: false, ...row, id: crypto.randomUUID(), created_at: new Date().toISOString() };
+        doc.webhooks.push(stored);
+        return pick(stored, WEBHOOK_COLUMNS);
+      });
+    },
+
+    async listWebhooks(userId) {
+      const rows = db.webhooks
+        .filter((row) => row.user_id === userId)
+        .sort(newestFirst)
+        .map((row) => pick(row, WEBHOOK_COLUMNS));
+      return { data: rows, error: null };
+    },
+
+    async getWebhook(userId, id) {
+      const row = db.webhooks.find((existing) => existing.user_id === userId && existing.id === id);
+      return { data: row ? pick(row, WEBHOOK_COLUMNS) : null, error: null };
+    },
+
+    // With the secret, for signing deliveries
+    async getWebhookById(id) {
+      const row = db.webhooks.find((existing) => existing.id === id);
+      return { data: row ? { ...row } : null, error: null };
+    },
+
+    // Webhooks that want events of `type` about the user's saves: their own, and those for all users
+    async listWebhooksForEvent(userId, type) {
+      const rows = db.webhooks.filter((row) => (row.user_id === userId || row.all_users) && row.events.includes(type));
+      return { data: rows.map((row) => ({ ...row })), error: null };
+    },
+
+    // Takes the webhook's deliveries along, like the foreign key cascade in Postgres. Resolves to the
+    // deleted webhook, or null if the user has no such webhook.
+    async deleteWebhook(userId, id) {
+      return mutate((doc) => {
+        const row = doc.webhooks.find((existing) => existing.user_id === userId && existing.id === id);
+        if (!row) return null;
+        doc.webhooks = doc.webhooks.filter((existing) => existing !== row);
+        doc.webhook_deliveries = doc.webhook_deliveries.filter((delivery) => delivery.webhook_id !== id);
+        return pick(row, WEBHOOK_COLUMNS);
+      });
+    },
+
+    // --- webhook_deliveries ---
+    async insertDeliveries(rows) {
+      return mutate((doc) => {
+        const now = new Date().toISOString();
+        for (const row of rows) {
+          doc.webhook_deliveries.push({
+            last_attempt_at: null,
+            last_status: null,
+            last_error: null,
+            delivered_at: null,
+            ...row,
+            id: crypto.randomUUID(),
+            created_at: now,
+          });
+        }
+        return null;
+      });
+    },
+
+    // Pending deliveries whose next attempt is due, oldest first
+    async listDueDeliveries(now, limit) {
+      const rows = db.webhook_deliveries
+        .filter((row) => row.status === 'pending' && row.next_attempt_at <= now)
+        .sort((a, b) => compareValues(a.next_attempt_at, b.next_attempt_at))
+        .slice(0, limit)
+        .map((row) => ({ ...row }));
+      return { data: rows, error: null };
+    },
+
+    // Moves the next attempt of a pending delivery to `leaseUntil`, unless someone else did since it was
+    // read (`nextAttemptAt` changed). Resolves to the delivery, or null if it was claimed elsewhere.
+    async claimDelivery(id, nextAttemptAt, leaseUntil) {
+      return mutate((doc) => {
+        const row = doc.webhook_deliveries.find((existing) => existing.id === id);
+        if (!row || row.status !== 'pending' || row.next_attempt_at !== nextAttemptAt) return null;
+        row.next_attempt_at = leaseUntil;
+        return { ...row };
+      });
+    },
+
+    async updateDelivery(id, fields) {
+      return mutate((doc) => {
+        const row = doc.webhook_deliveries.find((existing) => existing.id === id);
+        if (row) Object.assign(row, fields);
+        return row ? { ...row } : null;
+      });
+    },
+
+    // Deliveries of a webhook, newest first; `status` narrows them down (e.g. 'dead')
+    async listDeliveries(webhookId, { status, limit }) {
+      const rows = db.webhook_deliveries
+        .filter((row) => row.webhook_id === webhookId && (!status || row.status === status))
+        .sort(newestFirst)
+        .slice(0, limit)
+        .map((row) => ({ ...row }));
+      return { data: rows, error: null };
+    },
+
+    async getDelivery(webhookId, id) {
+      const row = db.webhook_deliveries.find((existing) => existing.webhook_id === webhookId && existing.id === id);
+      return { data: row ? { ...row } : null, error: null };
+    },
+
+    // --- save_audit_log ---
+    async insertAuditEntry(row) {
+      try {
+        const stored = { ...row, id: crypto.randomUUID(), created_at: row.created_at || new Date().toISOString() };
+        auditLog.push(stored);
+        await appendAuditEntry(stored);
+        return { data: { ...stored }, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // Entries of a user, newest first; see parseAuditQuery in routes/saveFiles.js for what the query holds.
+    // `gameId` undefined means every game, and entries that belong to none (failed authentications).
+    async listAuditEntries(userId, gameId, { action, since, until, after, limit }) {
+      const compareRows = (a, b) => compareValues(b.created_at, a.created_at) || compareValues(b.id, a.id);
+      const rows = auditLog
+        .filter(
+          (row) =>
+            row.user_id === userId &&
+            (gameId === undefined || row.game_id === gameId) &&
+            (!action || row.action === action) &&
+            (!since || row.created_at >= since) &&
+            (!until || row.created_at < until) &&
+            (!after || compareRows(row, { created_at: after.value, id: after.id }) > 0),
+        )
+        .sort(compareRows)
+        .slice(0, limit)
+        .map((row) => ({ ...row }));
+      return { data: rows, error: null };
+    },
+
+    // Removes the entries (of every user) created before `cutoff`; resolves to the number removed
+    async deleteAuditEntriesBefore(cutoff) {
+      try {
+        const before = auditLog.length;
+        auditLog = auditLog.filter((row) => row.created_at >= cutoff);
+        if (auditLog.length < before) await persistAuditLog();
+        return { data: before - auditLog.length, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // --- account_erasures ---
+    async insertErasure(row) {
+      return mutate((doc) => {
+        const now = new Date().toISOString();
+        const stored = {
+          error: null,
+          completed_at: null,
+          ...row,
+          id: crypto.randomUUID(),
+          created_at: now,
+          updated_at: now,
+        };
+        doc.account_erasures.push(stored);
+        return { ...stored };
+      });
+    },
+
+    async getErasure(id) {
+      const row = db.account_erasures.find((existing) => existing.id === id);
+      return { data: row ? { ...row } : null, error: null };
+    },
+
+    // The user's erasure that hasn't completed yet (pending, running or failed), if any
+    async findUnfinishedErasure(userId) {
+      const row = db.account_erasures.find(
+        (existing) => existing.user_id === userId && existing.status !== 'completed',
+      );
+      return { data: row ? { ...row } : null, error: null };
+    },
+
+    // Erasures that were pending or running, e.g. when the server stopped
+    async listUnfinishedErasures() {
+      const rows = db.account_erasures.filter((row) => ['pending', 'running'].includes(row.status));
+      return { data: rows.map((row) => ({ ...row })), error: null };
+    },
+
+    async updateErasure(id, fields) {
+      return mutate((doc) => {
+        const row = doc.account_erasures.find((existing) => existing.id === id);
+        if (!row) return null;
+        Object.assign(row, fields, { updated_at: new Date().toISOString() });
+        return { ...row };
+      });
+    },
+
+    // Removes every row the user owns; resolves to the number of rows removed per table
+    async deleteUserData(userId) {
+      const auditEntries = auditLog.length;
+      auditLog = auditLog.filter((row) => row.user_id !== userId);
+      if (auditLog.length < auditEntries) {
+        try {
+          await persistAuditLog();
+        } catch (error) {
+          return { data: null, error: error };
+        }
+      }
+
+      const removedAuditEntries = auditEntries - auditLog.length;
+      return mutate((doc) => {
+        const removed = { save_audit_log: removedAuditEntries };
+        for (const table of USER_TABLES) {
+          const before = doc[table].length;
+          doc[table] = doc[table].filter((row) => row.user_id !== userId);
+          removed[table] = before - doc[table].length;
+        }
+        return removed;
+      });
+    },
+
+    // Rows the user still owns, per table
+    async countUserData(userId) {
+      const counts = {
+        save_audit_log: auditLog.filter((row) => row.user_id === userId).length,
+        ...Object.fromEntries(
+          USER_TABLES.map((table) => [table, db[table].filter((row) => row.user_id === userId).length]),
+        ),
+      };
+      return { data: counts, error: null };
+    },
+
+    // --- blob references ---
+    // Any revision of the user (in any file) stored at this path; used to deduplicate content-addressed blobs
+    async findRevisionByStoragePath(userId, storagePath) {
+      const revision = db.save_revisions.find((row) => row.user_id === userId && row.storage_path === storagePath);
+      return { data: revision || null, error: null };
+    },
+
+    // Storage a user takes up: their saves, their revisions and the bytes of the distinct blobs behind them
+    async getUsage(userId) {
+      const saves = db.save_metadata.filter((row) => row.user_id === userId);
+      const revisions = db.save_revisions.filter((row) => row.user_id === userId);
+      const blobs = new Map(
+        [...saves, ...revisions].map((row) => [row.storage_path, row.stored_bytes ?? row.size_bytes ?? 0]),
+      );
+      const storedBytes = [...blobs.values()].reduce((sum, bytes) => sum + Number(bytes), 0);
+      return {
+        data: { files: saves.length, revisions: revisions.length, stored_bytes: storedBytes },
+        error: null,
+      };
+    },
+
+    // Storage usage per user, like the admin_user_usage view: every user owning a save, a revision or a trash
+    // item, ordered by id. `userId` picks one user, `after` continues after a user id.
+    async listUserUsage({ userId, after, limit }) {
+      const usage = new Map();
+      const usageOf = (id) => {
+        if (!usage.has(id)) {
+          usage.set(id, { user_id: id, files: 0, revisions: 0, trashed: 0, blobs: new Map(), last_updated_at: null });
+        }
+        return usage.get(id);
+      };
+      for (const row of db.save_metadata) {
+        const entry = usageOf(row.user_id);
+        entry.files += 1;
+        entry.blobs.set(row.storage_path, row.stored_bytes ?? row.size_bytes ?? 0);
+        if (!entry.last_updated_at || row.updated_at > entry.last_updated_at) entry.last_updated_at = row.updated_at;
+      }
+      for (const row of db.save_revisions) {
+        const entry = usageOf(row.user_id);
+        entry.revisions += 1;
+        entry.blobs.set(row.storage_path, row.stored_bytes ?? row.size_bytes ?? 0);
+      }
+      for (const row of db.save_trash) {
+        usageOf(row.user_id).trashed += 1;
+      }
+
+      const rows = [...usage.values()]
+        .filter((entry) => (!userId || entry.user_id === userId) && (!after || entry.user_id > after))
+        .sort((a, b) => compareValues(a.user_id, b.user_id))
+        .slice(0, limit)
+        .map(({ blobs, ...entry }) => ({
+          ...entry,
+          stored_bytes: [...blobs.values()].reduce((sum, bytes) => sum + Number(bytes), 0),
+        }));
+      return { data: rows, error: null };
+    },
+
+    // Which of `paths` are still referenced by a save, a revision or a trash item of the user
+    async findReferencedPaths(userId, paths) {
+      const referenced = new Set(
+        [...db.save_metadata, ...db.save_revisions, ...db.save_trash]
+          .filter((row) => row.user_id === userId && paths.includes(row.storage_path))
+          .map((row) => row.storage_path),
+      );
+      return { data: [...referenced], error: null };
+    },
+  };
+}
+
+module.exports = createJsonMetadataStore;
@@ -0,0 +1,533 @@
+const { revisionConflictError } = require('../errors');
+
+// Metadata store backed by the `save_metadata` and `save_revisions` tables in Supabase.
+// Every method resolves to `{ data, error }`; lookups of a single row resolve to `data: null` when nothing matches.
+
+const LIST_COLUMNS = 'id, game_id, file_name, size_bytes, version, custom_metadata, sha256, revision_id, updated_at';
+const API_KEY_COLUMNS = 'id, name, prefix, scopes, game_id, created_at, expires_at, last_used_at, revoked_at';
+const SHARE_LINK_COLUMNS =
+  'id, user_id, game_id, file_name, revision_id, single_use, created_at, expires_at, used_at, revoked_at';
+const WEBHOOK_COLUMNS = 'id, url, events, game_id, all_users, description, created_at';
+const UNIQUE_VIOLATION = '23505'; // Postgres error code
+// Every table with rows owned by a user, in the order an account erasure empties them (foreign keys first)
+const USER_TABLES = [
+  'save_audit_log',
+  'share_links',
+  'api_keys',
+  'webhook_deliveries',
+  'webhooks',
+  'save_revisions',
+  'save_trash',
+  'save_metadata',
+  'user_keys',
+];
+const METADATA_OPERATORS = { eq: 'eq', ne: 'neq', gt: 'gt', gte: 'gte', lt: 'lt', lte: 'lte' };
+
+// Escapes LIKE wildcards, so a file name prefix only matches literally
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+// Quotes a value for use inside a PostgREST `or=(...)` filter
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/[\\"]/g, (char) => `\\${char}`)}"`;
+}
+
+function createSupabaseMetadataStore({ client }) {
+  return {
+    // --- save_metadata ---
+    async getSave(userId, gameId, fileName) {
+      return client
+        .from('save_metadata')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('game_id', gameId)
+        .eq('file_name', fileName)
+        .maybeSingle();
+    },
+
+    // Saves of one game, or of all games when `gameId` is undefined. Without `listQuery` every save is
+    // returned, newest first; see parseListQuery in routes/saveFiles.js for what a list query holds.
+    async listSaves(userId, gameId, listQuery) {
+      let query = client.from('save_metadata').select(LIST_COLUMNS).eq('user_id', userId);
+      if (gameId !== undefined) query = query.eq('game_id', gameId);
+      if (!listQuery) return query.order('updated_at', { ascending: false });
+
+      const { sort, order, after, limit } = listQuery;
+      if (listQuery.version !== undefined) query = query.eq('version', listQuery.version);
+      if (listQuery.namePrefix) query = query.like('file_name', `${escapeLike(listQuery.namePrefix)}%`);
+      if (listQuery.updatedAfter) query = query.gte('updated_at', listQuery.updatedAfter);
+      if (listQuery.updatedBefore) query = query.lt('updated_at', listQuery.updatedBefore);
+      for (const filter of listQuery.metadata) {
+        // `->` keeps the field as jsonb, so numbers compare as numbers and strings as strings
+        const column = ['custom_metadata', ...filter.path].join('->');
+        query = query.filter(column, METADATA_OPERATORS[filter.op], JSON.stringify(filter.value));
+      }
+      if (after) {
+        const op = order === 'asc' ? 'gt' : 'lt';
+        const value = quoteFilterValue(after.value);
+        query = query.or(`${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${quoteFilterValue(after.id)})`);
+      }
+
+      const ascending = order === 'asc';
+      return query.order(sort, { ascending }).order('id', { ascending }).limit(limit);
+    },
+
+    // With `expectedRevisionId` set, the write only happens if the stored row still points at that
+    // revision (`null` meaning the save must not exist yet); otherwise it fails with a revision conflict.
+    async upsertSave(row, { expectedRevisionId } = {}) {
+      if (expectedRevisionId === null) {
+        const { data, error } = await client.from('save_metadata').insert(row).select();
+        if (error && error.code === UNIQUE_VIOLATION) {
+          return { data: null, error: revisionConflictError() };
+        }
+        return { data: data ? data[0] : null, error: error };
+      }
+
+      if (expectedRevisionId !== undefined) {
+        const { data, error } = await client
+          .from('save_metadata')
+          .update(row)
+          .eq('user_id', row.user_id)
+          .eq('game_id', row.game_id)
+          .eq('file_name', row.file_name)
+          .eq('revision_id', expectedRevisionId)
+          .select();
+        if (!error && data.length === 0) {
+          return { data: null, error: revisionConflictError() };
+        }
+        return { data: data ? data[0] : null, error: error };
+      }
+
+      const { data, error } = await client
+        .from('save_metadata')
+        .upsert(row, { onConflict: 'user_id,game_id,file_name' }) // One current entry per user, game and file name
+        .select(); // Important to get the inserted/updated row back
+      return { data: data ? data[0] : null, error: error };
+    },
+
+    async deleteSave(id) {
+      return client.from('save_metadata').delete().eq('id', id);
+    },
+
+    // --- save_revisions ---
+    // Revisions of a save in the trash (trash_id set) belong to the trash item, not to the file name anymore
+    async getRevision(userId, gameId, fileName, revisionId) {
+      return client
+        .from('save_revisions')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('game_id', gameId)
+        .eq('file_name', fileName)
+        .is('trash_id', null)
+        .eq('id', revisionId)
+        .maybeSingle();
+    },
+
+    async listRevisions(userId, gameId, fileName) {
+      return client
+        .from('save_revisions')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('game_id', gameId)
+        .eq('file_name', fileName)
+        .is('trash_id', null)
+        .order('created_at', { ascending: false });
+    },
+
+    async insertRevision(row) {
+      const { data, error } = await client.from('save_revisions').insert(row).select();
+      return { data: data ? data[0] : null, error: error };
+    },
+
+    async deleteRevisions(ids) {
+      return client.from('save_revisions').delete().in('id', ids);
+    },
+
+    async deleteRevisionsForFile(userId, gameId, fileName) {
+      return client
+        .from('save_revisions')
+        .delete()
+        .eq('user_id', userId)
+        .eq('game_id', gameId)
+        .eq('file_name', fileName)
+        .is('trash_id', null);
+    },
+
+    // --- save_trash ---
+    async insertTrashItem(row) {
+      return client.from('save_trash').insert(row).select().single();
+    },
+
+    // `gameId` undefined means every game
+    async listTrash(userId, gameId) {
+      let query = client.from('save_trash').select('*').eq('user_id', userId);
+      if (gameId !== undefined) query = query.eq('game_id', gameId);
+      return query.order('trashed_at', { ascending: false });
+    },
+
+    async getTrashItem(userId, gameId, id) {
+      let query = client.from('save_trash').select('*').eq('user_id', userId).eq('id', id);
+      if (gameId !== undefined) query = query.eq('game_id', gameId);
+      return query.maybeSingle();
+    },
+
+    // Trash items of every user whose retention ended before `before`, oldest first
+    async listExpiredTrash(before, limit) {
+      return client
+        .from('save_trash')
+        .select('*')
+        .lt('purge_at', before)
+        .order('purge_at', { ascending: true })
+        .limit(limit);
+    },
+
+    async deleteTrashItem(id) {
+      return client.from('save_trash').delete().eq('id', id);
+    },
+
+    // Hands the current revisions of a file over to a trash item
+    async trashRevisions(userId, gameId, fileName, trashId) {
+      return client
+        .from('save_revisions')
+        .update({ trash_id: trashId })
+        .eq('user_id', userId)
+        .eq('game_id', gameId)
+        .eq('file_name', fileName)
+        .is('trash_id', null);
+    },
+
+    async listTrashedRevisions(trashId) {
+      return client.from('save_revisions').select('*').eq('trash_id', trashId);
+    },
+
+    // Gives the revisions of a trash item back to a file, under `fileName`
+    async untrashRevisions(trashId, fileName) {
+      return client.from('save_revisions').update({ trash_id: null, file_name: fileName }).eq('trash_id', trashId);
+    },
+
+    // --- user_keys ---
+    async getUserKey(userId) {
+      return client.from('user_keys').select('*').eq('user_id', userId).maybeSingle();
+    },
+
+    async insertUserKey(row) {
+      return client.from('user_keys').insert(row);
+    },
+
+    async listUserKeys() {
+      return client.from('user_keys').select('*');
+    },
+
+    async updateUserKey(userId, fields) {
+      return client.from('user_keys').update(fields).eq('user_id', userId);
+    },
+
+    // --- api_keys ---
+    async insertApiKey(row) {
+      return client.from('api_keys').insert(row).select(API_KEY_COLUMNS).single();
+    },
+
+    async listApiKeys(userId) {
+      return client
+        .from('api_keys')
+        .select(API_KEY_COLUMNS)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+    },
+
+    async findApiKeyByHash(keyHash) {
+      return client.from('api_keys').select('*').eq('key_hash', keyHash).maybeSingle();
+    },
+
+    // Resolves to the revoked key, or null if the user has no such active key
+    async revokeApiKey(userId, id) {
+      return client
+        .from('api_keys')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('id', id)
+        .is('revoked_at', null)
+        .select(API_KEY_COLUMNS)
+        .maybeSingle();
+    },
+
+    async touchApiKey(id, lastUsedAt) {
+      return client.from('api_keys').update({ last_used_at: lastUsedAt }).eq('id', id);
+    },
+
+    // --- share_links ---
+    async insertShareLink(row) {
+      return client.from('share_links').insert(row).select(SHARE_LINK_COLUMNS).single();
+    },
+
+    // Links of one game that still work: not revoked, not expired and, if single-use, not used yet
+    async listShareLinks(userId, gameId) {
+      return client
+        .from('share_links')
+        .select(SHARE_LINK_COLUMNS)
+        .eq('user_id', userId)
+        .eq('game_id', gameId)
+        .is('revoked_at', null)
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false });
+    },
+
+    async getShareLink(id) {
+      return client.from('share_links').select(SHARE_LINK_COLUMNS).eq('id', id).maybeSingle();
+    },
+
+    // Resolves to the revoked link, or null if the user has no such active link in this game
+    async revokeShareLink(userId, gameId, id) {
+      return client
+        .from('share_links')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('game_id', gameId)
+        .eq('id', id)
+        .is('revoked_at', null)
+        .select(SHARE_LINK_COLUMNS)
+        .maybeSingle();
+    },
+
+    // Marks a single-use link as used. Resolves to the link, or null if it had been used already, so two
+    // concurrent requests can't both get through.
+    async claimShareLink(id) {
+      return client
+        .from('share_links')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('used_at', null)
+        .select(SHARE_LINK_COLUMNS)
+        .maybeSingle();
+    },
+
+    // Makes a claimed link usable again, when what it was claimed for failed
+    async releaseShareLink(id) {
+      return client.from('share_links').update({ used_at: null }).eq('id', id).select(SHARE_LINK_COLUMNS).maybeSingle();
+    },
+
+    // --- webhooks ---
+    async insertWebhook(row) {
+      return client.from('webhooks').insert(row).select(WEBHOOK_COLUMNS).single();
+    },
+
+    async listWebhooks(userId) {
+      return client
+        .from('webhooks')
+        .select(WEBHOOK_COLUMNS)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+    },
+
+    async getWebhook(userId, id) {
+      return client.from('webhooks').select(WEBHOOK_COLUMNS).eq('user_id', userId).eq('id', id).maybeSingle();
+    },
+
+    // With the secret, for signing deliveries
+    async getWebhookById(id) {
+      return client.from('webhooks').select('*').eq('id', id).maybeSingle();
+    },
+
+    // Webhooks that want events of `type` about the user's saves: their own, and those for all users
+    async listWebhooksForEvent(userId, type) {
+      return client
+        .from('webhooks')
+        .select('*')
+        .or(`user_id.eq.${quoteFilterValue(userId)},all_users.is.true`)
+        .contains('events', [type]);
+    },
+
+    // Deliveries go with it (foreign key cascade). Resolves to the deleted webhook, or null if the user has
+    // no such webhook.
+    async deleteWebhook(userId, id) {
+      return client.from('webhooks').delete().eq('user_id', userId).eq('id', id).select(WEBHOOK_COLUMNS).maybeSingle();
+    },
+
+    // --- webhook_deliveries ---
+    async insertDeliveries(rows) {
+      return client.from('webhook_deliveries').insert(rows);
+    },
+
+    // Pending deliveries whose next attempt is due, oldest first
+    async listDueDeliveries(now, limit) {
+      return client
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', now)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+    },
+
+    // Moves the next attempt of a pending delivery to `leaseUntil`, unless someone else did since it was
+    // read (`nextAttemptAt` changed). Resolves to the delivery, or null if it was claimed elsewhere.
+    async claimDelivery(id, nextAttemptAt, leaseUntil) {
+      return client
+        .from('webhook_deliveries')
+        .update({ next_attempt_at: leaseUntil })
+        .eq('id', id)
+        .eq('status', 'pending')
+        .eq('next_attempt_at', nextAttemptAt)
+        .select()
+        .maybeSingle();
+    },
+
+    async updateDelivery(id, fields) {
+      return client.from('webhook_deliveries').update(fields).eq('id', id).select().maybeSingle();
+    },
+
+    // Deliveries of a webhook, newest first; `status` narrows them down (e.g. 'dead')
+    async listDeliveries(webhookId, { status, limit }) {
+      let query = client.from('webhook_deliveries').select('*').eq('webhook_id', webhookId);
+      if (status) query = query.eq('status', status);
+      return query.order('created_at', { ascending: false }).limit(limit);
+    },
+
+    async getDelivery(webhookId, id) {
+      return client.from('webhook_deliveries').select('*').eq('webhook_id', webhookId).eq('id', id).maybeSingle();
+    },
+
+    // --- save_audit_log ---
+    async insertAuditEntry(row) {
+      return client.from('save_audit_log').insert(row).select().single();
+    },
+
+    // Entries of a user, newest first; see parseAuditQuery in routes/saveFiles.js for what the query holds.
+    // `gameId` undefined means every game, and entries that belong to none (failed authentications).
+    async listAuditEntries(userId, gameId, { action, since, until, after, limit }) {
+      let query = client.from('save_audit_log').select('*').eq('user_id', userId);
+      if (gameId !== undefined) query = query.eq('game_id', gameId);
+      if (action) query = query.eq('action', action);
+      if (since) query = query.gte('created_at', since);
+      if (until) query = query.lt('created_at', until);
+      if (after) {
+        const value = quoteFilterValue(after.value);
+        query = query.or(`created_at.lt.${value},and(created_at.eq.${value},id.lt.${quoteFilterValue(after.id)})`);
+      }
+      return query.order('created_at', { ascending: false }).order('id', { ascending: false }).limit(limit);
+    },
+
+    // Removes the entries (of every user) created before `cutoff`; resolves to the number removed
+    async deleteAuditEntriesBefore(cutoff) {
+      const { count, error } = await client.from('save_audit_log').delete({ count: 'exact' }).lt('created_at', cutoff);
+      return { data: error ? null : count, error: error };
+    },
+
+    // --- account_erasures ---
+    async insertErasure(row) {
+      return client.from('account_erasures').insert(row).select().single();
+    },
+
+    async getErasure(id) {
+      return client.from('account_erasures').select('*').eq('id', id).maybeSingle();
+    },
+
+    // The user's erasure that hasn't completed yet (pending, running or failed), if any
+    async findUnfinishedErasure(userId) {
+      return client.from('account_erasures').select('*').eq('user_id', userId).neq('status', 'completed').maybeSingle();
+    },
+
+    // Erasures that were pending or running, e.g. when the server stopped
+    async listUnfinishedErasures() {
+      return client.from('account_erasures').select('*').in('status', ['pending', 'running']);
+    },
+
+    async updateErasure(id, fields) {
+      return client
+        .from('account_erasures')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+    },
+
+    // Removes every row the user owns; resolves to the number of rows removed per table
+    async deleteUserData(userId) {
+      const removed = {};
+      for (const table of USER_TABLES) {
+        const { count, error } = await client.from(table).delete({ count: 'exact' }).eq('user_id', userId);
+        if (error) {
+          return { data: null, error: error };
+        }
+        removed[table] = count;
+      }
+      return { data: removed, error: null };
+    },
+
+    // Rows the user still owns, per table
+    async countUserData(userId) {
+      const results = await Promise.all(
+        USER_TABLES.map((table) =>
+          client.from(table).select('user_id', { count: 'exact', head: true }).eq('user_id', userId),
+        ),
+      );
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        return { data: null, error: failed.error };
+      }
+      return { data: Object.fromEntries(USER_TABLES.map((table, i) => [table, results[i].count])), error: null };
+    },
+
+    // --- blob references ---
+    // Any revision of the user (in any file) stored at this path; used to deduplicate content-addressed blobs
+    async findRevisionByStoragePath(userId, storagePath) {
+      return client
+        .from('save_revisions')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('storage_path', storagePath)
+        .limit(1)
+        .maybeSingle();
+    },
+
+    // Storage a user takes up: their saves, their revisions and the bytes of the distinct blobs behind them
+    async getUsage(userId) {
+      const results = await Promise.all(
+        ['save_metadata', 'save_revisions'].map((table) =>
+          client.from(table).select('storage_path, size_bytes, stored_bytes').eq('user_id', userId),
+        ),
+      );
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        return { data: null, error: failed.error };
+      }
+      const [saves, revisions] = results.map((result) => result.data);
+      const blobs = new Map(
+        [...saves, ...revisions].map((row) => [row.storage_path, row.stored_bytes ?? row.size_bytes ?? 0]),
+      );
+      const storedBytes = [...blobs.values()].reduce((sum, bytes) => sum + Number(bytes), 0);
+      return {
+        data: { files: saves.length, revisions: revisions.length, stored_bytes: storedBytes },
+        error: null,
+      };
+    },
+
+    // Storage usage per user (the admin_user_usage view), ordered by id. `userId` picks one user, `after`
+    // continues after a user id.
+    async listUserUsage({ userId, after, limit }) {
+      let query = client.from('admin_user_usage').select('*');
+      if (userId) query = query.eq('user_id', userId);
+      if (after) query = query.gt('user_id', after);
+      return query.order('user_id', { ascending: true }).limit(limit);
+    },
+
+    // Which of `paths` are still referenced by a save, a revision or a trash item of the user
+    async findReferencedPaths(userId, paths) {
+      const results = await Promise.all(
+        ['save_metadata', 'save_revisions', 'save_trash'].map((table) =>
+          client.from(table).select('storage_path').eq('user_id', userId).in('storage_path', paths),
+        ),
+      );
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        return { data: null, error: failed.error };
+      }
+      const referenced = new Set(results.flatMap((result) => result.data.map((row) => row.storage_path)));
+      return { data: [...referenced], error: null };
+    },
+  };
+}
+
+module.exports = createSupabaseMetadataStore;
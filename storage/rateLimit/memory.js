@@ -0,0 +1,39 @@
+// Rate limit counters kept in process memory, so each instance counts on its own.
+// Fixed windows per key; windows that have ended are swept every `sweepIntervalMs` so idle keys don't pile up.
+// Every method resolves to `{ data, error }` so it can be swapped with the Redis store.
+
+function createMemoryRateLimitStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const windows = new Map();
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  function current(key) {
+    const window = windows.get(key);
+    return window && window.resetAt > Date.now() ? window : null;
+  }
+
+  return {
+    async increment(key, windowMs) {
+      let window = current(key);
+      if (!window) {
+        window = { count: 0, resetAt: Date.now() + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { data: { count: window.count, resetAt: window.resetAt }, error: null };
+    },
+
+    async get(key) {
+      const window = current(key);
+      return { data: window ? { count: window.count, resetAt: window.resetAt } : null, error: null };
+    },
+  };
+}
+
+module.exports = createMemoryRateLimitStore;
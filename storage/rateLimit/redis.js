@@ -0,0 +1,38 @@
+// Rate limit counters in Redis, shared by every instance. The client is node-redis, or anything else with its
+// `sendCommand(args)` (see ../cache/fakeRedis.js for an in-process one).
+// A window is a counter that expires when the window ends: the first request of a window sets the expiry.
+// Every method resolves to `{ data, error }` so it can be swapped with the memory store.
+
+function createRedisRateLimitStore({ client, keyPrefix }) {
+  return {
+    async increment(key, windowMs) {
+      try {
+        const redisKey = keyPrefix + key;
+        const count = Number(await client.sendCommand(['INCR', redisKey]));
+        let ttlMs = Number(await client.sendCommand(['PTTL', redisKey]));
+        // A new window, or one whose expiry was never set (the instance stopped in between)
+        if (count === 1 || ttlMs < 0) {
+          await client.sendCommand(['PEXPIRE', redisKey, String(windowMs)]);
+          ttlMs = windowMs;
+        }
+        return { data: { count: count, resetAt: Date.now() + ttlMs }, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    async get(key) {
+      try {
+        const redisKey = keyPrefix + key;
+        const count = await client.sendCommand(['GET', redisKey]);
+        const ttlMs = Number(await client.sendCommand(['PTTL', redisKey]));
+        if (count === null || ttlMs < 0) return { data: null, error: null };
+        return { data: { count: Number(count), resetAt: Date.now() + ttlMs }, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+  };
+}
+
+module.exports = createRedisRateLimitStore;
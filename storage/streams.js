@@ -0,0 +1,38 @@
+const { Transform, pipeline } = require('stream');
+
+// Small stream helpers shared by the upload and download paths
+
+// Passes through only the inclusive byte range `start`..`end` of a stream, e.g. to answer a Range request
+// for a file whose logical bytes only exist after decoding (decompression, decryption)
+function createSliceStream(start, end) {
+  let position = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const chunkStart = position;
+      position += chunk.length;
+      if (position <= start || chunkStart > end) return callback();
+      callback(null, chunk.subarray(Math.max(0, start - chunkStart), Math.min(chunk.length, end - chunkStart + 1)));
+    },
+  });
+}
+
+// Counts the bytes flowing through, e.g. to learn the stored size of a file encoded on the fly
+function createByteCounter() {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  counter.bytes = 0;
+  return counter;
+}
+
+// Pipes `source` through the given transforms (falsy entries are skipped). The returned stream counts
+// the bytes that come out in `.bytes`; an error anywhere in the chain destroys it.
+function pipeThrough(source, ...transforms) {
+  const counter = createByteCounter();
+  return pipeline(source, ...transforms.filter(Boolean), counter, () => {});
+}
+
+module.exports = { createSliceStream, createByteCounter, pipeThrough };
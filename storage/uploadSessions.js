@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  UPLOAD_OFFSET_MISMATCH,
+  UPLOAD_CHECKSUM_MISMATCH,
+  UPLOAD_TOO_LARGE,
+  UPLOAD_BUSY,
+  codedError,
+} = require('./errors');
+
+// Staging area for resumable uploads.
+// Each session is a `<id>.json` descriptor plus a `<id>.part` file that chunks are appended to,
+// so a save is never held in memory as a whole. The received byte count is the size of the part file,
+// which means a session survives a server restart. Sessions live on local disk: with several replicas,
+// route a session to the same instance or share DATA_DIR between them.
+// Every method resolves to `{ data, error }` like the other storage modules.
+
+function createUploadSessionStore({ dir, ttlMs }) {
+  const root = path.resolve(dir);
+  const activeAppends = new Set(); // Upload ids with a chunk currently being written
+
+  const descriptorPath = (id) => path.join(root, `${id}.json`);
+  const partPath = (id) => path.join(root, `${id}.part`);
+
+  async function sizeOf(file) {
+    try {
+      return (await fs.promises.stat(file)).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  return {
+    async create(session) {
+      try {
+        await fs.promises.mkdir(root, { recursive: true });
+        const now = Date.now();
+        const created = {
+          id: crypto.randomUUID(),
+          ...session,
+          created_at: new Date(now).toISOString(),
+          expires_at: new Date(now + ttlMs).toISOString(),
+        };
+        await fs.promises.writeFile(descriptorPath(created.id), JSON.stringify(created));
+        await fs.promises.writeFile(partPath(created.id), '');
+        return { data: { ...created, received_bytes: 0 }, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // Resolves to `data: null` for unknown or expired sessions
+    async get(id) {
+      // Ids are generated by us; anything else can't name a session (and must not name a path)
+      if (!/^[0-9a-f-]{36}$/.test(id)) return { data: null, error: null };
+      try {
+        const session = JSON.parse(await fs.promises.readFile(descriptorPath(id), 'utf8'));
+        if (Date.parse(session.expires_at) < Date.now()) return { data: null, error: null };
+        return { data: { ...session, received_bytes: await sizeOf(partPath(id)) }, error: null };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { data: null, error: null };
+        return { data: null, error: error };
+      }
+    },
+
+    // Appends one chunk read from `source` at `offset`, which must equal the bytes received so far.
+    // A chunk that fails (too large, checksum mismatch, dropped connection) is rolled back completely,
+    // so the part file only ever contains verified chunks.
+    async append(session, offset, source, { maxChunkBytes, checksum }) {
+      if (activeAppends.has(session.id)) {
+        return { data: null, error: codedError(UPLOAD_BUSY, 'Another chunk is being written for this upload.') };
+      }
+      activeAppends.add(session.id);
+
+      const file = partPath(session.id);
+      try {
+        const received = await sizeOf(file);
+        if (offset !== received) {
+          return {
+            data: { received_bytes: received },
+            error: codedError(UPLOAD_OFFSET_MISMATCH, `Expected offset ${received}, got ${offset}.`),
+          };
+        }
+
+        const limit = Math.min(maxChunkBytes, session.size_bytes - received);
+        const hash = crypto.createHash('sha256');
+        let written = 0;
+        let tooLarge = false;
+        const meter = new Transform({
+          transform(chunk, encoding, callback) {
+            written += chunk.length;
+            if (written > limit) {
+              // Keep draining the request so we can still answer it, but stop writing
+              tooLarge = true;
+              return callback();
+            }
+            hash.update(chunk);
+            callback(null, chunk);
+          },
+        });
+
+        try {
+          await pipeline(source, meter, fs.createWriteStream(file, { flags: 'a' }));
+        } catch (error) {
+          await fs.promises.truncate(file, received);
+          return { data: { received_bytes: received }, error: error };
+        }
+
+        if (tooLarge) {
+          await fs.promises.truncate(file, received);
+          return {
+            data: { received_bytes: received },
+            error: codedError(UPLOAD_TOO_LARGE, `Chunk exceeds the allowed ${limit} bytes.`),
+          };
+        }
+
+        if (checksum && checksum !== hash.digest('base64')) {
+          await fs.promises.truncate(file, received);
+          return {
+            data: { received_bytes: received },
+            error: codedError(UPLOAD_CHECKSUM_MISMATCH, 'Chunk checksum does not match its contents.'),
+          };
+        }
+
+        return { data: { received_bytes: received + written }, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      } finally {
+        activeAppends.delete(session.id);
+      }
+    },
+
+    // SHA-256 (hex) of everything received so far, read back from disk in a streaming fashion
+    async digest(id) {
+      try {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(partPath(id))) {
+          hash.update(chunk);
+        }
+        return { data: hash.digest('hex'), error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // First `length` bytes received (fewer if the file is shorter), e.g. to sniff the file format
+    async readHead(id, length) {
+      try {
+        const handle = await fs.promises.open(partPath(id), 'r');
+        try {
+          const buffer = Buffer.alloc(length);
+          const { bytesRead } = await handle.read(buffer, 0, length, 0);
+          return { data: buffer.subarray(0, bytesRead), error: null };
+        } finally {
+          await handle.close();
+        }
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    createReadStream(id) {
+      return fs.createReadStream(partPath(id));
+    },
+
+    async remove(id) {
+      try {
+        await fs.promises.rm(descriptorPath(id), { force: true });
+        await fs.promises.rm(partPath(id), { force: true });
+        return { data: null, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // Deletes every session of a user, e.g. when their account is erased; resolves to the removed ids
+    async removeForUser(userId) {
+      try {
+        const entries = await fs.promises.readdir(root).catch(() => []);
+        const removed = [];
+        for (const entry of entries.filter((e) => e.endsWith('.json'))) {
+          const id = entry.slice(0, -'.json'.length);
+          const session = JSON.parse(await fs.promises.readFile(descriptorPath(id), 'utf8'));
+          if (session.user_id === userId) {
+            await this.remove(id);
+            removed.push(id);
+          }
+        }
+        return { data: removed, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+
+    // Deletes sessions past their expiry; cheap enough to run whenever a new session starts
+    async sweepExpired() {
+      try {
+        const entries = await fs.promises.readdir(root).catch(() => []);
+        const expired = [];
+        for (const entry of entries.filter((e) => e.endsWith('.json'))) {
+          const id = entry.slice(0, -'.json'.length);
+          const session = JSON.parse(await fs.promises.readFile(descriptorPath(id), 'utf8'));
+          if (Date.parse(session.expires_at) < Date.now()) {
+            await this.remove(id);
+            expired.push(id);
+          }
+        }
+        return { data: expired, error: null };
+      } catch (error) {
+        return { data: null, error: error };
+      }
+    },
+  };
+}
+
+module.exports = createUploadSessionStore;
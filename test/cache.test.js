@@ -0,0 +1,89 @@
+// Cache invalidation across instances: each "instance" is a cache over its own memory store, and they share
+// one fake Redis server for the invalidation channel, like two servers sharing a Redis.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createCache = require('../storage/cache');
+const createMemoryCacheStore = require('../storage/cache/memory');
+const createRedisCacheStore = require('../storage/cache/redis');
+const { createFakeRedisServer } = require('../storage/cache/fakeRedis');
+
+const TTLS = { saves: 60000, save: 60000 };
+
+function createInstance(server) {
+  return createCache({
+    store: createMemoryCacheStore({ maxEntries: 100, maxBytes: 1024 * 1024 }),
+    ttls: TTLS,
+    pubsub: server.createClient(),
+  });
+}
+
+// Lets subscriptions settle and published messages arrive (the fake delivers them on setImmediate)
+function flush() {
+  return new Promise((resolve) => setImmediate(() => setImmediate(resolve)));
+}
+
+test('an invalidation on one instance drops the key on the others', async () => {
+  const server = createFakeRedisServer();
+  const [a, b] = [createInstance(server), createInstance(server)];
+  await flush();
+
+  await a.set('user:u1:game:default:saves', 'saves', ['a.sav']);
+  await b.set('user:u1:game:default:saves', 'saves', ['a.sav']);
+  await a.invalidate('user:u1:game:default:saves');
+  await flush();
+
+  assert.equal(await a.get('user:u1:game:default:saves', 'saves'), null);
+  assert.equal(await b.get('user:u1:game:default:saves', 'saves'), null);
+});
+
+test('invalidating a key drops its variants on the other instances', async () => {
+  const server = createFakeRedisServer();
+  const [a, b] = [createInstance(server), createInstance(server)];
+  await flush();
+
+  await b.set('user:u1:game:default:saves?limit=10', 'saves', ['a.sav']);
+  await b.set('user:u1:game:default:saves?limit=20', 'saves', ['a.sav', 'b.sav']);
+  await a.invalidate('user:u1:game:default:saves');
+  await flush();
+
+  assert.equal(await b.get('user:u1:game:default:saves?limit=10', 'saves'), null);
+  assert.equal(await b.get('user:u1:game:default:saves?limit=20', 'saves'), null);
+});
+
+test("invalidating a user drops only that user's keys on the other instances", async () => {
+  const server = createFakeRedisServer();
+  const [a, b] = [createInstance(server), createInstance(server)];
+  await flush();
+
+  await b.set('user:u1:game:default:save:a.sav', 'save', { file_name: 'a.sav' });
+  await b.set('user:u2:game:default:save:a.sav', 'save', { file_name: 'a.sav' });
+  await a.invalidateUser('u1');
+  await flush();
+
+  assert.equal(await b.get('user:u1:game:default:save:a.sav', 'save'), null);
+  assert.deepEqual(await b.get('user:u2:game:default:save:a.sav', 'save'), { file_name: 'a.sav' });
+});
+
+test('instances on separate servers do not see each other', async () => {
+  const [a, b] = [createInstance(createFakeRedisServer()), createInstance(createFakeRedisServer())];
+  await flush();
+
+  await b.set('user:u1:game:default:saves', 'saves', ['a.sav']);
+  await a.invalidate('user:u1:game:default:saves');
+  await flush();
+
+  assert.deepEqual(await b.get('user:u1:game:default:saves', 'saves'), ['a.sav']);
+});
+
+test("instances sharing a Redis store see each other's writes and invalidations at once", async () => {
+  const client = createFakeRedisServer().createClient();
+  const [a, b] = [0, 1].map(() =>
+    createCache({ store: createRedisCacheStore({ client: client, keyPrefix: 'test:' }), ttls: TTLS }),
+  );
+
+  await a.set('user:u1:game:default:saves?limit=10', 'saves', ['a.sav']);
+  assert.deepEqual(await b.get('user:u1:game:default:saves?limit=10', 'saves'), ['a.sav']);
+
+  await b.invalidate('user:u1:game:default:saves');
+  assert.equal(await a.get('user:u1:game:default:saves?limit=10', 'saves'), null);
+});